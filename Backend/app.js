@@ -0,0 +1,1057 @@
+// app.js
+
+// Import necessary modules
+const express = require('express'); // Web framework for Node.js
+const bodyParser = require('body-parser'); // Middleware to parse request bodies
+const cors = require('cors'); // Middleware to enable Cross-Origin Resource Sharing
+const http = require('http'); // Node.js built-in HTTP module
+const { Server } = require('socket.io'); // Socket.IO for real-time, bidirectional communication
+const { createAdapter } = require('@socket.io/redis-adapter'); // Shares Socket.IO rooms and broadcasts between instances
+const { createSubscriptionManager } = require('./lib/subscriptions'); // Reference-counted Redis -> Socket.IO room bridge
+const { createCache } = require('./lib/cache'); // Pluggable Redis caching layer
+const { createCacheMetrics } = require('./lib/metrics'); // Hit/miss/latency counters for the cache layer
+const { createMessageHistory, parsePayload } = require('./lib/history'); // Redis Streams message history
+const { createAuth, defaultChannelRules } = require('./lib/auth'); // Redis-backed sessions and per-channel permissions
+const { createRateLimiter } = require('./lib/rateLimit'); // Redis sliding-window rate limiting
+const { ApiError, asyncHandler, notFoundHandler, errorHandler } = require('./lib/errors'); // Structured { code, message, details } errors
+const { schemas, validate, parse } = require('./lib/validation'); // zod request schemas
+const { createJobQueue } = require('./lib/jobQueue'); // Redis-backed job queue with retries and a dead-letter list
+const { createProductWrites } = require('./lib/productWrites'); // Direct, write-through and write-behind product writes
+const { createPresence } = require('./lib/presence'); // Connected sockets and their subscriptions, shared through Redis
+const { createEventStreams } = require('./lib/sse'); // Server-Sent Events with Last-Event-ID resumption
+const { createWebhooks } = require('./lib/webhooks'); // Signed webhook deliveries per channel
+const { createEnvelope, senderFor } = require('./lib/envelopes'); // Typed message envelopes for every channel
+const { loadConfig } = require('./lib/config'); // Validated settings from the environment or a config file
+const { sendCacheable, valueETag } = require('./lib/httpCache'); // ETags, If-None-Match and Cache-Control for read routes
+
+/**
+ * Builds the Express app, HTTP server and Socket.IO server around injected dependencies,
+ * so server.js can wire real Redis and SQLite while tests pass in-memory stand-ins.
+ * Nothing listens or connects here: the caller connects the Redis driver and starts the server.
+ *
+ * @param {object} options
+ * @param {object} options.redisDriver - Redis connections from lib/redisDriver.js.
+ * @param {object} options.db - Open sqlite3 Database with the schema in place (see lib/db.js).
+ * @param {object} [options.config] - Settings from lib/config.js, loaded from process.env by default.
+ * @returns {{ app: object, server: http.Server, io: Server, close: Function }}
+ */
+function createApp({ redisDriver, db, config = loadConfig() }) {
+    const redisClient = redisDriver.client; // Client for caching operations
+    const redisSubscriber = redisDriver.subscriber; // Client for subscribing to channels
+    const redisPublisher = redisDriver.publisher; // Client for publishing messages
+
+    // --- Express App Setup ---
+    const app = express();
+    const server = http.createServer(app); // Create an HTTP server from the Express app
+    // CORS_ORIGINS lists the frontends allowed to call the API ("*", the default, allows any origin)
+    const corsOrigin = config.corsOrigins.includes('*') ? '*' : config.corsOrigins;
+    const io = new Server(server, {
+        cors: {
+            origin: corsOrigin,
+            methods: ["GET", "POST"]
+        }
+    }); // Initialize Socket.IO server with CORS enabled
+
+    // Middleware
+    app.use(bodyParser.json()); // Use body-parser to parse JSON request bodies
+    // Enable CORS for all routes and let the browser read the cache and rate limit headers.
+    // If-None-Match is not a CORS-safelisted header, so every conditional GET /products from another origin
+    // needs a preflight; maxAge lets the browser reuse a preflight for 10 minutes instead of sending one each time.
+    app.use(cors({
+        origin: corsOrigin,
+        exposedHeaders: ['X-Cache', 'ETag', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+        maxAge: 600
+    }));
+
+    // Behind a reverse proxy, set TRUST_PROXY (e.g. "1" or "loopback") so req.ip is the real client for rate limiting
+    if (config.trustProxy) {
+        app.set('trust proxy', config.trustProxy);
+    }
+
+    // --- Multi-Instance Socket.IO ---
+    // With the Redis adapter, rooms and broadcasts span every server.js instance behind the load balancer.
+    // Messages relayed from Redis Pub/Sub are the exception: every instance subscribes to the same channels,
+    // so each one relays them with io.local to its own sockets only, and every browser gets them exactly once.
+    // A single in-memory driver has no other instances to reach, so it keeps the default adapter.
+    if (redisDriver.adapterClients) {
+        const { publisher: adapterPublisher, subscriber: adapterSubscriber } = redisDriver.adapterClients;
+        adapterPublisher.on('error', (err) => console.error('Redis Adapter Publisher Error:', err.message));
+        adapterSubscriber.on('error', (err) => console.error('Redis Adapter Subscriber Error:', err.message));
+        io.adapter(createAdapter(adapterPublisher, adapterSubscriber));
+    }
+
+    // --- Authentication ---
+    // Users come from AUTH_USERS ("name:password:role,..."); sessions live in Redis for SESSION_TTL_SECONDS.
+    // CHANNEL_PERMISSIONS may replace the default channel rules with a JSON array of { channel, publish, subscribe }.
+    if (!config.auth.users) {
+        console.warn('AUTH_USERS is not set, using the demo accounts admin/admin and demo/demo.');
+    }
+    const PRODUCT_UPDATES_CHANNEL = config.channels.productUpdates; // PRODUCT_UPDATES_CHANNEL, "product_updates" by default
+    const auth = createAuth({
+        client: redisClient,
+        users: config.auth.users,
+        sessionTtl: config.auth.sessionTtl,
+        channelRules: config.auth.channelRules || defaultChannelRules(PRODUCT_UPDATES_CHANNEL)
+    });
+
+    app.use(auth.authenticate); // Attach req.user from the Bearer token on every request
+    io.use(auth.authenticateSocket); // Attach socket.data.user from the handshake token
+
+    // --- Rate Limiting ---
+    // Limits are shared across instances through Redis. RATE_LIMITS (JSON) overrides the defaults in lib/rateLimit.js,
+    // e.g. {"publish": {"limit": 5, "windowMs": 60000}}.
+    const rateLimiter = createRateLimiter({
+        client: redisClient,
+        limits: config.rateLimits
+    });
+    const limitProductWrites = rateLimiter.middleware('productWrite');
+    const limitPublishPerUser = rateLimiter.middleware('publish');
+    // Every message fans out to all subscribers, so each channel also has a budget shared by all publishers
+    const limitPublishPerChannel = rateLimiter.middleware('publishChannel', (req) => (
+        typeof req.body.channel === 'string' && req.body.channel ? `channel:${req.body.channel}` : null
+    ));
+
+    // --- Cache Metrics ---
+    // Every cache read is counted per key; connected dashboards get a fresh snapshot at most once a second.
+    const cacheMetrics = createCacheMetrics();
+    const CACHE_STATS_BROADCAST_MS = 1000;
+    let cacheStatsTimer = null;
+
+    function scheduleCacheStatsBroadcast() {
+        if (cacheStatsTimer) return;
+        cacheStatsTimer = setTimeout(() => {
+            cacheStatsTimer = null;
+            // Counters are per process, so each instance only reports to its own dashboards
+            io.local.emit('cache_stats', cacheMetrics.snapshot());
+        }, CACHE_STATS_BROADCAST_MS);
+    }
+
+    // --- Cache Layer Setup ---
+    // All routes read and invalidate through this cache instead of calling redisClient directly.
+    // CACHE_NAMESPACE prefixes every key (by default "cache:product:1"), CACHE_TTL_SECONDS sets the default expiry.
+    // PRODUCTS_CACHE_STRATEGY lets the /products list switch between cache-aside and stale-while-revalidate.
+    const cache = createCache({
+        client: redisClient,
+        namespace: config.cache.namespace,
+        ttl: config.cache.ttl,
+        softTtl: config.cache.softTtl,
+        onRead: ({ key, status, durationMs }) => {
+            cacheMetrics.record(key, status, durationMs);
+            scheduleCacheStatsBroadcast();
+        },
+        isAvailable: redisDriver.isAvailable // Serve reads straight from SQLite while Redis is down
+    });
+    const PRODUCTS_CACHE_STRATEGY = config.cache.productsStrategy;
+
+    // Every cached page of the product list embeds this group's generation in its key,
+    // so a single bumpGeneration() on write invalidates all pages, searches and sort orders at once.
+    const PRODUCT_LIST_GROUP = 'products';
+
+    // Promise wrappers so SQLite reads can be used as cache loaders
+    function dbAll(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+
+    function dbGet(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    }
+
+    // Single products are served read-through: the cache knows how to load "product:<id>" on its own
+    cache.registerLoader('product:', (key) => {
+        const id = key.slice('product:'.length);
+        return dbGet('SELECT * FROM products WHERE id = ?', [id]);
+    });
+
+    // --- Message History ---
+    // Everything the backend publishes is also appended to a Redis Stream per channel,
+    // so clients that connect late or reconnect can fetch what they missed.
+    const messageHistory = createMessageHistory({
+        client: redisClient,
+        publisher: redisPublisher,
+        maxLen: config.channels.historyMaxLen
+    });
+
+    // --- Degraded Mode ---
+    // While Redis is unreachable, reads are served from SQLite (X-Cache: BYPASS) and writes still succeed
+    // for users whose session this instance confirmed recently (see lib/auth.js).
+    // Product events are queued in memory and published once Redis is back, custom publishes are refused
+    // with 503, and cache invalidations that could not run are made up for by dropping product caches.
+    const MAX_PENDING_PRODUCT_EVENTS = 1000;
+    const REDIS_RETRY_AFTER_SECONDS = 5;
+    const pendingProductEvents = [];
+    let productCachesMissedInvalidation = false;
+
+    const redisUnavailable = () => (
+        ApiError.unavailable('Redis is temporarily unavailable, please retry shortly', REDIS_RETRY_AFTER_SECONDS)
+    );
+
+    // Invalidates every cached page of the product list, and the product's own entry when an ID is given
+    async function invalidateProductCaches(id) {
+        try {
+            const generation = await cache.bumpGeneration(PRODUCT_LIST_GROUP);
+            if (id !== undefined) {
+                await cache.del(`product:${id}`);
+            }
+            console.log(`Product caches invalidated (list now at generation ${generation}${id !== undefined ? `, "product:${id}" removed` : ''}).`);
+        } catch (err) {
+            productCachesMissedInvalidation = true;
+            console.warn('Could not invalidate product caches, they will be dropped when Redis is back:', err.message);
+        }
+    }
+
+    // Stores a product under "product:<id>" ahead of any read (write-through mode)
+    async function cacheProduct(product) {
+        try {
+            await cache.warm(`product:${product.id}`, product, { strategy: 'read-through' });
+            console.log(`Product ${product.id} written to cache "product:${product.id}".`);
+        } catch (err) {
+            productCachesMissedInvalidation = true;
+            console.warn(`Could not cache product ${product.id}, product caches will be dropped when Redis is back:`, err.message);
+        }
+    }
+
+    // Publishes a { type, payload, sender, requestId } event to the product updates channel, or queues its envelope until Redis is back
+    async function publishProductEvent(event) {
+        const envelope = createEnvelope({ channel: PRODUCT_UPDATES_CHANNEL, ...event });
+        try {
+            const id = await messageHistory.publish(PRODUCT_UPDATES_CHANNEL, envelope);
+            console.log(`Published ${envelope.type} for product ${envelope.payload.id} to '${PRODUCT_UPDATES_CHANNEL}' (stream ID ${id}).`);
+        } catch (err) {
+            if (pendingProductEvents.length >= MAX_PENDING_PRODUCT_EVENTS) {
+                pendingProductEvents.shift();
+                console.warn('Pending product event queue is full, dropped the oldest event.');
+            }
+            pendingProductEvents.push(envelope);
+            console.warn(`Could not publish product event (${err.message}), queued ${pendingProductEvents.length} for when Redis is back.`);
+        }
+    }
+
+    redisDriver.on('down', (err) => {
+        console.error(`Redis is unavailable (${err.message}), running in degraded mode.`);
+    });
+
+    redisDriver.on('up', async () => {
+        // Records written while Redis was down were lost, or have expired since
+        presence.heartbeat().then(schedulePresenceBroadcast)
+            .catch((err) => console.warn('Could not restore presence after reconnecting:', err.message));
+
+        if (productCachesMissedInvalidation) {
+            productCachesMissedInvalidation = false;
+            try {
+                await cache.bumpGeneration(PRODUCT_LIST_GROUP);
+                const deleted = await cache.flush('product:*');
+                console.log(`Dropped ${deleted} product caches that may have missed invalidations while Redis was down.`);
+            } catch (err) {
+                productCachesMissedInvalidation = true;
+                console.error('Failed to drop product caches after reconnecting:', err.message);
+            }
+        }
+
+        while (pendingProductEvents.length > 0) {
+            try {
+                await messageHistory.publish(PRODUCT_UPDATES_CHANNEL, pendingProductEvents[0]);
+                pendingProductEvents.shift();
+            } catch (err) {
+                console.error(`Failed to publish queued product events, ${pendingProductEvents.length} still pending:`, err.message);
+                return;
+            }
+        }
+    });
+
+    // --- Presence ---
+    // Every socket is recorded in Redis with its user and subscriptions and kept alive by a heartbeat,
+    // so GET /presence sees the clients of all instances. PRESENCE_TTL_SECONDS sets how long a record
+    // outlives an instance that stopped sending heartbeats. Changes are broadcast as "presence_changed",
+    // at most a few times a second.
+    const presence = createPresence({
+        client: redisClient,
+        ttlMs: config.presence.ttlMs
+    });
+    const PRESENCE_BROADCAST_MS = 250;
+    let presenceBroadcastTimer = null;
+    let closing = false;
+
+    function schedulePresenceBroadcast() {
+        if (presenceBroadcastTimer || closing) return;
+        presenceBroadcastTimer = setTimeout(async () => {
+            presenceBroadcastTimer = null;
+            try {
+                // Through the Redis adapter, so dashboards connected to other instances see this instance's changes too
+                io.emit('presence_changed', await presence.list());
+            } catch (err) {
+                console.warn('Could not broadcast presence:', err.message);
+            }
+        }, PRESENCE_BROADCAST_MS);
+    }
+
+    // Presence is informational: failures are logged and never break a connection or subscription
+    function trackPresence(action, socket) {
+        presence[action](socket)
+            .then(schedulePresenceBroadcast)
+            .catch((err) => console.warn(`Could not update presence for socket ${socket.id}:`, err.message));
+    }
+
+    const presenceHeartbeat = setInterval(() => {
+        if (!redisDriver.isAvailable()) return;
+        presence.heartbeat().catch((err) => console.warn('Presence heartbeat failed:', err.message));
+    }, presence.heartbeatMs);
+
+    // --- Product Writes ---
+    // PRODUCT_WRITE_MODE is "direct" (default), "write-through" or "write-behind" (see lib/productWrites.js).
+    // Write-behind jobs wait in a Redis queue shared by every instance, and each instance runs one worker.
+    // WRITE_BEHIND_MAX_ATTEMPTS and WRITE_BEHIND_BACKOFF_MS tune retries, WRITE_BEHIND_POLL_MS how often an idle worker polls.
+    const productWriteQueue = createJobQueue({
+        client: redisClient,
+        name: 'product-writes',
+        maxAttempts: config.productWrites.maxAttempts,
+        backoffMs: config.productWrites.backoffMs
+    });
+    const productWrites = createProductWrites({
+        db,
+        mode: config.productWrites.mode,
+        queue: productWriteQueue,
+        hooks: { cacheProduct, invalidate: invalidateProductCaches, publish: publishProductEvent }
+    });
+    console.log(`Product writes use ${productWrites.mode} mode.`);
+
+    const stopProductWriteWorker = productWrites.mode === 'write-behind'
+        ? productWriteQueue.work(productWrites.handleJob, {
+            pollMs: config.productWrites.pollMs,
+            isAvailable: redisDriver.isAvailable // Jobs wait in Redis while it is down, there is nothing to claim
+        })
+        : null;
+
+    // --- Redis Pub/Sub Listener ---
+    // Subscribe the redisSubscriber client to a specific channel
+    redisSubscriber.subscribe(PRODUCT_UPDATES_CHANNEL, (payload, channel) => {
+        const envelope = parsePayload(payload, channel);
+        console.log(`Received ${envelope.type} ${envelope.id} on channel ${channel}`);
+        // When a message is received, emit its envelope to this instance's Socket.IO clients
+        io.local.emit('product_updated', envelope, {});
+    }).catch((err) => console.error(`Failed to subscribe to '${PRODUCT_UPDATES_CHANNEL}':`, err));
+
+    // Every other channel or pattern is subscribed on demand when a Socket.IO client asks for it,
+    // and messages are only forwarded to the sockets that joined the matching room.
+    const subscriptionManager = createSubscriptionManager({
+        subscriber: redisSubscriber,
+        io,
+        authorize: (socket, target) => auth.canSubscribe(socket.data.user, target)
+    });
+
+    // --- Server-Sent Events and Webhooks ---
+    // Two more consumers of the same shared subscriptions: GET /events streams channels over SSE, and
+    // webhooks registered per channel receive every message as a signed POST through a delivery queue.
+    // WEBHOOK_MAX_ATTEMPTS, WEBHOOK_BACKOFF_MS and WEBHOOK_POLL_MS tune the queue, WEBHOOK_TIMEOUT_MS each request.
+    const eventStreams = createEventStreams({ subscriptionManager, messageHistory });
+
+    const webhookQueue = createJobQueue({
+        client: redisClient,
+        name: 'webhook-deliveries',
+        maxAttempts: config.webhooks.maxAttempts,
+        backoffMs: config.webhooks.backoffMs
+    });
+    const webhooks = createWebhooks({
+        client: redisClient,
+        publisher: redisPublisher,
+        subscriber: redisSubscriber,
+        subscriptionManager,
+        queue: webhookQueue,
+        timeoutMs: config.webhooks.timeoutMs
+    });
+    webhooks.start().catch((err) => console.error('Failed to follow webhook registry changes:', err));
+    // Loads the registry on the first connection, and again after an outage in case it changed meanwhile
+    redisDriver.on('up', () => webhooks.sync());
+
+    const stopWebhookWorker = webhookQueue.work(webhooks.deliver, {
+        pollMs: config.webhooks.pollMs,
+        isAvailable: redisDriver.isAvailable
+    });
+
+    // Queues an admin may inspect through /jobs
+    const jobQueues = { 'product-writes': productWriteQueue, 'webhook-deliveries': webhookQueue };
+
+    // --- API Endpoints ---
+    // Handlers throw ApiErrors (or let unexpected errors propagate) and the error handler at the bottom
+    // turns them into { code, message, details } responses. Every input is checked by a schema in lib/validation.js.
+
+    /**
+     * @route POST /auth/login
+     * @description Exchanges a username and password for a session token stored in Redis.
+     */
+    app.post('/auth/login', rateLimiter.middleware('login', (req) => `ip:${req.ip}`), validate(schemas.login), asyncHandler(async (req, res) => {
+        const { username, password } = req.body;
+
+        const session = await auth.login(username, password);
+        if (!session) {
+            throw ApiError.unauthorized('Invalid username or password');
+        }
+        console.log(`User "${username}" logged in.`);
+        res.status(200).json(session);
+    }));
+
+    /**
+     * @route POST /auth/logout
+     * @description Revokes the current session token.
+     */
+    app.post('/auth/logout', auth.requireRole(), asyncHandler(async (req, res) => {
+        await auth.logout(req.token);
+        console.log(`User "${req.user.username}" logged out.`);
+        res.status(200).json({ message: 'Logged out' });
+    }));
+
+    /**
+     * @route GET /auth/me
+     * @description Returns the user behind the current session token.
+     */
+    app.get('/auth/me', auth.requireRole(), (req, res) => {
+        res.status(200).json({ user: req.user });
+    });
+
+    // Columns clients may sort by, mapped to SQL so user input never reaches ORDER BY
+    // (?page, ?limit, ?q and ?sort themselves are validated by schemas.productList)
+    const SORTABLE_COLUMNS = { id: 'id', name: 'name COLLATE NOCASE', price: 'price' };
+
+    // Canonical form of one query shape, e.g. "limit=20&page=1&q=laptop&sort=-name"
+    function productListQueryString({ page, limit, q, sort }) {
+        return new URLSearchParams({ limit, page, q, sort }).toString();
+    }
+
+    // Builds the cache key for one query shape, e.g. "products:g3:limit=20&page=1&q=laptop&sort=-name"
+    function productListCacheKey(generation, query) {
+        return `${PRODUCT_LIST_GROUP}:g${generation}:${productListQueryString(query)}`;
+    }
+
+    // Sets the X-Cache header; stale values are still served from Redis, so they count as a HIT.
+    // BYPASS means Redis was unavailable and the response came straight from SQLite.
+    function setCacheHeader(res, status) {
+        res.set('X-Cache', status === 'STALE' ? 'HIT' : status);
+    }
+
+    // Runs the filtered COUNT and page SELECT against SQLite
+    async function loadProductPage({ page, limit, q, sort }) {
+        const column = sort.replace(/^-/, '');
+        const direction = sort.startsWith('-') ? 'DESC' : 'ASC';
+
+        let where = '';
+        const params = [];
+        if (q) {
+            // Escape LIKE wildcards so a search for "50%" matches literally
+            const pattern = `%${q.replace(/[\\%_]/g, '\\$&')}%`;
+            where = "WHERE name LIKE ? ESCAPE '\\' OR description LIKE ? ESCAPE '\\' OR category LIKE ? ESCAPE '\\'";
+            params.push(pattern, pattern, pattern);
+        }
+
+        const { total } = await dbGet(`SELECT COUNT(*) AS total FROM products ${where}`, params);
+        const products = await dbAll(
+            `SELECT * FROM products ${where} ORDER BY ${SORTABLE_COLUMNS[column]} ${direction}, id ASC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]
+        );
+
+        return {
+            products,
+            page,
+            limit,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / limit))
+        };
+    }
+
+    /**
+     * @route GET /products
+     * @description Fetches a page of products, prioritizing Redis cache.
+     * Supports ?page (1-based), ?limit (max 100), ?q (name/description/category search)
+     * and ?sort (id, name or price, with a leading "-" for descending).
+     * Each query shape is cached under its own key; if it is not in cache, it is fetched from SQLite and stored.
+     * The caching strategy is chosen by PRODUCTS_CACHE_STRATEGY (cache-aside by default).
+     * The ETag is derived from the page itself: send it as If-None-Match to get 304 while the page is unchanged.
+     */
+    app.get('/products', validate(schemas.productList), asyncHandler(async (req, res) => {
+        const query = req.query;
+
+        const cacheKey = productListCacheKey(await cache.generation(PRODUCT_LIST_GROUP), query);
+        const { value: result, status } = await cache.read(
+            cacheKey,
+            () => loadProductPage(query),
+            // Report metrics per query shape, not per generation, so counters survive invalidations
+            { strategy: PRODUCTS_CACHE_STRATEGY, statsKey: `${PRODUCT_LIST_GROUP}:${productListQueryString(query)}` }
+        );
+        setCacheHeader(res, status);
+
+        if (status === 'HIT') {
+            console.log(`Products fetched from Redis cache (${cacheKey}).`);
+        } else if (status === 'STALE') {
+            console.log(`Stale products served from Redis cache (${cacheKey}), refreshing in the background.`);
+        } else if (status === 'BYPASS') {
+            console.log('Products fetched from SQLite, Redis is unavailable.');
+        } else {
+            console.log(`Products fetched from SQLite and cached in Redis (${cacheKey}).`);
+        }
+        sendCacheable(req, res, result);
+    }));
+
+    // A product's ETag is its version, e.g. "v3": send it back as If-Match to update or delete only that
+    // version, or as If-None-Match to get 304 from GET /product/:id while it is unchanged.
+    // Rows cached before versions existed fall back to an ETag of their content.
+    const productETag = (product) => (product.version === undefined ? valueETag(product) : `"v${product.version}"`);
+
+    // Who made a write and the client's X-Request-Id, recorded in the envelope of the event it causes
+    const writeContext = (req) => ({ sender: senderFor(req.user), requestId: req.headers['x-request-id'] });
+
+    /**
+     * @route POST /product
+     * @description Adds a new product to the SQLite database, invalidates cache,
+     * and publishes an update message via Redis Pub/Sub. Requires a logged-in user.
+     * In write-behind mode the product is queued instead and the response is 202 with the job ID.
+     * An X-Request-Id header is echoed as `requestId` in the NEW_PRODUCT event.
+     */
+    app.post('/product', auth.requireRole(), validate(schemas.createProduct), limitProductWrites, asyncHandler(async (req, res) => {
+        const result = await productWrites.create(req.body, writeContext(req));
+        if (result.queued) {
+            res.status(202).json({ message: 'Product queued, it will be saved shortly', jobId: result.job.id });
+            return;
+        }
+
+        res.set('ETag', productETag(result.product));
+        res.status(201).json({
+            message: 'Product added successfully and cache invalidated',
+            productId: result.product.id,
+            product: result.product
+        });
+    }));
+
+    /**
+     * @route GET /product/:id
+     * @description Fetches a single product through the read-through cache.
+     * If the product is not cached, the cache loads it from SQLite and stores it under "product:<id>".
+     * Answers 304 when If-None-Match lists the product's current ETag.
+     */
+    app.get('/product/:id', validate(schemas.productId), asyncHandler(async (req, res) => {
+        const { id } = req.params;
+        const cacheKey = `product:${id}`; // Per-item cache key
+
+        const { value: product, status } = await cache.read(cacheKey, null, { strategy: 'read-through' });
+        setCacheHeader(res, status);
+        if (!product) {
+            throw ApiError.notFound('Product not found');
+        }
+
+        if (status === 'HIT') {
+            console.log(`Product ${id} fetched from Redis cache.`);
+        } else if (status === 'BYPASS') {
+            console.log(`Product ${id} fetched from SQLite, Redis is unavailable.`);
+        } else {
+            console.log(`Product ${id} fetched from SQLite and cached in Redis.`);
+        }
+        sendCacheable(req, res, product, productETag(product));
+    }));
+
+    /**
+     * @route PUT /product/:id
+     * @route PATCH /product/:id
+     * @description Updates an existing product in SQLite, invalidates both the list cache
+     * and the per-item cache, and publishes an UPDATED_PRODUCT message via Redis Pub/Sub.
+     * PUT replaces the product (name is required, omitted fields are reset), PATCH only changes the fields provided.
+     * With If-Match: "v<version>" the update is refused with 409 CONFLICT if the product has changed since.
+     * In write-behind mode the update is queued and the response is 202. Requires a logged-in user.
+     */
+    async function updateProduct(req, res) {
+        const { id } = req.params;
+
+        const result = await productWrites.update(id, req.body, {
+            replace: req.method === 'PUT',
+            ifMatch: req.headers['if-match'],
+            ...writeContext(req)
+        });
+        if (result.queued) {
+            res.status(202).json({ message: 'Product update queued, it will be saved shortly', productId: id, jobId: result.job.id });
+            return;
+        }
+
+        res.set('ETag', productETag(result.product));
+        res.status(200).json({
+            message: 'Product updated successfully and cache invalidated',
+            product: result.product
+        });
+    }
+    app.put('/product/:id', auth.requireRole(), validate(schemas.replaceProduct), limitProductWrites, asyncHandler(updateProduct));
+    app.patch('/product/:id', auth.requireRole(), validate(schemas.patchProduct), limitProductWrites, asyncHandler(updateProduct));
+
+    /**
+     * @route DELETE /product/:id
+     * @description Removes a product from SQLite, invalidates both the list cache
+     * and the per-item cache, and publishes a DELETED_PRODUCT message via Redis Pub/Sub.
+     * Accepts If-Match like PUT and PATCH.
+     * In write-behind mode the delete is queued and the response is 202. Requires a logged-in user.
+     */
+    app.delete('/product/:id', auth.requireRole(), validate(schemas.deleteProduct), limitProductWrites, asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        const result = await productWrites.remove(id, { ifMatch: req.headers['if-match'], ...writeContext(req) });
+        if (result.queued) {
+            res.status(202).json({ message: 'Product deletion queued, it will be applied shortly', productId: id, jobId: result.job.id });
+            return;
+        }
+
+        res.status(200).json({
+            message: 'Product deleted successfully and cache invalidated',
+            productId: id
+        });
+    }));
+
+    /**
+     * @route GET /cache/stats
+     * @description Returns hit/miss/stale counters, hit ratio and average read latency,
+     * overall and per cache key. The same snapshot is pushed live as the "cache_stats" Socket.IO event.
+     */
+    app.get('/cache/stats', (req, res) => {
+        res.status(200).json(cacheMetrics.snapshot());
+    });
+
+    /**
+     * @route GET /presence
+     * @description Lists the Socket.IO clients connected to any instance, with their user and subscriptions,
+     * the users online and the number of subscribers per channel or pattern.
+     * The same snapshot is pushed as the "presence_changed" Socket.IO event whenever it changes.
+     */
+    app.get('/presence', asyncHandler(async (req, res) => {
+        res.status(200).json(await presence.list());
+    }));
+
+    /**
+     * @route GET /metrics
+     * @description Exposes the cache metrics in Prometheus text format for scraping.
+     */
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).send(cacheMetrics.toPrometheus());
+    });
+
+    // --- Health Checks ---
+    // /healthz tells an orchestrator whether the process is alive, /readyz whether to send it traffic.
+    // Losing Redis only degrades the service (see "Degraded Mode"), so it does not make the instance unready;
+    // losing SQLite or shutting down does.
+    const HEALTH_CHECK_TIMEOUT_MS = 1000;
+    const startedAt = Date.now();
+
+    // Runs one dependency check, which fails if it takes longer than HEALTH_CHECK_TIMEOUT_MS
+    async function checkDependency(check) {
+        const started = Date.now();
+        let timer;
+        try {
+            await Promise.race([
+                check(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error('Timed out')), HEALTH_CHECK_TIMEOUT_MS);
+                })
+            ]);
+            return { status: 'up', latencyMs: Date.now() - started };
+        } catch (err) {
+            return { status: 'down', error: err.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async function checkHealth() {
+        const [redis, database] = await Promise.all([
+            checkDependency(() => {
+                // A PING sent while the driver reconnects would wait in the offline queue until Redis is back
+                if (!redisDriver.isAvailable()) throw new Error('Not connected');
+                return redisClient.ping();
+            }),
+            checkDependency(() => dbGet('SELECT 1'))
+        ]);
+        return {
+            status: redis.status === 'up' && database.status === 'up' ? 'ok' : 'degraded',
+            uptime: Math.round((Date.now() - startedAt) / 1000),
+            checks: { redis: { driver: redisDriver.kind, ...redis }, database }
+        };
+    }
+
+    /**
+     * @route GET /healthz
+     * @description Liveness: always 200 while the process can answer, with the status of Redis and SQLite.
+     * "status" is "ok", or "degraded" when a dependency is down.
+     */
+    app.get('/healthz', asyncHandler(async (req, res) => {
+        res.status(200).json(await checkHealth());
+    }));
+
+    /**
+     * @route GET /readyz
+     * @description Readiness: 200 while the instance can serve requests, even with Redis down,
+     * and 503 when SQLite is unreachable or the instance is shutting down.
+     */
+    app.get('/readyz', asyncHandler(async (req, res) => {
+        const health = await checkHealth();
+        if (closing) {
+            res.status(503).json({ ...health, status: 'shutting_down' });
+        } else if (health.checks.database.status !== 'up') {
+            res.status(503).json({ ...health, status: 'unavailable' });
+        } else {
+            res.status(200).json(health);
+        }
+    }));
+
+    // --- Cache Administration ---
+    // Every route in this section requires the admin role, and only reaches keys inside the cache namespace:
+    // sessions, rate limits, queues, webhooks and stream history are never listed, read or deleted here. Inside it,
+    // generation counters (gen:*) and rebuild locks (lock:*) are left out too: deleting gen:products would
+    // bring back list pages an earlier write had invalidated.
+
+    /**
+     * @route GET /cache
+     * @description Lists cached keys in the cache namespace with their type, TTL (seconds) and size (bytes).
+     * Supports ?match (glob, default "*"), ?cursor (from the previous page) and ?count (SCAN hint, max 1000).
+     */
+    app.get('/cache', auth.requireRole('admin'), validate(schemas.cacheList), asyncHandler(async (req, res) => {
+        const page = await cache.scan(req.query);
+        res.status(200).json(page);
+    }));
+
+    /**
+     * @route GET /cache/:key
+     * @description Returns one cached key's value with its type, TTL and size.
+     * Keys containing "&" or "=" (product list pages) must be URL-encoded.
+     */
+    app.get('/cache/:key', auth.requireRole('admin'), validate(schemas.cacheKey), asyncHandler(async (req, res) => {
+        const entry = await cache.inspect(req.params.key);
+        if (!entry) {
+            throw ApiError.notFound('Cache key not found');
+        }
+        res.status(200).json(entry);
+    }));
+
+    /**
+     * @route DELETE /cache/:key
+     * @description Manually invalidates a single cached key.
+     */
+    app.delete('/cache/:key', auth.requireRole('admin'), validate(schemas.cacheKey), asyncHandler(async (req, res) => {
+        const { key } = req.params;
+
+        const deleted = await cache.del(key);
+        if (deleted === 0) {
+            throw ApiError.notFound('Cache key not found');
+        }
+        console.log(`Cache "${key}" invalidated manually.`);
+        res.status(200).json({ message: 'Cache key deleted', key });
+    }));
+
+    /**
+     * @route DELETE /cache
+     * @description Flushes every key in the cache namespace, or only those matching ?match (glob).
+     */
+    app.delete('/cache', auth.requireRole('admin'), validate(schemas.cacheFlush), asyncHandler(async (req, res) => {
+        const { match } = req.query;
+
+        const deleted = await cache.flush(match);
+        console.log(`Cache flush "${cache.key(match)}" removed ${deleted} keys.`);
+        res.status(200).json({ message: 'Cache flushed', match, deleted });
+    }));
+
+    /**
+     * @route POST /cache/warm
+     * @description Preloads the cache from SQLite: every product under "product:<id>"
+     * and the first page of the default product list.
+     */
+    app.post('/cache/warm', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+        const products = await dbAll('SELECT * FROM products');
+        for (const product of products) {
+            await cache.warm(`product:${product.id}`, product, { strategy: 'read-through' });
+        }
+
+        const query = schemas.productList.query.parse({}); // The default page every client loads first
+        const listKey = productListCacheKey(await cache.generation(PRODUCT_LIST_GROUP), query);
+        await cache.warm(listKey, await loadProductPage(query), { strategy: PRODUCTS_CACHE_STRATEGY });
+
+        console.log(`Cache warmed with ${products.length} products and list page "${listKey}".`);
+        res.status(200).json({
+            message: 'Cache warmed from SQLite',
+            products: products.length,
+            lists: [listKey]
+        });
+    }));
+
+    // --- Write Queue Administration ---
+    // Every route in this section requires the admin role.
+
+    /**
+     * @route GET /jobs
+     * @description Shows the product write mode and a job queue: counts per state and up to ?limit
+     * (default 50) pending, processing, delayed (awaiting retry) and dead-lettered jobs.
+     * ?queue picks product-writes (the write-behind queue, default) or webhook-deliveries.
+     */
+    app.get('/jobs', auth.requireRole('admin'), validate(schemas.jobList), asyncHandler(async (req, res) => {
+        const { queue, limit } = req.query;
+        const overview = await jobQueues[queue].overview({ limit });
+        res.status(200).json({ queue, mode: productWrites.mode, ...overview });
+    }));
+
+    /**
+     * @route POST /jobs/dead/:id/retry
+     * @description Moves a dead-lettered job (of ?queue, product-writes by default) back to the queue with a fresh set of attempts.
+     */
+    app.post('/jobs/dead/:id/retry', auth.requireRole('admin'), validate(schemas.deadJob), asyncHandler(async (req, res) => {
+        const job = await jobQueues[req.query.queue].retryDead(req.params.id);
+        if (!job) {
+            throw ApiError.notFound('Dead job not found');
+        }
+        console.log(`Dead job ${job.id} requeued by "${req.user.username}".`);
+        res.status(200).json({ message: 'Job requeued', job });
+    }));
+
+    /**
+     * @route DELETE /jobs/dead/:id
+     * @description Discards a dead-lettered job (of ?queue, product-writes by default) for good.
+     */
+    app.delete('/jobs/dead/:id', auth.requireRole('admin'), validate(schemas.deadJob), asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        if (!(await jobQueues[req.query.queue].discardDead(id))) {
+            throw ApiError.notFound('Dead job not found');
+        }
+        console.log(`Dead job ${id} discarded by "${req.user.username}".`);
+        res.status(200).json({ message: 'Job discarded', jobId: id });
+    }));
+
+    /**
+     * @route POST /publish
+     * @description Publishes a message to a Redis Pub/Sub channel, wrapped in an envelope with the user as sender.
+     * Send { channel, message } for text, or { channel, type, payload } for another publishable event type.
+     * Requires a logged-in user whose role may publish to that channel.
+     * Rate limited per user and per channel.
+     */
+    app.post('/publish', auth.requireRole(), validate(schemas.publish), limitPublishPerUser, limitPublishPerChannel, asyncHandler(async (req, res) => {
+        const { channel, type, payload } = req.body;
+
+        if (!auth.canPublish(req.user, channel)) {
+            throw ApiError.forbidden(`You are not allowed to publish to "${channel}"`);
+        }
+        // Custom messages are not queued while Redis is down: the sender is told right away to retry
+        if (!redisDriver.isAvailable()) {
+            throw redisUnavailable();
+        }
+
+        const envelope = createEnvelope({ channel, type, payload, ...writeContext(req) });
+        const id = await messageHistory.publish(channel, envelope);
+        console.log(`${type} from "${req.user.username}" published to channel "${channel}" (stream ID ${id})`);
+        res.status(200).json({ message: 'Message published successfully', id, envelope: { ...envelope, id } });
+    }));
+
+    /**
+     * @route GET /channels/:channel/history
+     * @description Returns the envelopes of the most recent messages published to a channel, oldest first.
+     * Supports ?limit (default and max 100) and ?before=<stream ID> to page further back.
+     * Only available to clients allowed to subscribe to the channel.
+     */
+    app.get('/channels/:channel/history', validate(schemas.channelHistory), asyncHandler(async (req, res) => {
+        const { channel } = req.params;
+        const { limit, before } = req.query;
+
+        if (!auth.canSubscribe(req.user, { kind: 'channel', name: channel })) {
+            throw ApiError.forbidden(`You are not allowed to read "${channel}"`);
+        }
+
+        const messages = await messageHistory.recent(channel, { limit, before });
+        res.status(200).json({ channel, messages });
+    }));
+
+    /**
+     * @route GET /events
+     * @description Streams the messages of ?channels (comma-separated) as Server-Sent Events.
+     * Each event's ID records the position in every channel; reconnecting with it in the Last-Event-ID
+     * header (or ?lastEventId) first replays what was missed. Only channels the client may subscribe to.
+     */
+    app.get('/events', validate(schemas.events), asyncHandler(async (req, res) => {
+        const { channels, lastEventId } = req.query;
+
+        const denied = channels.find((channel) => !auth.canSubscribe(req.user, { kind: 'channel', name: channel }));
+        if (denied) {
+            throw ApiError.forbidden(`You are not allowed to read "${denied}"`);
+        }
+        if (!redisDriver.isAvailable()) {
+            throw redisUnavailable();
+        }
+
+        await eventStreams.open(req, res, { channels, lastEventId: req.get('Last-Event-ID') || lastEventId });
+        console.log(`Event stream opened for ${channels.join(', ')} (${eventStreams.count()} open).`);
+    }));
+
+    // --- Webhook Administration ---
+    // Every route in this section requires the admin role.
+
+    /**
+     * @route GET /webhooks
+     * @description Lists the registered webhooks (without their secrets).
+     */
+    app.get('/webhooks', auth.requireRole('admin'), asyncHandler(async (req, res) => {
+        res.status(200).json({ webhooks: await webhooks.list() });
+    }));
+
+    /**
+     * @route POST /webhooks
+     * @description Registers a URL that receives every message on a channel as a signed POST.
+     * The signing secret is generated unless given, and only returned in this response.
+     */
+    app.post('/webhooks', auth.requireRole('admin'), validate(schemas.createWebhook), asyncHandler(async (req, res) => {
+        const webhook = await webhooks.register({ ...req.body, createdBy: req.user.username });
+        console.log(`Webhook ${webhook.id} registered for "${webhook.channel}" by "${req.user.username}".`);
+        res.status(201).json({ message: 'Webhook registered', webhook });
+    }));
+
+    /**
+     * @route DELETE /webhooks/:id
+     * @description Removes a webhook; its queued deliveries are dropped.
+     */
+    app.delete('/webhooks/:id', auth.requireRole('admin'), validate(schemas.webhookId), asyncHandler(async (req, res) => {
+        const { id } = req.params;
+
+        if (!(await webhooks.remove(id))) {
+            throw ApiError.notFound('Webhook not found');
+        }
+        console.log(`Webhook ${id} removed by "${req.user.username}".`);
+        res.status(200).json({ message: 'Webhook removed', webhookId: id });
+    }));
+
+    // --- Error Handling ---
+    // Anything that fails while Redis is down is reported as a retryable 503 rather than a 500
+    app.use((err, req, res, next) => {
+        next(!(err instanceof ApiError) && !err.type && !redisDriver.isAvailable() ? redisUnavailable() : err);
+    });
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    // --- Socket.IO connection handling ---
+
+    // Failed socket events are acknowledged with the same { code, message, details } shape as HTTP errors
+    function socketFailure(err) {
+        const error = err instanceof ApiError ? err : new ApiError(500, 'INTERNAL_ERROR', err.message);
+        return { ok: false, code: error.code, message: error.message, details: error.details };
+    }
+
+    io.on('connection', (socket) => {
+        const { user } = socket.data;
+        console.log(`A user connected via Socket.IO (${user ? `${user.username}, ${user.role}` : 'anonymous'})`);
+
+        // Give the dashboard current numbers right away instead of waiting for the next cache read
+        socket.emit('cache_stats', cacheMetrics.snapshot());
+        trackPresence('connect', socket);
+
+        // subscribe, unsubscribe, replay and the release on disconnect run one at a time per socket, in the order
+        // they arrived, so an unsubscribe sent while its subscribe is still in flight cannot overtake it.
+        // The handlers never reject.
+        let previousEvent = Promise.resolve();
+        const inOrder = (handler) => (...args) => {
+            previousEvent = previousEvent.then(() => handler(...args));
+        };
+
+        // Clients send { channel } or { pattern } and may pass an acknowledgement callback
+        // subscribe, unsubscribe and replay share the socketEvent rate limit, counted per user or address
+        socket.on('subscribe', inOrder(async (target, ack) => {
+            try {
+                const limited = await rateLimiter.checkSocket(socket);
+                if (limited) throw limited;
+                const valid = parse(schemas.subscriptionTarget, target);
+                // A subscription made now would only take effect after Redis reconnects, so refuse it instead
+                if (!redisDriver.isAvailable()) throw redisUnavailable();
+                const subscribed = await subscriptionManager.subscribe(socket, valid);
+                console.log(`Socket ${socket.id} subscribed to ${subscribed.kind} "${subscribed.name}"`);
+                trackPresence('update', socket);
+                if (typeof ack === 'function') ack({ ok: true, ...subscribed });
+            } catch (err) {
+                console.error(`Socket ${socket.id} failed to subscribe:`, err.message);
+                if (typeof ack === 'function') ack(socketFailure(err));
+            }
+        }));
+
+        socket.on('unsubscribe', inOrder(async (target, ack) => {
+            try {
+                const limited = await rateLimiter.checkSocket(socket);
+                if (limited) throw limited;
+                const unsubscribed = await subscriptionManager.unsubscribe(socket, parse(schemas.subscriptionTarget, target));
+                console.log(`Socket ${socket.id} unsubscribed from ${unsubscribed.kind} "${unsubscribed.name}"`);
+                trackPresence('update', socket);
+                if (typeof ack === 'function') ack({ ok: true, ...unsubscribed });
+            } catch (err) {
+                console.error(`Socket ${socket.id} failed to unsubscribe:`, err.message);
+                if (typeof ack === 'function') ack(socketFailure(err));
+            }
+        }));
+
+        // Clients send { channel, lastId } after (re)connecting to receive every message they missed, however many
+        // that is. Without lastId the most recent messages are sent. Replayed messages are flagged with replayed: true.
+        socket.on('replay', inOrder(async (target, ack) => {
+            try {
+                const limited = await rateLimiter.checkSocket(socket);
+                if (limited) throw limited;
+                const { channel, lastId } = parse(schemas.replay, target);
+                if (!auth.canSubscribe(socket.data.user, { kind: 'channel', name: channel })) {
+                    throw ApiError.forbidden(`Not allowed to read "${channel}"`);
+                }
+
+                let count = 0;
+                for await (const envelope of messageHistory.replay(channel, lastId)) {
+                    socket.emit(channel === PRODUCT_UPDATES_CHANNEL ? 'product_updated' : 'channel_message', envelope, { replayed: true });
+                    count += 1;
+                }
+                console.log(`Replayed ${count} messages on "${channel}" to socket ${socket.id}`);
+                if (typeof ack === 'function') ack({ ok: true, count });
+            } catch (err) {
+                console.error(`Socket ${socket.id} failed to replay:`, err.message);
+                if (typeof ack === 'function') ack(socketFailure(err));
+            }
+        }));
+
+        socket.on('disconnect', () => {
+            console.log('User disconnected from Socket.IO');
+            trackPresence('disconnect', socket);
+        });
+
+        // Queued behind any subscribe still in flight, so the subscription it makes is released too
+        socket.on('disconnect', inOrder(async () => {
+            try {
+                await subscriptionManager.releaseAll(socket);
+            } catch (err) {
+                console.error(`Failed to release subscriptions for socket ${socket.id}:`, err);
+            }
+        }));
+    });
+
+    /**
+     * Shuts the instance down gracefully: /readyz starts answering 503, open event streams end, the HTTP
+     * server stops accepting connections and waits for requests in flight, Socket.IO clients are
+     * disconnected, the job workers finish their current job and every Redis subscription is dropped.
+     * Pending timers are cancelled. The Redis connections and SQLite belong to the caller.
+     */
+    async function close() {
+        closing = true;
+        clearTimeout(cacheStatsTimer);
+        cacheStatsTimer = null;
+        clearTimeout(presenceBroadcastTimer);
+        presenceBroadcastTimer = null;
+        clearInterval(presenceHeartbeat);
+        eventStreams.closeAll();
+        await new Promise((resolve) => io.close(() => resolve()));
+        await stopWebhookWorker();
+        await webhooks.stop();
+        if (stopProductWriteWorker) {
+            await stopProductWriteWorker();
+        }
+        if (redisDriver.isAvailable()) {
+            try {
+                await redisSubscriber.unsubscribe();
+                await redisSubscriber.pUnsubscribe();
+            } catch (err) {
+                console.warn('Could not unsubscribe from Redis channels:', err.message);
+            }
+        }
+    }
+
+    return { app, server, io, close };
+}
+
+module.exports = { createApp };
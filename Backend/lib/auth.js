@@ -0,0 +1,220 @@
+// lib/auth.js
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+/**
+ * Token-based authentication with sessions stored in Redis, plus per-channel permissions.
+ *
+ * Logging in creates a random session token stored as "session:<token>" with a TTL, so sessions
+ * are shared by every backend instance and can be revoked by deleting the key. The token is sent
+ * as "Authorization: Bearer <token>" on REST calls and as `auth.token` in the Socket.IO handshake.
+ * Each instance also remembers the sessions Redis recently confirmed, so users who were already signed in
+ * keep working while Redis is unreachable; a session is trusted that way for at most a few minutes.
+ *
+ * Channel permissions are an ordered list of rules; the first rule whose glob matches the channel
+ * decides which roles may publish to or subscribe to it. "*" in a role list means everyone,
+ * including anonymous clients.
+ */
+
+const DEFAULT_SESSION_TTL = 24 * 60 * 60; // 1 day
+
+// How long after Redis last confirmed a session it is still accepted while Redis is unreachable,
+// and how many such sessions one instance keeps
+const SESSION_FALLBACK_MS = 5 * 60 * 1000;
+const MAX_FALLBACK_SESSIONS = 1000;
+
+// Used when AUTH_USERS is not set. Fine for a local demo, never for a shared deployment.
+const DEFAULT_USERS = 'admin:admin:admin,demo:demo:user';
+
+// Channel rules used when CHANNEL_PERMISSIONS is not set
+const defaultChannelRules = (productUpdatesChannel = 'product_updates') => [
+    // Product events are published by the server itself; only admins may inject them by hand
+    { channel: productUpdatesChannel, publish: ['admin'], subscribe: ['*'] },
+    { channel: 'admin.*', publish: ['admin'], subscribe: ['admin'] },
+    { channel: '*', publish: ['user', 'admin'], subscribe: ['*'] }
+];
+const DEFAULT_CHANNEL_RULES = defaultChannelRules();
+
+/**
+ * Parses "name:password:role,name2:password2:role2" into user records with scrypt password hashes.
+ */
+function parseUsers(spec) {
+    const users = new Map();
+    for (const item of spec.split(',').map(part => part.trim()).filter(Boolean)) {
+        const [username, password, role = 'user'] = item.split(':');
+        if (!username || !password) {
+            throw new Error(`Invalid AUTH_USERS entry "${item}", expected name:password:role`);
+        }
+        const salt = crypto.randomBytes(16);
+        users.set(username, { username, role, salt, hash: crypto.scryptSync(password, salt, 32) });
+    }
+    return users;
+}
+
+// Converts a Redis-style glob ("news.*", "room?") into an anchored regular expression
+function globToRegExp(glob) {
+    const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Redis client used to store sessions.
+ * @param {string} [options.users] - User list in AUTH_USERS format.
+ * @param {number} [options.sessionTtl] - Session lifetime in seconds.
+ * @param {Array} [options.channelRules] - Ordered [{ channel, publish, subscribe }] permission rules.
+ */
+function createAuth({ client, users = DEFAULT_USERS, sessionTtl = DEFAULT_SESSION_TTL, channelRules = DEFAULT_CHANNEL_RULES }) {
+    const accounts = parseUsers(users);
+    const rules = channelRules.map(rule => ({ ...rule, regexp: globToRegExp(rule.channel) }));
+
+    const sessionKey = (token) => `session:${token}`;
+
+    // token -> { user, expiresAt }, oldest first, consulted only when the session lookup fails
+    const confirmedSessions = new Map();
+
+    const rememberSession = (token, user) => {
+        confirmedSessions.delete(token);
+        if (confirmedSessions.size >= MAX_FALLBACK_SESSIONS) {
+            confirmedSessions.delete(confirmedSessions.keys().next().value);
+        }
+        confirmedSessions.set(token, { user, expiresAt: Date.now() + SESSION_FALLBACK_MS });
+    };
+
+    /**
+     * Checks the credentials and creates a session. Resolves to { token, user } or null.
+     */
+    async function login(username, password) {
+        const account = accounts.get(username);
+        if (!account || typeof password !== 'string') return null;
+
+        const hash = crypto.scryptSync(password, account.salt, 32);
+        if (!crypto.timingSafeEqual(hash, account.hash)) return null;
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const user = { username: account.username, role: account.role };
+        await client.setEx(sessionKey(token), sessionTtl, JSON.stringify(user));
+        rememberSession(token, user);
+        return { token, user, expiresIn: sessionTtl };
+    }
+
+    async function logout(token) {
+        confirmedSessions.delete(token);
+        await client.del(sessionKey(token));
+    }
+
+    /**
+     * Resolves to the session's user, or null if the token is unknown or expired. If Redis cannot be
+     * reached, a session it confirmed within SESSION_FALLBACK_MS is accepted, otherwise the error is thrown.
+     */
+    async function resolveToken(token) {
+        if (typeof token !== 'string' || !token) return null;
+        let raw;
+        try {
+            raw = await client.get(sessionKey(token));
+        } catch (err) {
+            const confirmed = confirmedSessions.get(token);
+            if (confirmed && confirmed.expiresAt > Date.now()) return confirmed.user;
+            throw err;
+        }
+        if (!raw) {
+            confirmedSessions.delete(token);
+            return null;
+        }
+        const user = JSON.parse(raw);
+        rememberSession(token, user);
+        return user;
+    }
+
+    const bearerToken = (req) => {
+        const header = req.get('Authorization') || '';
+        return header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : null;
+    };
+
+    /**
+     * Express middleware that attaches req.user (or null for anonymous requests).
+     * A token that is present but invalid is rejected rather than treated as anonymous.
+     * If the session store cannot be reached the request fails with 503 instead of running as anonymous.
+     */
+    async function authenticate(req, res, next) {
+        req.user = null;
+        const token = bearerToken(req);
+        if (!token) return next();
+
+        let user;
+        try {
+            user = await resolveToken(token);
+        } catch (err) {
+            console.error('Failed to resolve session token:', err.message);
+            return next(ApiError.unavailable('Sessions are temporarily unavailable, please retry shortly'));
+        }
+
+        req.user = user;
+        req.token = token;
+        if (!req.user) {
+            return next(ApiError.unauthorized('Invalid or expired session'));
+        }
+        next();
+    }
+
+    /**
+     * Express middleware requiring a logged-in user, optionally with one of the given roles.
+     */
+    function requireRole(...roles) {
+        return (req, res, next) => {
+            if (!req.user) {
+                return next(ApiError.unauthorized());
+            }
+            if (roles.length > 0 && !roles.includes(req.user.role)) {
+                return next(ApiError.forbidden());
+            }
+            next();
+        };
+    }
+
+    /**
+     * Socket.IO middleware: resolves `handshake.auth.token` into socket.data.user.
+     * Connections without a token are allowed as anonymous; invalid tokens are refused.
+     */
+    async function authenticateSocket(socket, next) {
+        socket.data.user = null;
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+        if (!token) return next();
+
+        try {
+            socket.data.user = await resolveToken(token);
+            if (!socket.data.user) {
+                return next(new Error('Invalid or expired session'));
+            }
+            next();
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    const roleAllowed = (allowed, user) => allowed.includes('*') || Boolean(user && allowed.includes(user.role));
+
+    const ruleFor = (channel) => rules.find(rule => rule.regexp.test(channel));
+
+    function canPublish(user, channel) {
+        const rule = ruleFor(channel);
+        return Boolean(rule) && roleAllowed(rule.publish, user);
+    }
+
+    /**
+     * Channels are checked against their rule. A pattern may match any channel, so it is only
+     * allowed for users who could subscribe to every channel the rules cover.
+     */
+    function canSubscribe(user, { kind, name }) {
+        if (kind === 'pattern') {
+            return rules.every(rule => roleAllowed(rule.subscribe, user));
+        }
+        const rule = ruleFor(name);
+        return Boolean(rule) && roleAllowed(rule.subscribe, user);
+    }
+
+    return { login, logout, resolveToken, authenticate, requireRole, authenticateSocket, canPublish, canSubscribe };
+}
+
+module.exports = { createAuth, defaultChannelRules, DEFAULT_CHANNEL_RULES };
@@ -0,0 +1,387 @@
+// lib/cache.js
+
+const crypto = require('crypto');
+
+/**
+ * Reusable Redis caching layer.
+ *
+ * Every route that caches data goes through `cache.read(key, loader, options)` and picks one
+ * of the registered strategies instead of writing its own get/setEx logic:
+ *
+ * - "cache-aside": the caller supplies the loader; on a miss the value is loaded and written back.
+ * - "read-through": the cache owns the loader, registered up front with `registerLoader(prefix, loader)`,
+ *   so callers only ask for a key and never talk to the database themselves.
+ * - "stale-while-revalidate": values are fresh for `softTtl` seconds and kept in Redis for `hardTtl`
+ *   seconds. Stale values are served immediately while a single background refresh reloads them.
+ *
+ * Misses are rebuilt single-flight (see `rebuild`), so an invalidation triggers one database query
+ * no matter how many requests arrive at once, even across several server instances.
+ *
+ * `read` resolves to `{ value, status }` where status is "HIT", "MISS" or "STALE".
+ *
+ * While `isAvailable()` reports Redis as down, reads skip Redis entirely: the loader runs directly and
+ * the status is "BYPASS". Writes and invalidations still throw, so callers know they were missed.
+ *
+ * Every key lives under the cache's namespace, and so does everything the administration helpers
+ * (`scan`, `inspect`, `del`, `flush`) can reach: sessions, rate limits, queues and stream history
+ * share the same Redis database and must stay out of a cache flush.
+ */
+
+const DEFAULT_NAMESPACE = 'cache';
+const DEFAULT_TTL = 3600; // 1 hour, the TTL the /products cache has always used
+const DEFAULT_SOFT_TTL = 60; // Stale-while-revalidate: seconds before a cached value is considered stale
+const DEFAULT_LOCK_TTL_MS = 5000; // Upper bound for a single rebuild before waiters load on their own
+const DEFAULT_LOCK_POLL_MS = 50;
+
+// Generation counters and rebuild locks keep cached values consistent, so administration never lists or removes them
+const INTERNAL_KEY_PREFIXES = ['gen:', 'lock:'];
+const isInternalKey = (name) => INTERNAL_KEY_PREFIXES.some((prefix) => name.startsWith(prefix));
+
+// Releases the rebuild lock only if this process still owns it (it may have expired and been re-taken)
+const RELEASE_LOCK_SCRIPT = `
+    if redis.call('GET', KEYS[1]) == ARGV[1] then
+        return redis.call('DEL', KEYS[1])
+    end
+    return 0`;
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Connected node-redis client used for GET/SETEX/DEL/INCR.
+ * @param {string} [options.namespace] - Prefix added to every key as "<namespace>:<key>" (not empty, no glob characters).
+ * @param {number} [options.ttl] - Default expiry in seconds for cache-aside and read-through entries.
+ * @param {number} [options.softTtl] - Default freshness window in seconds for stale-while-revalidate.
+ * @param {number} [options.hardTtl] - Default Redis expiry in seconds for stale-while-revalidate.
+ * @param {string} [options.strategy] - Strategy used when `read` is called without one.
+ * @param {number} [options.lockTtlMs] - How long a rebuild lock is held before other instances give up waiting.
+ * @param {number} [options.lockPollMs] - How often waiting instances check whether the rebuilt value has landed.
+ * @param {Function} [options.onRead] - Called after every read with { key, status, durationMs }, e.g. for metrics.
+ * @param {Function} [options.isAvailable] - Returns false while Redis is unreachable, to serve reads from the loader.
+ */
+function createCache({
+    client,
+    namespace = DEFAULT_NAMESPACE,
+    ttl = DEFAULT_TTL,
+    softTtl = DEFAULT_SOFT_TTL,
+    hardTtl = ttl,
+    strategy: defaultStrategy = 'cache-aside',
+    lockTtlMs = DEFAULT_LOCK_TTL_MS,
+    lockPollMs = DEFAULT_LOCK_POLL_MS,
+    onRead = null,
+    isAvailable = () => true
+}) {
+    const loaders = []; // [{ prefix, loader }] used by read-through
+    const inflight = new Map(); // key -> promise of the rebuild this process is running or waiting on
+
+    // Without a namespace a flush would match the whole database; with glob characters it could match other prefixes
+    if (!namespace || /[*?[\]\\]/.test(namespace)) {
+        throw new TypeError(`Invalid cache namespace "${namespace}": it must be non-empty and free of glob characters`);
+    }
+
+    const key = (name) => `${namespace}:${name}`;
+
+    // --- Raw operations (keys are namespaced here, values are JSON) ---
+
+    async function get(name) {
+        const raw = await client.get(key(name));
+        return raw === null ? undefined : JSON.parse(raw);
+    }
+
+    async function set(name, value, seconds = ttl) {
+        await client.setEx(key(name), seconds, JSON.stringify(value));
+    }
+
+    async function del(names) {
+        const list = Array.isArray(names) ? names : [names];
+        if (list.length === 0) return 0;
+        return client.del(list.map(key));
+    }
+
+    // --- Generation counters ---
+    // A group of keys (e.g. every page/search/sort of the product list) embeds the group's current
+    // generation in its keys. Bumping the generation invalidates the whole group in one INCR; the
+    // orphaned keys simply expire with their TTL.
+
+    // Without Redis nothing is cached, so every group is at generation 0 until it comes back
+    async function generation(group) {
+        if (!isAvailable()) return 0;
+        const raw = await client.get(key(`gen:${group}`));
+        return raw === null ? 0 : Number(raw);
+    }
+
+    async function bumpGeneration(group) {
+        return client.incr(key(`gen:${group}`));
+    }
+
+    // --- Stampede protection ---
+
+    const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+    /**
+     * Rebuilds a missing or stale key with at most one loader call at a time.
+     *
+     * Within this process, concurrent callers share the same in-flight promise. Across processes,
+     * the first caller takes a Redis lock (SET NX PX) and the others poll the cache until the value
+     * appears. If the lock disappears without a value (its holder crashed or found nothing) or the
+     * lock expires, waiters fall back to loading from the source themselves.
+     *
+     * @param {string} name - Cache key, without the namespace.
+     * @param {Function} loader - Loads the value from the source of truth.
+     * @param {object} handlers
+     * @param {Function} handlers.write - Stores a freshly loaded value.
+     * @param {Function} handlers.unwrap - Extracts the value from what `get` returns while polling.
+     * @param {boolean} [handlers.wait] - When false, give up immediately if another process holds the lock.
+     */
+    function rebuild(name, loader, { write, unwrap, wait = true }) {
+        if (inflight.has(name)) {
+            return inflight.get(name);
+        }
+
+        const loadAndWrite = async () => {
+            const value = await loader();
+            if (value !== undefined) {
+                await write(value);
+            }
+            return value;
+        };
+
+        const promise = (async () => {
+            const lockKey = key(`lock:${name}`);
+            const token = crypto.randomUUID();
+            const acquired = await client.set(lockKey, token, { NX: true, PX: lockTtlMs });
+
+            if (acquired) {
+                try {
+                    return await loadAndWrite();
+                } finally {
+                    await client.eval(RELEASE_LOCK_SCRIPT, { keys: [lockKey], arguments: [token] });
+                }
+            }
+
+            if (!wait) return undefined;
+
+            // Another process is rebuilding: wait for its value instead of querying the source again
+            const deadline = Date.now() + lockTtlMs;
+            while (Date.now() < deadline) {
+                await sleep(lockPollMs);
+                const entry = await get(name);
+                if (entry !== undefined) {
+                    return unwrap(entry);
+                }
+                if (await client.get(lockKey) === null) {
+                    break;
+                }
+            }
+
+            console.warn(`Rebuild lock for cache key "${key(name)}" was released without a value, loading directly.`);
+            return loadAndWrite();
+        })().finally(() => {
+            inflight.delete(name);
+        });
+
+        inflight.set(name, promise);
+        return promise;
+    }
+
+    // --- Strategies ---
+
+    const strategies = {
+        'cache-aside': async (name, loader, options) => {
+            const cached = await get(name);
+            if (cached !== undefined) {
+                return { value: cached, status: 'HIT' };
+            }
+
+            const value = await rebuild(name, loader, {
+                write: (loaded) => set(name, loaded, options.ttl),
+                unwrap: (entry) => entry
+            });
+            return { value, status: 'MISS' };
+        },
+
+        'read-through': async (name, loader, options) => {
+            const registered = loader || findLoader(name);
+            if (!registered) {
+                throw new Error(`No read-through loader registered for cache key "${name}"`);
+            }
+            return strategies['cache-aside'](name, () => registered(name), options);
+        },
+
+        'stale-while-revalidate': async (name, loader, options) => {
+            const entry = await get(name);
+
+            if (entry !== undefined) {
+                if (Date.now() < entry.freshUntil) {
+                    return { value: entry.value, status: 'HIT' };
+                }
+                // Serve the stale value now and refresh it in the background, unless someone already is
+                revalidate(name, loader, options, false).catch((err) => {
+                    console.error(`Background refresh of cache key "${key(name)}" failed:`, err);
+                });
+                return { value: entry.value, status: 'STALE' };
+            }
+
+            const value = await revalidate(name, loader, options, true);
+            return { value, status: 'MISS' };
+        }
+    };
+
+    function findLoader(name) {
+        const match = loaders.find(({ prefix }) => name.startsWith(prefix));
+        return match && match.loader;
+    }
+
+    // Loads a fresh value and stores it together with its freshness deadline
+    function revalidate(name, loader, options, wait) {
+        return rebuild(name, loader, {
+            write: (value) => set(name, { value, freshUntil: Date.now() + options.softTtl * 1000 }, options.hardTtl),
+            unwrap: (entry) => entry.value,
+            wait
+        });
+    }
+
+    /**
+     * Reads a key using the chosen strategy.
+     *
+     * @param {string} name - Cache key, without the namespace.
+     * @param {Function} [loader] - Async function returning the value from the source of truth.
+     *   Returning undefined means "not found" and nothing is cached. Optional for read-through.
+     * @param {object} [options] - { strategy, ttl, softTtl, hardTtl } overriding the cache defaults,
+     *   and `statsKey` to report the read under a stable name instead of the exact key.
+     */
+    async function read(name, loader, options = {}) {
+        const strategyName = options.strategy || defaultStrategy;
+        const strategy = strategies[strategyName];
+        if (!strategy) {
+            throw new Error(`Unknown cache strategy "${strategyName}"`);
+        }
+
+        const startedAt = process.hrtime.bigint();
+        let result;
+        if (isAvailable()) {
+            result = await strategy(name, loader, {
+                ttl: options.ttl || ttl,
+                softTtl: options.softTtl || softTtl,
+                hardTtl: options.hardTtl || hardTtl
+            });
+        } else {
+            const source = loader || findLoader(name);
+            if (!source) {
+                throw new Error(`No loader available for cache key "${name}" while Redis is unavailable`);
+            }
+            result = { value: await (loader ? loader() : source(name)), status: 'BYPASS' };
+        }
+
+        if (onRead) {
+            const durationMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+            onRead({ key: options.statsKey || name, status: result.status, durationMs });
+        }
+        return result;
+    }
+
+    /**
+     * Writes a value ahead of any request (e.g. POST /cache/warm), in the format the given
+     * strategy reads back: stale-while-revalidate entries carry their freshness deadline.
+     */
+    async function warm(name, value, options = {}) {
+        const strategyName = options.strategy || defaultStrategy;
+        if (strategyName === 'stale-while-revalidate') {
+            const freshUntil = Date.now() + (options.softTtl || softTtl) * 1000;
+            await set(name, { value, freshUntil }, options.hardTtl || hardTtl);
+        } else {
+            await set(name, value, options.ttl || ttl);
+        }
+    }
+
+    // --- Administration (backed by SCAN, TYPE, TTL and MEMORY USAGE) ---
+
+    const stripNamespace = (fullKey) => fullKey.slice(namespace.length + 1);
+
+    // TTL is -1 for keys without expiry and -2 for keys that no longer exist; bytes may be null
+    async function describe(fullKey) {
+        const [type, ttlSeconds, bytes] = await Promise.all([
+            client.type(fullKey),
+            client.ttl(fullKey),
+            client.memoryUsage(fullKey)
+        ]);
+        return { key: stripNamespace(fullKey), type, ttl: ttlSeconds, bytes };
+    }
+
+    /**
+     * Lists one SCAN page of keys in this cache's namespace with their type, TTL and size, leaving out
+     * generation counters and locks. Pass the returned cursor back to continue; a cursor of 0 means the
+     * scan is complete.
+     */
+    async function scan({ match = '*', cursor = 0, count = 100 } = {}) {
+        const reply = await client.scan(cursor, { MATCH: key(match), COUNT: count });
+        const visible = reply.keys.filter((fullKey) => !isInternalKey(stripNamespace(fullKey)));
+        const keys = await Promise.all(visible.map(describe));
+        return { cursor: reply.cursor, keys };
+    }
+
+    /**
+     * Returns a key's metadata and value (parsed as JSON when possible), or undefined if it does not exist.
+     * Only string values are read; other types are described without their value.
+     */
+    async function inspect(name) {
+        const info = await describe(key(name));
+        if (info.type === 'none') return undefined;
+
+        let value = null;
+        if (info.type === 'string') {
+            const raw = await client.get(key(name));
+            try {
+                value = JSON.parse(raw);
+            } catch (err) {
+                value = raw;
+            }
+        }
+        return { ...info, value };
+    }
+
+    /**
+     * Deletes every key in this cache's namespace that matches `match`, except generation counters and
+     * locks, and returns how many were removed. Uses SCAN rather than KEYS so Redis is never blocked on
+     * a large keyspace.
+     */
+    async function flush(match = '*') {
+        let deleted = 0;
+        let batch = [];
+        for await (const fullKey of client.scanIterator({ MATCH: key(match), COUNT: 100 })) {
+            // Deleting a generation counter would bring back the pages it once invalidated
+            if (isInternalKey(stripNamespace(fullKey))) continue;
+            batch.push(fullKey);
+            if (batch.length >= 100) {
+                deleted += await client.del(batch);
+                batch = [];
+            }
+        }
+        if (batch.length > 0) {
+            deleted += await client.del(batch);
+        }
+        return deleted;
+    }
+
+    /**
+     * Registers the loader read-through uses for every key starting with `prefix`.
+     * The loader receives the full (un-namespaced) key.
+     */
+    function registerLoader(prefix, loader) {
+        loaders.push({ prefix, loader });
+    }
+
+    /**
+     * Adds a custom strategy: `fn(name, loader, options)` must resolve to `{ value, status }`.
+     */
+    function registerStrategy(strategyName, fn) {
+        strategies[strategyName] = fn;
+    }
+
+    return {
+        key, get, set, del, read, warm,
+        generation, bumpGeneration,
+        scan, inspect, flush,
+        registerLoader, registerStrategy
+    };
+}
+
+module.exports = { createCache, isInternalKey, DEFAULT_NAMESPACE, DEFAULT_TTL, DEFAULT_SOFT_TTL, RELEASE_LOCK_SCRIPT };
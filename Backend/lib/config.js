@@ -0,0 +1,184 @@
+// lib/config.js
+
+const fs = require('fs');
+const { z } = require('zod');
+const { DEFAULT_NAMESPACE, DEFAULT_TTL, DEFAULT_SOFT_TTL } = require('./cache');
+const { WRITE_MODES } = require('./productWrites');
+const { CHANNEL_NAME_PATTERN } = require('./validation');
+
+/**
+ * Backend configuration, read and validated once at startup.
+ *
+ * Settings come from environment variables (and .env, loaded by server.js). CONFIG_FILE may name a
+ * JSON file with the same keys, for deployments that prefer a mounted file:
+ *
+ *     { "PORT": 8080, "SQLITE_PATH": "/data/database.db", "CORS_ORIGINS": "https://shop.example.com" }
+ *
+ * Environment variables win over the file, and empty values count as unset. Every problem is
+ * reported at once when the process starts, instead of surfacing later as a NaN TTL or a typo'd
+ * write mode. Tuning knobs left unset keep the defaults of the module they belong to.
+ */
+
+const CACHE_STRATEGIES = ['cache-aside', 'stale-while-revalidate'];
+
+// Values from the environment are text, values from the config file may already be numbers or JSON
+const integer = ({ min = 0, max = Number.MAX_SAFE_INTEGER } = {}) => z.coerce
+    .number({ invalid_type_error: 'must be a number' })
+    .int('must be an integer')
+    .min(min, `must be at least ${min}`)
+    .max(max, `must be at most ${max}`);
+
+const json = (schema) => z.unknown().transform((value, ctx) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        ctx.addIssue({ code: 'custom', message: 'must be valid JSON' });
+        return z.NEVER;
+    }
+}).pipe(schema);
+
+// "a, b" or ["a", "b"] -> ['a', 'b']
+const list = z.union([z.string(), z.array(z.string())])
+    .transform((value) => (Array.isArray(value) ? value : value.split(',')).map((item) => item.trim()).filter(Boolean));
+
+const channelRule = z.object({
+    channel: z.string(),
+    publish: z.array(z.string()),
+    subscribe: z.array(z.string())
+});
+
+const rateLimit = z.object({ limit: z.number().int().positive(), windowMs: z.number().int().positive() });
+
+const variables = z.object({
+    PORT: integer({ min: 0, max: 65535 }).default(5000),
+    CORS_ORIGINS: list.default('*'),
+    TRUST_PROXY: z.string().optional(),
+    SHUTDOWN_TIMEOUT_MS: integer({ min: 1 }).default(10000),
+
+    REDIS_DRIVER: z.enum(['redis', 'memory'], { errorMap: () => ({ message: 'must be "redis" or "memory"' }) }).optional(),
+    REDIS_CLOUD_URL: z.string().regex(/^rediss?:\/\//, 'must start with redis:// or rediss://').optional(),
+    SQLITE_PATH: z.string().default('./database.db'),
+
+    AUTH_USERS: z.string().optional(),
+    SESSION_TTL_SECONDS: integer({ min: 1 }).optional(),
+    CHANNEL_PERMISSIONS: json(z.array(channelRule, { invalid_type_error: 'must be an array of { channel, publish, subscribe }' })).optional(),
+    RATE_LIMITS: json(z.record(rateLimit, { invalid_type_error: 'must map limiter names to { limit, windowMs }' })).optional(),
+
+    // Cache administration can only reach keys under this prefix, so it is never empty
+    CACHE_NAMESPACE: z.string().regex(/^[A-Za-z0-9_.:-]+$/, 'must only contain letters, digits, "_", ".", ":" and "-"').default(DEFAULT_NAMESPACE),
+    CACHE_TTL_SECONDS: integer({ min: 1 }).default(DEFAULT_TTL),
+    CACHE_SOFT_TTL_SECONDS: integer({ min: 1 }).default(DEFAULT_SOFT_TTL),
+    PRODUCTS_CACHE_STRATEGY: z.enum(CACHE_STRATEGIES, {
+        errorMap: () => ({ message: `must be one of: ${CACHE_STRATEGIES.join(', ')}` })
+    }).default('cache-aside'),
+
+    PRODUCT_UPDATES_CHANNEL: z.string().regex(CHANNEL_NAME_PATTERN, 'must be a valid channel name').default('product_updates'),
+    CHANNEL_HISTORY_MAXLEN: integer({ min: 1 }).optional(),
+    PRESENCE_TTL_SECONDS: integer({ min: 1 }).optional(),
+
+    PRODUCT_WRITE_MODE: z.enum(WRITE_MODES, {
+        errorMap: () => ({ message: `must be one of: ${WRITE_MODES.join(', ')}` })
+    }).default('direct'),
+    WRITE_BEHIND_MAX_ATTEMPTS: integer({ min: 1 }).optional(),
+    WRITE_BEHIND_BACKOFF_MS: integer({ min: 1 }).optional(),
+    WRITE_BEHIND_POLL_MS: integer({ min: 1 }).optional(),
+
+    WEBHOOK_MAX_ATTEMPTS: integer({ min: 1 }).optional(),
+    WEBHOOK_BACKOFF_MS: integer({ min: 1 }).optional(),
+    WEBHOOK_POLL_MS: integer({ min: 1 }).optional(),
+    WEBHOOK_TIMEOUT_MS: integer({ min: 1 }).optional()
+});
+
+// Rules that span several variables. Checked separately, since zod skips refinements of an object with invalid fields.
+function crossChecks(values) {
+    const problems = [];
+    if (values.REDIS_DRIVER === 'redis' && !values.REDIS_CLOUD_URL) {
+        problems.push({ path: ['REDIS_CLOUD_URL'], message: 'is required when REDIS_DRIVER is "redis"' });
+    }
+    return problems;
+}
+
+// The flat variables, grouped by the part of the backend that uses them
+const toConfig = (vars) => ({
+    port: vars.PORT,
+    corsOrigins: vars.CORS_ORIGINS,
+    trustProxy: vars.TRUST_PROXY && /^\d+$/.test(vars.TRUST_PROXY) ? Number(vars.TRUST_PROXY) : vars.TRUST_PROXY,
+    shutdownTimeoutMs: vars.SHUTDOWN_TIMEOUT_MS,
+    redis: {
+        // By default the URL is used when there is one, and the embedded in-memory Redis otherwise
+        driver: vars.REDIS_DRIVER || (vars.REDIS_CLOUD_URL ? 'redis' : 'memory'),
+        url: vars.REDIS_CLOUD_URL
+    },
+    sqlite: { path: vars.SQLITE_PATH },
+    auth: {
+        users: vars.AUTH_USERS,
+        sessionTtl: vars.SESSION_TTL_SECONDS,
+        channelRules: vars.CHANNEL_PERMISSIONS
+    },
+    rateLimits: vars.RATE_LIMITS,
+    cache: {
+        namespace: vars.CACHE_NAMESPACE,
+        ttl: vars.CACHE_TTL_SECONDS,
+        softTtl: vars.CACHE_SOFT_TTL_SECONDS,
+        productsStrategy: vars.PRODUCTS_CACHE_STRATEGY
+    },
+    channels: {
+        productUpdates: vars.PRODUCT_UPDATES_CHANNEL,
+        historyMaxLen: vars.CHANNEL_HISTORY_MAXLEN
+    },
+    presence: {
+        ttlMs: vars.PRESENCE_TTL_SECONDS && vars.PRESENCE_TTL_SECONDS * 1000
+    },
+    productWrites: {
+        mode: vars.PRODUCT_WRITE_MODE,
+        maxAttempts: vars.WRITE_BEHIND_MAX_ATTEMPTS,
+        backoffMs: vars.WRITE_BEHIND_BACKOFF_MS,
+        pollMs: vars.WRITE_BEHIND_POLL_MS
+    },
+    webhooks: {
+        maxAttempts: vars.WEBHOOK_MAX_ATTEMPTS,
+        backoffMs: vars.WEBHOOK_BACKOFF_MS,
+        pollMs: vars.WEBHOOK_POLL_MS,
+        timeoutMs: vars.WEBHOOK_TIMEOUT_MS
+    }
+});
+
+// Drops empty values, so `FOO=` in .env behaves like an unset FOO
+const withoutEmpty = (values) => Object.fromEntries(
+    Object.entries(values).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+function readConfigFile(file) {
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read CONFIG_FILE ${file}: ${err.message}`);
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+        throw new Error(`CONFIG_FILE ${file} must contain a JSON object`);
+    }
+    return values;
+}
+
+/**
+ * Builds the configuration from the environment and, when given, a JSON config file.
+ * Throws an Error listing every invalid setting.
+ *
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment variables, process.env by default.
+ * @param {string} [options.file] - JSON config file, CONFIG_FILE from the environment by default.
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+    const values = { ...withoutEmpty(file ? readConfigFile(file) : {}), ...withoutEmpty(env) };
+    const result = variables.safeParse(values);
+    const issues = [...(result.success ? [] : result.error.issues), ...crossChecks(values)];
+    if (issues.length > 0) {
+        const problems = issues.map((issue) => `  - ${issue.path.join('.')}: ${issue.message}`);
+        throw new Error(`Invalid configuration:\n${problems.join('\n')}`);
+    }
+    return toConfig(result.data);
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,40 @@
+// lib/db.js
+
+const sqlite3 = require('sqlite3').verbose(); // SQLite database driver
+const { createMigrator } = require('./migrations'); // Versioned schema migrations
+
+/**
+ * Opens (or creates) the SQLite database and brings the schema up to date.
+ * Pass ":memory:" for a throwaway database, as the tests do.
+ *
+ * @param {string} filename - Path of the database file.
+ * @param {object} [options]
+ * @param {boolean} [options.migrate] - Apply pending migrations (default true). `npm run migrate` opens without them.
+ * @returns {Promise<sqlite3.Database>} Resolves once the database is open and migrated.
+ */
+function openDatabase(filename, { migrate = true } = {}) {
+    return new Promise((resolve, reject) => {
+        const db = new sqlite3.Database(filename, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+            if (err) {
+                console.error('SQLite Database Error:', err.message);
+                return reject(err);
+            }
+            console.log('Connected to the SQLite database.');
+            // Several instances may share the file: wait for another one's write transaction instead of failing with SQLITE_BUSY
+            db.configure('busyTimeout', 5000);
+            if (!migrate) return resolve(db);
+
+            createMigrator({ db }).up()
+                .then((applied) => {
+                    console.log(applied.length > 0 ? `Applied ${applied.length} database migrations.` : 'Database schema is up to date.');
+                    resolve(db);
+                })
+                .catch((err) => {
+                    console.error('Error migrating the database:', err.message);
+                    db.close(() => reject(err));
+                });
+        });
+    });
+}
+
+module.exports = { openDatabase };
@@ -0,0 +1,147 @@
+// lib/envelopes.js
+
+const { z } = require('zod');
+
+/**
+ * Message envelopes: the one shape of every message published on any channel.
+ *
+ *     {
+ *         "id": "1700000000000-0",          stream ID from lib/history.js, null for messages published by other tools
+ *         "channel": "product_updates",
+ *         "type": "UPDATED_PRODUCT",         a type from EVENT_TYPES
+ *         "version": 1,                      version of that type's payload schema
+ *         "timestamp": "2024-01-01T00:00:00.000Z",
+ *         "sender": { "kind": "user", "name": "admin", "role": "admin" },
+ *         "requestId": "c0ffee-1",           X-Request-Id of the request that caused it, or null
+ *         "payload": { ... }
+ *     }
+ *
+ * `sender.kind` is "user" for messages a logged-in user caused, "system" for messages the backend
+ * sends on its own and "external" for anything published around the backend (e.g. redis-cli).
+ * `requestId` lets the client that made a write tell its own events apart from everyone else's.
+ *
+ * Envelopes are validated when they are created and decoded once where they leave Redis, so
+ * Socket.IO clients, Server-Sent Events and webhooks all receive the same parsed object. When a
+ * payload changes incompatibly, bump its type's version and keep consumers able to read the old one.
+ */
+
+const productRow = z.object({
+    id: z.number().int().positive(),
+    name: z.string(),
+    description: z.string().nullable(),
+    price: z.number().nonnegative(),
+    stock: z.number().int().nonnegative(),
+    category: z.string().nullable(),
+    created_at: z.string(),
+    updated_at: z.string(),
+    version: z.number().int().positive()
+});
+
+/**
+ * The registry of event types. `publishable` types may be sent by clients through POST /publish;
+ * the product events are only sent by the backend, on its product updates channel.
+ */
+const EVENT_TYPES = {
+    TEXT_MESSAGE: {
+        version: 1,
+        publishable: true,
+        payload: z.object({
+            text: z.string({ required_error: 'Text is required', invalid_type_error: 'Text must be a string' })
+                .min(1, 'Text is required')
+                .max(2000, 'Text must be at most 2000 characters')
+        })
+    },
+    NEW_PRODUCT: { version: 1, payload: productRow },
+    UPDATED_PRODUCT: { version: 1, payload: productRow },
+    DELETED_PRODUCT: { version: 1, payload: z.object({ id: z.number().int().positive() }) }
+};
+
+const STREAM_ID_PATTERN = /^\d+-\d+$/;
+
+const SYSTEM_SENDER = Object.freeze({ kind: 'system', name: 'backend' });
+const EXTERNAL_SENDER = Object.freeze({ kind: 'external', name: 'unknown' });
+
+// The sender recorded for a request's user, or the backend itself when there is none
+const senderFor = (user) => (user ? { kind: 'user', name: user.username, role: user.role } : SYSTEM_SENDER);
+
+const envelopeShape = z.object({
+    channel: z.string(),
+    type: z.string(),
+    version: z.number().int().positive(),
+    timestamp: z.string(),
+    sender: z.object({ kind: z.string(), name: z.string() }).passthrough(),
+    requestId: z.string().nullable().default(null),
+    payload: z.unknown()
+});
+
+/**
+ * Builds an envelope for the backend to publish. Throws if the type is unknown or the payload does
+ * not match its schema: that is a bug, not bad input, which the request schemas in lib/validation.js
+ * reject first.
+ */
+function createEnvelope({ channel, type, payload, sender = SYSTEM_SENDER, requestId = null }) {
+    const definition = EVENT_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown event type "${type}"`);
+    }
+    return {
+        id: null,
+        channel,
+        type,
+        version: definition.version,
+        timestamp: new Date().toISOString(),
+        sender,
+        requestId,
+        payload: definition.payload.parse(payload)
+    };
+}
+
+// Messages from before envelopes, or from other tools: { type, payload } objects or plain text
+function wrapLegacy(channel, value, timestamp) {
+    const base = { channel, version: 1, timestamp, sender: EXTERNAL_SENDER, requestId: null };
+    if (value && typeof value === 'object' && EVENT_TYPES[value.type] && 'payload' in value) {
+        return { ...base, type: value.type, payload: value.payload };
+    }
+    return { ...base, type: 'TEXT_MESSAGE', payload: { text: typeof value === 'string' ? value : JSON.stringify(value) } };
+}
+
+/**
+ * Turns raw text from Redis into an envelope. Never throws: anything that is not an envelope is
+ * wrapped in one, as a TEXT_MESSAGE unless it looks like a registered { type, payload } event.
+ *
+ * @param {string} raw - Pub/Sub payload or stream entry.
+ * @param {object} context
+ * @param {string} context.channel - Channel the message arrived on.
+ * @param {string|null} [context.id] - Stream ID, when known from the stream itself.
+ */
+function decodeEnvelope(raw, { channel, id = null }) {
+    let value = raw;
+    try {
+        value = JSON.parse(raw);
+    } catch (err) {
+        // Plain text
+    }
+    const timestamp = id ? new Date(Number(id.split('-')[0])).toISOString() : new Date().toISOString();
+
+    // Pub/Sub payloads published before envelopes: { id, message }
+    if (value && typeof value === 'object' && STREAM_ID_PATTERN.test(value.id) && typeof value.message === 'string') {
+        return decodeEnvelope(value.message, { channel, id: value.id });
+    }
+    const parsed = envelopeShape.safeParse(value);
+    if (parsed.success) {
+        return { id: id || (STREAM_ID_PATTERN.test(value.id) ? value.id : null), ...parsed.data, channel };
+    }
+    return { id: id || null, ...wrapLegacy(channel, value, timestamp) };
+}
+
+// Stream entries store everything but the ID, which Redis assigns on XADD
+const encodeEnvelope = ({ id, ...envelope }) => JSON.stringify(envelope);
+
+module.exports = {
+    EVENT_TYPES,
+    SYSTEM_SENDER,
+    senderFor,
+    createEnvelope,
+    decodeEnvelope,
+    encodeEnvelope
+};
@@ -0,0 +1,96 @@
+// lib/errors.js
+
+/**
+ * Structured API errors.
+ *
+ * Route handlers and middleware never write error responses themselves: they throw (or pass to
+ * `next`) an ApiError, and `errorHandler` turns it into a JSON body of the form
+ *
+ *     { "code": "VALIDATION_ERROR", "message": "Request validation failed", "details": [...] }
+ *
+ * `code` is a stable machine-readable identifier, `message` is meant for people and `details`
+ * carries extra data such as per-field validation problems or a retry delay (null when unused).
+ * Any other error is logged and reported as a 500 INTERNAL_ERROR without leaking its message.
+ */
+
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status code.
+     * @param {string} code - Stable identifier such as "NOT_FOUND".
+     * @param {string} message - Human-readable description.
+     * @param {*} [details] - Extra data for the client, e.g. [{ field, location, message }].
+     */
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    // details: [{ field, location, message }], one entry per invalid field
+    static validation(details, message = 'Request validation failed') {
+        return new ApiError(400, 'VALIDATION_ERROR', message, details);
+    }
+
+    static unauthorized(message = 'Authentication required') {
+        return new ApiError(401, 'UNAUTHORIZED', message);
+    }
+
+    static forbidden(message = 'You do not have permission to do this') {
+        return new ApiError(403, 'FORBIDDEN', message);
+    }
+
+    static notFound(message = 'Not found') {
+        return new ApiError(404, 'NOT_FOUND', message);
+    }
+
+    // details: { current }, the resource as it is now, so the client can show what changed
+    static conflict(message, details = null) {
+        return new ApiError(409, 'CONFLICT', message, details);
+    }
+
+    static tooManyRequests(retryAfter) {
+        return new ApiError(429, 'RATE_LIMITED', 'Too many requests, please slow down', { retryAfter });
+    }
+
+    static unavailable(message, retryAfter) {
+        return new ApiError(503, 'SERVICE_UNAVAILABLE', message, retryAfter ? { retryAfter } : null);
+    }
+}
+
+/**
+ * Wraps an async route handler so a rejected promise reaches the error handler
+ * (Express 4 only forwards errors thrown synchronously).
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+// Catch-all for routes that do not exist, registered after every route
+function notFoundHandler(req, res, next) {
+    next(ApiError.notFound(`Route ${req.method} ${req.path} not found`));
+}
+
+// Express error-handling middleware (recognized by its four parameters); must be registered last
+function errorHandler(err, req, res, next) {
+    let error = err;
+    if (err.type === 'entity.parse.failed') {
+        error = new ApiError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    } else if (err.type === 'entity.too.large') {
+        error = new ApiError(413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    } else if (!(err instanceof ApiError)) {
+        console.error(`Error in ${req.method} ${req.originalUrl}:`, err);
+        error = new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+    }
+
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (error.details && error.details.retryAfter) {
+        res.set('Retry-After', String(error.details.retryAfter));
+    }
+    res.status(error.status).json({ code: error.code, message: error.message, details: error.details });
+}
+
+module.exports = { ApiError, asyncHandler, notFoundHandler, errorHandler };
@@ -0,0 +1,112 @@
+// lib/history.js
+
+/**
+ * Message history for Pub/Sub channels, kept in Redis Streams.
+ *
+ * Pub/Sub is fire-and-forget: a browser that is not connected at the moment of PUBLISH never
+ * sees the message. Every message the backend publishes is therefore also appended to the
+ * stream "stream:<channel>" (XADD with an approximate MAXLEN), and the stream entry ID travels
+ * with the live Pub/Sub message. Clients remember the last ID they saw and, after a reconnect,
+ * ask for everything newer (XRANGE with an exclusive start) to fill the gap. `replay` reads that gap
+ * page by page until it is caught up, so nothing still in the stream is skipped however long the
+ * client was away.
+ *
+ * Messages are envelopes (lib/envelopes.js) whose ID is their stream ID. Everything read back,
+ * live or from the stream, is decoded into an envelope here, once.
+ */
+
+const { decodeEnvelope, encodeEnvelope } = require('./envelopes');
+
+const DEFAULT_MAX_LEN = 1000; // Entries kept per channel (trimmed approximately, which is cheaper)
+const DEFAULT_REPLAY_LIMIT = 100; // Most entries returned by one history or replay request
+const STREAM_ID_PATTERN = /^\d+-\d+$/;
+
+const streamKey = (channel) => `stream:${channel}`;
+
+/**
+ * Decodes a Pub/Sub payload published through `publish` into its envelope, stream ID included.
+ * Messages published by other tools (e.g. redis-cli) are wrapped in an envelope with a null ID.
+ */
+function parsePayload(raw, channel) {
+    return decodeEnvelope(raw, { channel });
+}
+
+// Orders two stream IDs ("<ms>-<seq>"): negative if a is older, positive if newer, 0 if equal
+function compareStreamIds(a, b) {
+    const [aMs, aSeq] = a.split('-').map(Number);
+    const [bMs, bSeq] = b.split('-').map(Number);
+    return (aMs - bMs) || (aSeq - bSeq);
+}
+
+const toEnvelope = (channel) => ({ id, message }) => decodeEnvelope(message.message, { channel, id });
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Redis client for XADD/XRANGE/XREVRANGE (not the subscriber).
+ * @param {object} options.publisher - Redis client used to PUBLISH.
+ * @param {number} [options.maxLen] - Approximate number of entries kept per channel.
+ */
+function createMessageHistory({ client, publisher, maxLen = DEFAULT_MAX_LEN }) {
+    /**
+     * Appends an envelope (see lib/envelopes.js) to the channel's stream, then publishes it with the
+     * new stream ID as its ID. Resolves to the stream ID.
+     */
+    async function publish(channel, envelope) {
+        const id = await client.xAdd(streamKey(channel), '*', { message: encodeEnvelope(envelope) }, {
+            TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: maxLen }
+        });
+        await publisher.publish(channel, JSON.stringify({ ...envelope, id }));
+        return id;
+    }
+
+    /**
+     * Returns the envelopes of the most recent messages of a channel in chronological order.
+     * With `before`, only messages older than that ID are returned (for paging further back).
+     */
+    async function recent(channel, { limit = DEFAULT_REPLAY_LIMIT, before } = {}) {
+        const end = before ? `(${before}` : '+';
+        const entries = await client.xRevRange(streamKey(channel), end, '-', { COUNT: limit });
+        return entries.reverse().map(toEnvelope(channel));
+    }
+
+    /**
+     * Returns the messages published after `lastId` (exclusive), oldest first.
+     * Without `lastId` this is the same as `recent`.
+     */
+    async function since(channel, lastId, { limit = DEFAULT_REPLAY_LIMIT } = {}) {
+        if (!lastId) {
+            return recent(channel, { limit });
+        }
+        const entries = await client.xRange(streamKey(channel), `(${lastId}`, '+', { COUNT: limit });
+        return entries.map(toEnvelope(channel));
+    }
+
+    /**
+     * Yields every message published after `lastId` (exclusive), oldest first, reading `pageSize`
+     * entries at a time until the stream is caught up. Without `lastId` only the most recent page is
+     * yielded, like `recent`. How far back this reaches is bounded by `maxLen`.
+     */
+    async function* replay(channel, lastId, { pageSize = DEFAULT_REPLAY_LIMIT } = {}) {
+        if (!lastId) {
+            yield* await recent(channel, { limit: pageSize });
+            return;
+        }
+        let cursor = lastId;
+        for (;;) {
+            const page = await since(channel, cursor, { limit: pageSize });
+            yield* page;
+            if (page.length < pageSize) return;
+            cursor = page[page.length - 1].id;
+        }
+    }
+
+    return { publish, recent, since, replay };
+}
+
+module.exports = {
+    createMessageHistory,
+    parsePayload,
+    compareStreamIds,
+    isStreamId: (id) => STREAM_ID_PATTERN.test(id),
+    DEFAULT_REPLAY_LIMIT
+};
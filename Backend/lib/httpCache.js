@@ -0,0 +1,46 @@
+// lib/httpCache.js
+
+const crypto = require('crypto');
+
+/**
+ * HTTP caching for read routes, on top of the Redis cache.
+ *
+ * Responses carry an ETag and `Cache-Control: no-cache`: browsers and proxies may keep them, but must
+ * check back before each reuse. A request whose If-None-Match still lists the current ETag gets an
+ * empty 304 Not Modified, so an unchanged page of products costs a Redis read instead of the whole
+ * JSON body. The ETag comes from the value itself (as cached in Redis, or loaded from SQLite while Redis
+ * is down), so it changes exactly when the content does, even if Redis loses its counters.
+ */
+
+const CACHE_CONTROL = 'no-cache';
+
+// Strong ETag for a JSON value, e.g. "q8P3xY0c2bLw9kTzR1mV4A"
+const valueETag = (value) => `"${crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url').slice(0, 22)}"`;
+
+// Whether an If-None-Match header lists `etag` (or is *). The comparison is weak, as RFC 9110 requires,
+// so a W/ prefix added by a proxy does not matter.
+function ifNoneMatch(header, etag) {
+    if (!header) return false;
+    const opaque = (tag) => tag.trim().replace(/^W\//, '');
+    return header.split(',').some((tag) => tag.trim() === '*' || opaque(tag) === opaque(etag));
+}
+
+/**
+ * Sends `body` as JSON with its ETag and Cache-Control, or 304 without a body when the client's
+ * If-None-Match shows it already has this version.
+ *
+ * @param {object} req - Express request.
+ * @param {object} res - Express response; headers set before (e.g. X-Cache) are kept on the 304.
+ * @param {*} body - JSON value to send.
+ * @param {string} [etag] - Quoted ETag, derived from the body when omitted.
+ */
+function sendCacheable(req, res, body, etag = valueETag(body)) {
+    res.set({ ETag: etag, 'Cache-Control': CACHE_CONTROL });
+    if (ifNoneMatch(req.get('If-None-Match'), etag)) {
+        res.status(304).end();
+        return;
+    }
+    res.status(200).json(body);
+}
+
+module.exports = { CACHE_CONTROL, valueETag, ifNoneMatch, sendCacheable };
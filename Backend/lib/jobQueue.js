@@ -0,0 +1,266 @@
+// lib/jobQueue.js
+
+const crypto = require('crypto');
+
+/**
+ * Reliable job queue stored in Redis, shared by every backend instance.
+ *
+ * A queue named "product-writes" uses four keys:
+ *
+ * - queue:product-writes:pending     list of jobs waiting for a worker (FIFO)
+ * - queue:product-writes:processing  sorted set of claimed jobs, scored by when their lease expires
+ * - queue:product-writes:delayed     sorted set of failed jobs, scored by when they may be retried
+ * - queue:product-writes:dead        list of jobs that failed permanently or ran out of attempts
+ *
+ * Jobs are stored as JSON strings. Claiming a job moves it from pending to processing in one script,
+ * so a worker that dies mid-job does not lose it: once the lease expires the next claim puts it back
+ * in pending. Handlers must therefore be idempotent. Failed jobs are retried with exponential backoff
+ * until `maxAttempts`, then moved to the dead-letter list, where an admin can retry or discard them.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 1000; // First retry delay, doubled after every failed attempt
+const MAX_BACKOFF_MS = 60 * 1000;
+const DEFAULT_LEASE_MS = 30 * 1000; // How long a claimed job is reserved for its worker
+const DEFAULT_POLL_MS = 500; // How often an idle worker looks for new jobs
+
+// KEYS = pending, delayed, processing; ARGV = now (ms), lease (ms)
+// Requeues retries that are due and jobs whose lease expired, then claims the oldest pending job (or nil)
+const CLAIM_JOB_SCRIPT = `
+    local now = tonumber(ARGV[1])
+    for _, key in ipairs({ KEYS[2], KEYS[3] }) do
+        local due = redis.call('ZRANGEBYSCORE', key, '-inf', now)
+        for _, job in ipairs(due) do
+            redis.call('ZREM', key, job)
+            redis.call('RPUSH', KEYS[1], job)
+        end
+    end
+    local job = redis.call('LPOP', KEYS[1])
+    if job then
+        redis.call('ZADD', KEYS[3], now + tonumber(ARGV[2]), job)
+    end
+    return job`;
+
+// KEYS = source, destination; ARGV = source type ("zset" or "list"), job to remove,
+// destination type, job to add, score (for sorted set destinations)
+// Returns 1 if the job was moved, 0 if it was no longer in the source (e.g. its lease expired and another worker took it)
+const MOVE_JOB_SCRIPT = `
+    local removed
+    if ARGV[1] == 'zset' then
+        removed = redis.call('ZREM', KEYS[1], ARGV[2])
+    else
+        removed = redis.call('LREM', KEYS[1], 1, ARGV[2])
+    end
+    if removed == 0 then
+        return 0
+    end
+    if ARGV[3] == 'zset' then
+        redis.call('ZADD', KEYS[2], ARGV[5], ARGV[4])
+    else
+        redis.call('RPUSH', KEYS[2], ARGV[4])
+    end
+    return 1`;
+
+/**
+ * Marks an error as permanent: the job goes to the dead-letter list without further attempts.
+ */
+function permanentError(err) {
+    err.permanent = true;
+    return err;
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Redis client.
+ * @param {string} options.name - Queue name, used in the key names.
+ * @param {number} [options.maxAttempts] - Attempts before a job is dead-lettered.
+ * @param {number} [options.backoffMs] - Delay before the first retry.
+ * @param {number} [options.leaseMs] - How long a worker may hold a job before it is handed to another worker.
+ */
+function createJobQueue({
+    client,
+    name,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    backoffMs = DEFAULT_BACKOFF_MS,
+    leaseMs = DEFAULT_LEASE_MS
+}) {
+    const keys = {
+        pending: `queue:${name}:pending`,
+        processing: `queue:${name}:processing`,
+        delayed: `queue:${name}:delayed`,
+        dead: `queue:${name}:dead`
+    };
+
+    // Jobs keep the exact string they were stored as, so they can be removed from lists and sorted sets later
+    const decode = (raw) => Object.assign(JSON.parse(raw), { raw });
+    const encode = ({ raw, ...job }) => JSON.stringify(job);
+
+    const move = (from, to, job, next, score = 0) => client.eval(MOVE_JOB_SCRIPT, {
+        keys: [keys[from], keys[to]],
+        arguments: [from === 'pending' || from === 'dead' ? 'list' : 'zset', job.raw,
+            to === 'pending' || to === 'dead' ? 'list' : 'zset', encode(next), String(score)]
+    });
+
+    /**
+     * Adds a job to the end of the queue. Resolves to the stored job.
+     */
+    async function enqueue(type, payload) {
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            payload,
+            attempts: 0,
+            enqueuedAt: new Date().toISOString()
+        };
+        await client.rPush(keys.pending, JSON.stringify(job));
+        return job;
+    }
+
+    /**
+     * Claims the next job, or resolves to null when there is nothing to do.
+     */
+    async function claim() {
+        const raw = await client.eval(CLAIM_JOB_SCRIPT, {
+            keys: [keys.pending, keys.delayed, keys.processing],
+            arguments: [String(Date.now()), String(leaseMs)]
+        });
+        return raw ? decode(raw) : null;
+    }
+
+    /**
+     * Removes a finished job. Resolves to false if the lease had already expired and the job was requeued.
+     */
+    async function complete(job) {
+        return (await client.zRem(keys.processing, job.raw)) === 1;
+    }
+
+    /**
+     * Schedules a retry with exponential backoff, or dead-letters the job when the error is permanent
+     * or it has no attempts left. Resolves to { status: "retrying", retryAt } or { status: "dead" }.
+     */
+    async function fail(job, err) {
+        const attempts = job.attempts + 1;
+        const next = { ...job, attempts, lastError: err.message, failedAt: new Date().toISOString() };
+
+        if (err.permanent || attempts >= maxAttempts) {
+            await move('processing', 'dead', job, next);
+            return { status: 'dead' };
+        }
+        const retryAt = Date.now() + Math.min(backoffMs * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+        await move('processing', 'delayed', job, next, retryAt);
+        return { status: 'retrying', retryAt: new Date(retryAt).toISOString() };
+    }
+
+    async function findDead(id) {
+        const entries = await client.lRange(keys.dead, 0, -1);
+        const raw = entries.find((entry) => JSON.parse(entry).id === id);
+        return raw ? decode(raw) : null;
+    }
+
+    /**
+     * Moves a dead job back to the queue with a fresh set of attempts. Resolves to the job, or null if not found.
+     */
+    async function retryDead(id) {
+        const job = await findDead(id);
+        if (!job) return null;
+        const next = JSON.parse(encode(job));
+        next.attempts = 0;
+        delete next.lastError;
+        delete next.failedAt;
+        return (await move('dead', 'pending', job, next)) === 1 ? next : null;
+    }
+
+    /**
+     * Deletes a dead job for good. Resolves to true if it was found.
+     */
+    async function discardDead(id) {
+        const job = await findDead(id);
+        if (!job) return false;
+        return (await client.lRem(keys.dead, 1, job.raw)) === 1;
+    }
+
+    /**
+     * Counts and lists the jobs in every state (at most `limit` per state), for the admin view.
+     */
+    async function overview({ limit = 50 } = {}) {
+        const [pending, processing, delayed, dead] = await Promise.all([
+            client.lRange(keys.pending, 0, limit - 1),
+            client.zRangeWithScores(keys.processing, 0, limit - 1),
+            client.zRangeWithScores(keys.delayed, 0, limit - 1),
+            client.lRange(keys.dead, 0, limit - 1)
+        ]);
+        const [pendingCount, processingCount, delayedCount, deadCount] = await Promise.all([
+            client.lLen(keys.pending),
+            client.zCard(keys.processing),
+            client.zCard(keys.delayed),
+            client.lLen(keys.dead)
+        ]);
+        const strip = ({ raw, ...job }) => job;
+        const withTime = (field) => ({ value, score }) => ({ ...strip(decode(value)), [field]: new Date(score).toISOString() });
+
+        return {
+            counts: { pending: pendingCount, processing: processingCount, delayed: delayedCount, dead: deadCount },
+            pending: pending.map((raw) => strip(decode(raw))),
+            processing: processing.map(withTime('leaseExpiresAt')),
+            delayed: delayed.map(withTime('retryAt')),
+            dead: dead.map((raw) => strip(decode(raw)))
+        };
+    }
+
+    /**
+     * Starts a worker loop that claims jobs one at a time and passes them to `handler(job)`.
+     * A handler that resolves completes the job; one that throws fails it (see `fail`).
+     * While `isAvailable()` returns false (Redis is down) the worker waits instead of polling.
+     * Returns a function that stops the loop and resolves once the current job has finished.
+     */
+    function work(handler, { pollMs = DEFAULT_POLL_MS, isAvailable = () => true, log = console } = {}) {
+        let running = true;
+        let timer = null;
+        let wake = null;
+
+        const idle = () => new Promise((resolve) => {
+            wake = resolve;
+            timer = setTimeout(resolve, pollMs);
+        });
+
+        const loop = (async () => {
+            while (running) {
+                let job;
+                try {
+                    job = isAvailable() ? await claim() : null;
+                } catch (err) {
+                    log.error(`Queue "${name}": failed to claim a job:`, err.message);
+                }
+                if (!job) {
+                    await idle();
+                    continue;
+                }
+
+                try {
+                    await handler(job);
+                    if (!(await complete(job))) {
+                        log.warn(`Queue "${name}": job ${job.id} finished after its lease expired, it may run again.`);
+                    }
+                } catch (err) {
+                    try {
+                        const result = await fail(job, err);
+                        log.error(`Queue "${name}": job ${job.id} (${job.type}) failed on attempt ${job.attempts + 1}, ${result.status === 'dead' ? 'moved to the dead-letter list' : `retrying at ${result.retryAt}`}:`, err.message);
+                    } catch (failErr) {
+                        log.error(`Queue "${name}": could not record the failure of job ${job.id}, it will be retried when its lease expires:`, failErr.message);
+                    }
+                }
+            }
+        })();
+
+        return async function stop() {
+            running = false;
+            clearTimeout(timer);
+            if (wake) wake();
+            await loop;
+        };
+    }
+
+    return { enqueue, claim, complete, fail, retryDead, discardDead, overview, work, keys };
+}
+
+module.exports = { createJobQueue, permanentError, CLAIM_JOB_SCRIPT, MOVE_JOB_SCRIPT };
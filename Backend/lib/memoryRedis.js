@@ -0,0 +1,621 @@
+// lib/memoryRedis.js
+
+const { EventEmitter } = require('events');
+const { RELEASE_LOCK_SCRIPT } = require('./cache');
+const { SLIDING_WINDOW_SCRIPT } = require('./rateLimit');
+const { CLAIM_JOB_SCRIPT, MOVE_JOB_SCRIPT } = require('./jobQueue');
+
+/**
+ * Embedded, in-process stand-in for Redis, for local development and CI without a Redis server.
+ *
+ * It implements the subset of the node-redis v4 client API the backend uses, with the same method
+ * names and reply shapes: strings (GET, SET NX/PX/EX, SETEX, DEL, INCR), key inspection (TYPE, TTL,
+ * MEMORY USAGE, SCAN, DBSIZE), lists (RPUSH, LRANGE, LLEN, LREM), hashes (HSET, HGET, HDEL, HGETALL),
+ * sorted sets (ZADD, ZREM, ZCARD, ZRANGE WITHSCORES), streams (XADD with MAXLEN, XRANGE, XREVRANGE) and Pub/Sub (PUBLISH,
+ * SUBSCRIBE, PSUBSCRIBE, including binary messages for listeners subscribed in buffer mode, which the
+ * Socket.IO Redis adapter uses). EVAL cannot run Lua, so it only accepts the backend's own scripts and
+ * runs a JavaScript equivalent of each.
+ *
+ * Clients created with `duplicate()` share the same data and Pub/Sub bus, like several connections
+ * to one server. Everything lives in this process and is lost on restart.
+ *
+ * Like Redis, expired keys are dropped when they are next touched and by a periodic sweep, so keys
+ * nobody reads again (old list pages, presence records) do not pile up.
+ */
+
+const DEFAULT_SWEEP_INTERVAL_MS = 1000; // How often expired keys are removed while any client is connected
+
+// Converts a Redis glob (*, ?, [abc], \x) into an anchored regular expression
+function globToRegExp(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*') source += '.*';
+        else if (char === '?') source += '.';
+        else if (char === '\\' && i + 1 < glob.length) source += `\\${glob[++i]}`;
+        else if (char === '[') {
+            const end = glob.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+            } else {
+                source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+                i = end;
+            }
+        } else source += char.replace(/[.+^${}()|\]\\/]/g, '\\$&');
+    }
+    return new RegExp(`^${source}$`, 's');
+}
+
+const wrongType = () => new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+
+// Stream IDs are "<ms>-<seq>"; "-" and "+" are the smallest and largest possible IDs
+function parseStreamId(id) {
+    if (id === '-') return [0, 0];
+    if (id === '+') return [Infinity, Infinity];
+    const [ms, seq = '0'] = id.split('-');
+    return [Number(ms), Number(seq)];
+}
+
+const compareStreamIds = (a, b) => (a[0] - b[0]) || (a[1] - b[1]);
+
+// Applies an XRANGE bound, where a leading "(" makes it exclusive
+function inRange(id, start, end) {
+    const parsed = parseStreamId(id);
+    const startExclusive = start.startsWith('(');
+    const endExclusive = end.startsWith('(');
+    const low = compareStreamIds(parsed, parseStreamId(startExclusive ? start.slice(1) : start));
+    const high = compareStreamIds(parsed, parseStreamId(endExclusive ? end.slice(1) : end));
+    return (startExclusive ? low > 0 : low >= 0) && (endExclusive ? high < 0 : high <= 0);
+}
+
+/**
+ * Shared keyspace and Pub/Sub bus. All operations are synchronous, so each command (and each
+ * script) is atomic with respect to the others, as it is in Redis.
+ */
+function createStore({ sweepIntervalMs }) {
+    const data = new Map(); // key -> { type, value, expiresAt }
+    const clients = new Set(); // every connected client, for Pub/Sub delivery
+    let sweepTimer = null;
+
+    // Returns the live entry for a key, dropping it if it has expired
+    function entry(key) {
+        const found = data.get(key);
+        if (!found) return null;
+        if (found.expiresAt !== null && found.expiresAt <= Date.now()) {
+            data.delete(key);
+            return null;
+        }
+        return found;
+    }
+
+    function typed(key, type) {
+        const found = entry(key);
+        if (found && found.type !== type) throw wrongType();
+        return found;
+    }
+
+    const getString = (key) => {
+        const found = typed(key, 'string');
+        return found ? found.value : null;
+    };
+
+    const setString = (key, value, expiresAt = null) => {
+        data.set(key, { type: 'string', value: String(value), expiresAt });
+    };
+
+    function del(keys) {
+        return keys.filter((key) => entry(key) && data.delete(key)).length;
+    }
+
+    function pExpire(key, ms) {
+        const found = entry(key);
+        if (!found) return false;
+        found.expiresAt = Date.now() + Number(ms);
+        return true;
+    }
+
+    function liveKeys() {
+        return [...data.keys()].filter((key) => entry(key));
+    }
+
+    function sweep() {
+        const now = Date.now();
+        for (const [key, found] of data) {
+            if (found.expiresAt !== null && found.expiresAt <= now) data.delete(key);
+        }
+    }
+
+    // The sweep runs while at least one client is connected, and never keeps the process alive
+    function attach(client) {
+        clients.add(client);
+        if (!sweepTimer) {
+            sweepTimer = setInterval(sweep, sweepIntervalMs);
+            sweepTimer.unref();
+        }
+    }
+
+    function detach(client) {
+        clients.delete(client);
+        if (clients.size === 0 && sweepTimer) {
+            clearInterval(sweepTimer);
+            sweepTimer = null;
+        }
+    }
+
+    function zset(key) {
+        const found = typed(key, 'zset');
+        if (found) return found.value;
+        const members = new Map(); // member -> score
+        data.set(key, { type: 'zset', value: members, expiresAt: null });
+        return members;
+    }
+
+    function list(key, create) {
+        const found = typed(key, 'list');
+        if (found || !create) return found ? found.value : null;
+        const items = [];
+        data.set(key, { type: 'list', value: items, expiresAt: null });
+        return items;
+    }
+
+    function hash(key, create) {
+        const found = typed(key, 'hash');
+        if (found || !create) return found ? found.value : null;
+        const fields = new Map(); // field -> value
+        data.set(key, { type: 'hash', value: fields, expiresAt: null });
+        return fields;
+    }
+
+    // Removes empty sorted sets, hashes and lists, which Redis never keeps
+    function dropIfEmpty(key) {
+        const found = entry(key);
+        if (!found) return;
+        if ((found.value instanceof Map && found.value.size === 0) || (found.type === 'list' && found.value.length === 0)) {
+            data.delete(key);
+        }
+    }
+
+    // Sorted set members in Redis order: by score, then lexicographically
+    function zsetEntries(key) {
+        const found = typed(key, 'zset');
+        if (!found) return [];
+        return [...found.value]
+            .map(([value, score]) => ({ value, score }))
+            .sort((a, b) => (a.score - b.score) || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+    }
+
+    function stream(key, create) {
+        const found = typed(key, 'stream');
+        if (found || !create) return found ? found.value : null;
+        const value = { entries: [], last: [0, 0] };
+        data.set(key, { type: 'stream', value, expiresAt: null });
+        return value;
+    }
+
+    function publish(channel, message) {
+        let receivers = 0;
+        for (const client of clients) {
+            receivers += client.deliver(channel, message);
+        }
+        return receivers;
+    }
+
+    return { data, clients, attach, detach, entry, typed, getString, setString, del, pExpire, liveKeys, zset, list, hash, dropIfEmpty, zsetEntries, stream, publish };
+}
+
+// JavaScript equivalents of the Lua scripts the backend sends with EVAL, keyed by script source
+const SCRIPTS = new Map([
+    [RELEASE_LOCK_SCRIPT, (store, [key], [token]) => {
+        if (store.getString(key) === token) {
+            return store.del([key]);
+        }
+        return 0;
+    }],
+    [SLIDING_WINDOW_SCRIPT, (store, [key], [nowArg, windowArg, limitArg, member]) => {
+        const now = Number(nowArg);
+        const window = Number(windowArg);
+        const members = store.zset(key);
+        for (const [name, score] of members) {
+            if (score <= now - window) members.delete(name);
+        }
+
+        let count = members.size;
+        let allowed = 0;
+        if (count < Number(limitArg)) {
+            members.set(member, now);
+            store.pExpire(key, window);
+            count += 1;
+            allowed = 1;
+        }
+
+        const oldest = Math.min(...members.values());
+        const resetIn = Number.isFinite(oldest) ? oldest + window - now : window;
+        store.dropIfEmpty(key);
+        return [allowed, count, resetIn];
+    }],
+    [CLAIM_JOB_SCRIPT, (store, [pending, delayed, processing], [nowArg, leaseArg]) => {
+        const now = Number(nowArg);
+        for (const key of [delayed, processing]) {
+            for (const { value, score } of store.zsetEntries(key)) {
+                if (score > now) break;
+                store.zset(key).delete(value);
+                store.list(pending, true).push(value);
+            }
+            store.dropIfEmpty(key);
+        }
+        const items = store.list(pending, false);
+        const job = items ? items.shift() : undefined;
+        store.dropIfEmpty(pending);
+        if (job === undefined) return null;
+        store.zset(processing).set(job, now + Number(leaseArg));
+        return job;
+    }],
+    [MOVE_JOB_SCRIPT, (store, [source, destination], [sourceType, removeJob, destinationType, addJob, score]) => {
+        if (sourceType === 'zset') {
+            if (!store.zset(source).delete(removeJob)) {
+                store.dropIfEmpty(source);
+                return 0;
+            }
+        } else {
+            const items = store.list(source, false);
+            const index = items ? items.indexOf(removeJob) : -1;
+            if (index === -1) return 0;
+            items.splice(index, 1);
+        }
+        store.dropIfEmpty(source);
+        if (destinationType === 'zset') {
+            store.zset(destination).set(addJob, Number(score));
+        } else {
+            store.list(destination, true).push(addJob);
+        }
+        return 1;
+    }]
+]);
+
+function createClient(store) {
+    const events = new EventEmitter();
+    let open = false;
+    const channelListeners = new Map(); // channel -> Set of listeners
+    const patternListeners = new Map(); // pattern -> { regexp, listeners }
+    const bufferListeners = new WeakSet(); // listeners subscribed with bufferMode, which receive Buffers
+
+    const toList = (value) => (Array.isArray(value) ? value : [value]);
+
+    // Every command behaves like node-redis on a closed client
+    const command = (fn) => async (...args) => {
+        if (!open) throw new Error('The client is closed');
+        return fn(...args);
+    };
+
+    const client = {
+        get isOpen() {
+            return open;
+        },
+
+        get isReady() {
+            return open;
+        },
+
+        on(event, listener) {
+            events.on(event, listener);
+            return client;
+        },
+
+        once(event, listener) {
+            events.once(event, listener);
+            return client;
+        },
+
+        off(event, listener) {
+            events.off(event, listener);
+            return client;
+        },
+
+        async connect() {
+            if (open) throw new Error('Socket already opened');
+            open = true;
+            store.attach(client);
+            events.emit('connect');
+            events.emit('ready');
+            return client;
+        },
+
+        async quit() {
+            open = false;
+            store.detach(client);
+            events.emit('end');
+            return 'OK';
+        },
+
+        async disconnect() {
+            await client.quit();
+        },
+
+        // Options are accepted for compatibility with node-redis and ignored
+        duplicate() {
+            return createClient(store);
+        },
+
+        ping: command(() => 'PONG'),
+
+        get: command((key) => store.getString(key)),
+
+        set: command((key, value, options = {}) => {
+            if (options.NX && store.entry(key)) return null;
+            if (options.XX && !store.entry(key)) return null;
+            let expiresAt = null;
+            if (options.PX) expiresAt = Date.now() + Number(options.PX);
+            else if (options.EX) expiresAt = Date.now() + Number(options.EX) * 1000;
+            store.setString(key, value, expiresAt);
+            return 'OK';
+        }),
+
+        setEx: command((key, seconds, value) => {
+            store.setString(key, value, Date.now() + Number(seconds) * 1000);
+            return 'OK';
+        }),
+
+        del: command((keys) => store.del(toList(keys))),
+
+        exists: command((keys) => toList(keys).filter((key) => store.entry(key)).length),
+
+        incr: command((key) => {
+            const found = store.typed(key, 'string');
+            const value = Number(found ? found.value : 0);
+            if (!Number.isInteger(value)) throw new Error('ERR value is not an integer or out of range');
+            store.setString(key, value + 1, found ? found.expiresAt : null);
+            return value + 1;
+        }),
+
+        pExpire: command((key, ms) => store.pExpire(key, ms)),
+
+        type: command((key) => {
+            const found = store.entry(key);
+            return found ? found.type : 'none';
+        }),
+
+        ttl: command((key) => {
+            const found = store.entry(key);
+            if (!found) return -2;
+            if (found.expiresAt === null) return -1;
+            return Math.ceil((found.expiresAt - Date.now()) / 1000);
+        }),
+
+        // Like Redis, counts expired keys that have not been removed yet
+        dbSize: command(() => store.data.size),
+
+        // A rough estimate: the serialized size of the value
+        memoryUsage: command((key) => {
+            const found = store.entry(key);
+            if (!found) return null;
+            const value = found.value instanceof Map ? [...found.value] : found.value;
+            return Buffer.byteLength(key) + Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+        }),
+
+        // The cursor is an offset into the current key list, so keys added or removed mid-scan may be missed or repeated
+        scan: command((cursor, { MATCH = '*', COUNT = 10 } = {}) => {
+            const regexp = globToRegExp(MATCH);
+            const all = store.liveKeys();
+            const start = Number(cursor);
+            const end = Math.min(start + Number(COUNT), all.length);
+            return {
+                cursor: end >= all.length ? 0 : end,
+                keys: all.slice(start, end).filter((key) => regexp.test(key))
+            };
+        }),
+
+        async *scanIterator(options = {}) {
+            let cursor = 0;
+            do {
+                const reply = await client.scan(cursor, options);
+                cursor = reply.cursor;
+                yield* reply.keys;
+            } while (cursor !== 0);
+        },
+
+        rPush: command((key, elements) => {
+            const items = store.list(key, true);
+            items.push(...toList(elements).map(String));
+            return items.length;
+        }),
+
+        lRange: command((key, start, stop) => {
+            const items = store.list(key, false) || [];
+            const from = start < 0 ? Math.max(items.length + start, 0) : start;
+            const to = stop < 0 ? items.length + stop : stop;
+            return items.slice(from, to + 1);
+        }),
+
+        lLen: command((key) => {
+            const items = store.list(key, false);
+            return items ? items.length : 0;
+        }),
+
+        // Only count > 0 (remove from the head) is needed by the backend
+        lRem: command((key, count, element) => {
+            const items = store.list(key, false);
+            if (!items) return 0;
+            let removed = 0;
+            for (let i = 0; i < items.length && removed < count;) {
+                if (items[i] === element) {
+                    items.splice(i, 1);
+                    removed += 1;
+                } else {
+                    i += 1;
+                }
+            }
+            store.dropIfEmpty(key);
+            return removed;
+        }),
+
+        // Only the three-argument form HSET key field value is needed by the backend
+        hSet: command((key, field, value) => {
+            const fields = store.hash(key, true);
+            const added = fields.has(String(field)) ? 0 : 1;
+            fields.set(String(field), String(value));
+            return added;
+        }),
+
+        hGet: command((key, field) => {
+            const fields = store.hash(key, false);
+            return fields && fields.has(String(field)) ? fields.get(String(field)) : null;
+        }),
+
+        hDel: command((key, fields) => {
+            const existing = store.hash(key, false);
+            if (!existing) return 0;
+            const removed = toList(fields).filter((field) => existing.delete(String(field))).length;
+            store.dropIfEmpty(key);
+            return removed;
+        }),
+
+        hGetAll: command((key) => Object.fromEntries(store.hash(key, false) || [])),
+
+        zAdd: command((key, members) => {
+            const set = store.zset(key);
+            let added = 0;
+            for (const { score, value } of toList(members)) {
+                if (!set.has(String(value))) added += 1;
+                set.set(String(value), Number(score));
+            }
+            return added;
+        }),
+
+        zRem: command((key, members) => {
+            if (!store.typed(key, 'zset')) return 0;
+            const set = store.zset(key);
+            const removed = toList(members).filter((member) => set.delete(String(member))).length;
+            store.dropIfEmpty(key);
+            return removed;
+        }),
+
+        zCard: command((key) => {
+            const found = store.typed(key, 'zset');
+            return found ? found.value.size : 0;
+        }),
+
+        zRangeWithScores: command((key, start, stop) => {
+            const entries = store.zsetEntries(key);
+            const from = start < 0 ? Math.max(entries.length + start, 0) : start;
+            const to = stop < 0 ? entries.length + stop : stop;
+            return entries.slice(from, to + 1);
+        }),
+
+        xAdd: command((key, id, fields, options = {}) => {
+            if (id !== '*') throw new Error('ERR only auto-generated stream IDs ("*") are supported');
+            const value = store.stream(key, true);
+            const now = Date.now();
+            value.last = now > value.last[0] ? [now, 0] : [value.last[0], value.last[1] + 1];
+            const newId = value.last.join('-');
+            value.entries.push({ id: newId, message: { ...fields } });
+
+            const trim = options.TRIM;
+            if (trim && trim.strategy === 'MAXLEN' && value.entries.length > trim.threshold) {
+                value.entries.splice(0, value.entries.length - trim.threshold);
+            }
+            return newId;
+        }),
+
+        xRange: command((key, start, end, { COUNT } = {}) => {
+            const value = store.stream(key, false);
+            if (!value) return [];
+            const entries = value.entries.filter(({ id }) => inRange(id, start, end));
+            return (COUNT ? entries.slice(0, COUNT) : entries).map((item) => ({ ...item, message: { ...item.message } }));
+        }),
+
+        xRevRange: command((key, end, start, { COUNT } = {}) => {
+            const value = store.stream(key, false);
+            if (!value) return [];
+            const entries = value.entries.filter(({ id }) => inRange(id, start, end)).reverse();
+            return (COUNT ? entries.slice(0, COUNT) : entries).map((item) => ({ ...item, message: { ...item.message } }));
+        }),
+
+        eval: command((script, { keys = [], arguments: args = [] } = {}) => {
+            const implementation = SCRIPTS.get(script);
+            if (!implementation) {
+                throw new Error('ERR the in-memory Redis only runs the scripts built into the backend');
+            }
+            return implementation(store, keys, args.map(String));
+        }),
+
+        publish: command((channel, message) => store.publish(channel, Buffer.isBuffer(message) ? message : String(message))),
+
+        // Subscribing works before connect(), like node-redis queueing the command until the connection is ready
+        async subscribe(channels, listener, bufferMode = false) {
+            if (bufferMode) bufferListeners.add(listener);
+            for (const channel of toList(channels)) {
+                if (!channelListeners.has(channel)) channelListeners.set(channel, new Set());
+                channelListeners.get(channel).add(listener);
+            }
+        },
+
+        async unsubscribe(channels, listener) {
+            for (const channel of channels === undefined ? [...channelListeners.keys()] : toList(channels)) {
+                const listeners = channelListeners.get(channel);
+                if (!listeners) continue;
+                if (listener) listeners.delete(listener);
+                if (!listener || listeners.size === 0) channelListeners.delete(channel);
+            }
+        },
+
+        async pSubscribe(patterns, listener, bufferMode = false) {
+            if (bufferMode) bufferListeners.add(listener);
+            for (const pattern of toList(patterns)) {
+                if (!patternListeners.has(pattern)) {
+                    patternListeners.set(pattern, { regexp: globToRegExp(pattern), listeners: new Set() });
+                }
+                patternListeners.get(pattern).listeners.add(listener);
+            }
+        },
+
+        async pUnsubscribe(patterns, listener) {
+            for (const pattern of patterns === undefined ? [...patternListeners.keys()] : toList(patterns)) {
+                const subscription = patternListeners.get(pattern);
+                if (!subscription) continue;
+                if (listener) subscription.listeners.delete(listener);
+                if (!listener || subscription.listeners.size === 0) patternListeners.delete(pattern);
+            }
+        },
+
+        /**
+         * Called by the store for every PUBLISH. Returns how many subscriptions of this client matched.
+         * Listeners run on a later tick, as they would after a network round trip.
+         */
+        deliver(channel, message) {
+            const matched = [];
+            let subscriptions = 0;
+            if (channelListeners.has(channel)) {
+                matched.push(...channelListeners.get(channel));
+                subscriptions += 1;
+            }
+            for (const { regexp, listeners } of patternListeners.values()) {
+                if (regexp.test(channel)) {
+                    matched.push(...listeners);
+                    subscriptions += 1;
+                }
+            }
+            if (matched.length > 0) {
+                const asBuffer = Buffer.isBuffer(message) ? message : Buffer.from(message);
+                const asString = message.toString();
+                setImmediate(() => matched.forEach((listener) => (
+                    listener(bufferListeners.has(listener) ? asBuffer : asString, channel)
+                )));
+            }
+            return subscriptions;
+        }
+    };
+
+    return client;
+}
+
+/**
+ * Creates a client backed by a new, empty in-memory store. Use `duplicate()` for more connections to it.
+ *
+ * @param {object} [options]
+ * @param {number} [options.sweepIntervalMs] - How often expired keys are removed.
+ */
+function createMemoryRedis({ sweepIntervalMs = DEFAULT_SWEEP_INTERVAL_MS } = {}) {
+    return createClient(createStore({ sweepIntervalMs }));
+}
+
+module.exports = { createMemoryRedis, globToRegExp };
@@ -0,0 +1,125 @@
+// lib/metrics.js
+
+/**
+ * In-process cache metrics: hit/miss/stale counters and read latency per cache key.
+ *
+ * The cache layer reports every read through `record`; the numbers are exposed as JSON
+ * (`snapshot`, used by GET /cache/stats and the live dashboard) and in the Prometheus text
+ * exposition format (`toPrometheus`, used by GET /metrics). Counters are per process and reset
+ * on restart, like any Prometheus counter.
+ */
+
+// Upper bounds (in seconds) of the read latency histogram buckets
+const LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1];
+
+// Keys beyond this many are folded into one "__other__" entry so ad-hoc searches cannot grow memory forever
+const DEFAULT_MAX_KEYS = 500;
+const OTHER_KEY = '__other__';
+
+function createCacheMetrics({ maxKeys = DEFAULT_MAX_KEYS } = {}) {
+    const keys = new Map(); // key -> { hits, misses, stale, latencyMsTotal, lastLatencyMs }
+    const histogram = { buckets: LATENCY_BUCKETS.map(() => 0), count: 0, sumSeconds: 0 };
+
+    function entryFor(key) {
+        let entry = keys.get(key);
+        if (!entry) {
+            if (keys.size >= maxKeys && key !== OTHER_KEY) {
+                return entryFor(OTHER_KEY);
+            }
+            entry = { hits: 0, misses: 0, stale: 0, latencyMsTotal: 0, lastLatencyMs: 0 };
+            keys.set(key, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Records one cache read.
+     * @param {string} key - Cache key (or key family) the read was for.
+     * @param {string} status - "HIT", "MISS" or "STALE" as returned by cache.read. "BYPASS" reads
+     *   (Redis unavailable) went straight to the database, so they count as misses.
+     * @param {number} durationMs - Time the read took, including the database load on a miss.
+     */
+    function record(key, status, durationMs) {
+        const entry = entryFor(key);
+        if (status === 'HIT') entry.hits += 1;
+        else if (status === 'STALE') entry.stale += 1;
+        else entry.misses += 1;
+        entry.latencyMsTotal += durationMs;
+        entry.lastLatencyMs = durationMs;
+
+        const seconds = durationMs / 1000;
+        LATENCY_BUCKETS.forEach((bound, i) => {
+            if (seconds <= bound) histogram.buckets[i] += 1;
+        });
+        histogram.count += 1;
+        histogram.sumSeconds += seconds;
+    }
+
+    // Stale reads are still answered from Redis, so they count towards the hit ratio
+    const summarize = ({ hits, misses, stale, latencyMsTotal }) => {
+        const requests = hits + misses + stale;
+        return {
+            hits,
+            misses,
+            stale,
+            requests,
+            hitRatio: requests ? (hits + stale) / requests : 0,
+            avgLatencyMs: requests ? latencyMsTotal / requests : 0
+        };
+    };
+
+    /**
+     * JSON view of all counters: overall totals plus one entry per key, busiest first.
+     */
+    function snapshot() {
+        const totals = { hits: 0, misses: 0, stale: 0, latencyMsTotal: 0 };
+        const perKey = [];
+        for (const [key, entry] of keys) {
+            totals.hits += entry.hits;
+            totals.misses += entry.misses;
+            totals.stale += entry.stale;
+            totals.latencyMsTotal += entry.latencyMsTotal;
+            perKey.push({ key, ...summarize(entry), lastLatencyMs: entry.lastLatencyMs });
+        }
+        perKey.sort((a, b) => b.requests - a.requests);
+        return { totals: summarize(totals), keys: perKey };
+    }
+
+    /**
+     * Prometheus text exposition format (version 0.0.4).
+     */
+    function toPrometheus() {
+        const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+        const lines = [];
+
+        lines.push('# HELP cache_requests_total Cache reads by key and result.');
+        lines.push('# TYPE cache_requests_total counter');
+        for (const [key, entry] of keys) {
+            const label = escape(key);
+            lines.push(`cache_requests_total{key="${label}",result="hit"} ${entry.hits}`);
+            lines.push(`cache_requests_total{key="${label}",result="miss"} ${entry.misses}`);
+            lines.push(`cache_requests_total{key="${label}",result="stale"} ${entry.stale}`);
+        }
+
+        lines.push('# HELP cache_read_latency_seconds_total Time spent in cache reads by key, including database loads on a miss.');
+        lines.push('# TYPE cache_read_latency_seconds_total counter');
+        for (const [key, entry] of keys) {
+            lines.push(`cache_read_latency_seconds_total{key="${escape(key)}"} ${entry.latencyMsTotal / 1000}`);
+        }
+
+        lines.push('# HELP cache_read_duration_seconds Latency of cache reads across all keys.');
+        lines.push('# TYPE cache_read_duration_seconds histogram');
+        LATENCY_BUCKETS.forEach((bound, i) => {
+            lines.push(`cache_read_duration_seconds_bucket{le="${bound}"} ${histogram.buckets[i]}`);
+        });
+        lines.push(`cache_read_duration_seconds_bucket{le="+Inf"} ${histogram.count}`);
+        lines.push(`cache_read_duration_seconds_sum ${histogram.sumSeconds}`);
+        lines.push(`cache_read_duration_seconds_count ${histogram.count}`);
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    return { record, snapshot, toPrometheus };
+}
+
+module.exports = { createCacheMetrics };
@@ -0,0 +1,137 @@
+// lib/migrations.js
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Versioned schema migrations for SQLite.
+ *
+ * Each file in migrations/ is named "<version>_<name>.js" (e.g. "002_product_details.js") and
+ * exports `up(db)` and `down(db)`, async functions that receive the promise helpers below.
+ * Applied versions are recorded in the schema_migrations table. Every migration runs in its own
+ * transaction, so a failing script leaves the schema as it was before that version.
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// "002_product_details", as in the file name
+const label = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Promise wrappers around the sqlite3 callback API, handed to every migration
+// (and used by lib/productWrites.js and scripts/seed.js)
+function promisify(db) {
+    return {
+        run: (sql, params = []) => new Promise((resolve, reject) => {
+            db.run(sql, params, function(err) {
+                if (err) return reject(err);
+                resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        }),
+        get: (sql, params = []) => new Promise((resolve, reject) => {
+            db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        }),
+        all: (sql, params = []) => new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        }),
+        exec: (sql) => new Promise((resolve, reject) => {
+            db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        })
+    };
+}
+
+// Reads the migration files, sorted by version
+function loadMigrations(directory) {
+    return fs.readdirSync(directory)
+        .map((file) => {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) return null;
+            const { up, down } = require(path.join(directory, file));
+            if (typeof up !== 'function' || typeof down !== 'function') {
+                throw new Error(`Migration ${file} must export up() and down()`);
+            }
+            return { version: Number(match[1]), name: match[2], up, down };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.db - Open sqlite3 Database.
+ * @param {string} [options.directory] - Folder holding the migration files.
+ * @param {Function} [options.log] - Progress logger, console.log by default.
+ */
+function createMigrator({ db, directory = MIGRATIONS_DIR, log = console.log }) {
+    const sql = promisify(db);
+    const migrations = loadMigrations(directory);
+    const latestVersion = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+
+    async function appliedVersions() {
+        await sql.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )`);
+        const rows = await sql.all('SELECT version FROM schema_migrations ORDER BY version');
+        return new Set(rows.map((row) => row.version));
+    }
+
+    // Runs one step inside a transaction and records (or forgets) its version
+    async function runStep(migration, direction) {
+        await sql.exec('BEGIN');
+        try {
+            await migration[direction](sql);
+            if (direction === 'up') {
+                await sql.run('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+                    [migration.version, migration.name, new Date().toISOString()]);
+            } else {
+                await sql.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            }
+            await sql.exec('COMMIT');
+        } catch (err) {
+            await sql.exec('ROLLBACK');
+            throw new Error(`Migration ${label(migration)} (${direction}) failed: ${err.message}`);
+        }
+        log(`Migration ${label(migration)} ${direction === 'up' ? 'applied' : 'reverted'}.`);
+    }
+
+    /**
+     * Lists every migration with whether it has been applied.
+     */
+    async function status() {
+        const applied = await appliedVersions();
+        return migrations.map((m) => ({ version: m.version, name: m.name, label: label(m), applied: applied.has(m.version) }));
+    }
+
+    /**
+     * Applies pending migrations up to `to` (the latest version by default).
+     * Resolves to the versions that were applied.
+     */
+    async function up({ to = latestVersion } = {}) {
+        const applied = await appliedVersions();
+        const pending = migrations.filter((m) => !applied.has(m.version) && m.version <= to);
+        for (const migration of pending) {
+            await runStep(migration, 'up');
+        }
+        return pending.map((m) => m.version);
+    }
+
+    /**
+     * Reverts the last `steps` applied migrations (one by default), or every migration above `to`.
+     * Resolves to the versions that were reverted.
+     */
+    async function down({ steps = 1, to } = {}) {
+        const applied = await appliedVersions();
+        const candidates = migrations.filter((m) => applied.has(m.version)).reverse();
+        const reverting = to === undefined ? candidates.slice(0, steps) : candidates.filter((m) => m.version > to);
+        for (const migration of reverting) {
+            await runStep(migration, 'down');
+        }
+        return reverting.map((m) => m.version);
+    }
+
+    return { status, up, down, latestVersion };
+}
+
+module.exports = { createMigrator, promisify, MIGRATIONS_DIR };
@@ -0,0 +1,139 @@
+// lib/presence.js
+
+const os = require('os');
+
+/**
+ * Tracks connected Socket.IO clients in Redis, so every instance can tell who is online.
+ *
+ * - presence:socket:<socket ID>  JSON record of one socket (user, instance, subscriptions), expiring
+ *                                `ttlMs` after its last heartbeat
+ * - presence:sockets             sorted set of socket IDs, scored by when their record expires
+ *
+ * Each instance refreshes its own sockets with `heartbeat()`. When an instance dies without saying
+ * goodbye, its records expire on their own and `list()` prunes them from the index.
+ */
+
+const DEFAULT_TTL_MS = 30 * 1000;
+const DEFAULT_HEARTBEAT_MS = 10 * 1000; // Well under the TTL, so one missed beat does not drop anyone
+
+const INDEX_KEY = 'presence:sockets';
+const socketKey = (socketId) => `presence:socket:${socketId}`;
+
+// Subscriptions are kept by lib/subscriptions.js as room names such as "channel:news" or "pattern:news.*"
+function subscriptionsOf(socket) {
+    return [...(socket.data.subscriptions || [])].map((room) => {
+        const separator = room.indexOf(':');
+        return { kind: room.slice(0, separator), name: room.slice(separator + 1) };
+    });
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Redis client.
+ * @param {number} [options.ttlMs] - How long a record outlives its last heartbeat.
+ * @param {number} [options.heartbeatMs] - How often `heartbeat()` should be called.
+ * @param {string} [options.instance] - Name of this backend instance, host name and PID by default.
+ */
+function createPresence({
+    client,
+    ttlMs = DEFAULT_TTL_MS,
+    heartbeatMs = DEFAULT_HEARTBEAT_MS,
+    instance = `${os.hostname()}:${process.pid}`
+}) {
+    // socket ID -> record, for the sockets connected to this instance
+    const local = new Map();
+
+    async function save(record) {
+        await client.set(socketKey(record.socketId), JSON.stringify(record), { PX: ttlMs });
+        await client.zAdd(INDEX_KEY, { score: Date.now() + ttlMs, value: record.socketId });
+    }
+
+    /**
+     * Records a newly connected socket.
+     */
+    async function connect(socket) {
+        const { user } = socket.data;
+        const record = {
+            socketId: socket.id,
+            instance,
+            user: user ? { username: user.username, role: user.role } : null,
+            connectedAt: new Date().toISOString(),
+            subscriptions: subscriptionsOf(socket)
+        };
+        local.set(socket.id, record);
+        await save(record);
+    }
+
+    /**
+     * Stores the socket's current subscriptions, after a subscribe or unsubscribe.
+     */
+    async function update(socket) {
+        const record = local.get(socket.id);
+        if (!record) return;
+        record.subscriptions = subscriptionsOf(socket);
+        await save(record);
+    }
+
+    /**
+     * Forgets a socket that disconnected.
+     */
+    async function disconnect(socket) {
+        local.delete(socket.id);
+        await client.del(socketKey(socket.id));
+        await client.zRem(INDEX_KEY, socket.id);
+    }
+
+    /**
+     * Extends the records of every socket on this instance. Also re-creates them after Redis was down.
+     */
+    async function heartbeat() {
+        await Promise.all([...local.values()].map(save));
+    }
+
+    /**
+     * Lists every connected socket across instances, the users behind them and the number of
+     * subscribers per channel or pattern.
+     */
+    async function list() {
+        const now = Date.now();
+        const entries = await client.zRangeWithScores(INDEX_KEY, 0, -1);
+        const expired = entries.filter(({ score }) => score <= now).map(({ value }) => value);
+        if (expired.length > 0) {
+            await client.zRem(INDEX_KEY, expired);
+        }
+
+        const live = entries.filter(({ score }) => score > now);
+        const records = (await Promise.all(live.map(({ value }) => client.get(socketKey(value)))))
+            .filter(Boolean)
+            .map((raw) => JSON.parse(raw))
+            .sort((a, b) => a.connectedAt.localeCompare(b.connectedAt));
+
+        const users = new Map();
+        const channels = new Map();
+        for (const record of records) {
+            if (record.user) {
+                const entry = users.get(record.user.username) || { ...record.user, sockets: 0 };
+                entry.sockets += 1;
+                users.set(record.user.username, entry);
+            }
+            for (const { kind, name } of record.subscriptions) {
+                const key = `${kind}:${name}`;
+                const entry = channels.get(key) || { kind, name, subscribers: 0 };
+                entry.subscribers += 1;
+                channels.set(key, entry);
+            }
+        }
+
+        return {
+            total: records.length,
+            anonymous: records.filter((record) => !record.user).length,
+            users: [...users.values()].sort((a, b) => a.username.localeCompare(b.username)),
+            channels: [...channels.values()].sort((a, b) => b.subscribers - a.subscribers || a.name.localeCompare(b.name)),
+            clients: records
+        };
+    }
+
+    return { connect, update, disconnect, heartbeat, list, heartbeatMs, instance };
+}
+
+module.exports = { createPresence, DEFAULT_TTL_MS, DEFAULT_HEARTBEAT_MS };
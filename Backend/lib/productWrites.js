@@ -0,0 +1,288 @@
+// lib/productWrites.js
+
+const { promisify } = require('./migrations'); // Promise wrappers around sqlite3
+const { ApiError } = require('./errors'); // Structured { code, message, details } errors
+const { permanentError } = require('./jobQueue'); // Dead-letters a job without further attempts
+
+/**
+ * Creates, updates and deletes products in one of three write modes (PRODUCT_WRITE_MODE):
+ *
+ * - direct         SQLite first, then the caches are invalidated and the event is published (the default).
+ * - write-through  The new row is written to the "product:<id>" cache before SQLite and removed again if
+ *                  the commit fails. New products need their ID from SQLite, so they are cached right after it.
+ * - write-behind   The request only queues a job in Redis and gets 202 Accepted; a background worker
+ *                  (`handleJob`) applies it to SQLite, then invalidates the caches and publishes.
+ *
+ * In every mode the 'product_updates' event is published only after the SQLite transaction has committed.
+ * Transactions are serialized per process because sqlite3 shares one connection between all requests.
+ *
+ * Every update bumps the product's `version`. Updates and deletes may pass `ifMatch`, the versions the
+ * client last saw: if the product has changed since, the write is refused with a 409 CONFLICT instead of
+ * silently overwriting someone else's change. Writes may also pass the client's `requestId`, which is
+ * echoed in their event so the browser that made the write can recognize it.
+ */
+
+const WRITE_MODES = ['direct', 'write-through', 'write-behind'];
+
+// Columns clients may write; id and the timestamps are managed by the server
+const PRODUCT_FIELDS = ['name', 'description', 'price', 'stock', 'category'];
+
+// Applies `changes` to a row: PUT (replace) resets omitted optional fields, PATCH keeps them
+function mergeProduct(existing, changes, { replace, at }) {
+    const updated = { ...existing, updated_at: at, version: existing.version + 1 };
+    for (const field of PRODUCT_FIELDS) {
+        if (changes[field] !== undefined) {
+            updated[field] = changes[field];
+        } else if (replace) {
+            updated[field] = null; // Only optional fields can be missing here; price and stock have schema defaults
+        }
+    }
+    return updated;
+}
+
+// Refuses a write when the product is no longer at one of the versions in `ifMatch` (null accepts any)
+function checkVersion(existing, ifMatch) {
+    if (ifMatch && !ifMatch.includes(existing.version)) {
+        throw ApiError.conflict(
+            `Product was changed by someone else (now at version ${existing.version})`,
+            { current: existing }
+        );
+    }
+}
+
+// The 'product_updates' message for a finished write, or null when nothing changed
+function productEvent(type, outcome) {
+    if (type === 'delete') {
+        return { type: 'DELETED_PRODUCT', payload: { id: outcome.id } };
+    }
+    if (outcome.skipped || !outcome.product) return null;
+    return { type: type === 'create' ? 'NEW_PRODUCT' : 'UPDATED_PRODUCT', payload: outcome.product };
+}
+
+/**
+ * @param {object} options
+ * @param {object} options.db - Open sqlite3 Database.
+ * @param {string} [options.mode] - One of WRITE_MODES, "direct" by default.
+ * @param {object} [options.queue] - Job queue from lib/jobQueue.js, required in write-behind mode.
+ * @param {object} options.hooks - Cache and pub/sub side effects, which must not throw:
+ *   `cacheProduct(product)`, `invalidate(id?)` (the product's entry, and every list page) and
+ *   `publish({ type, payload, sender, requestId })`. Writes accept a `sender` (see lib/envelopes.js) and
+ *   a `requestId` for their event.
+ */
+function createProductWrites({ db, mode = 'direct', queue = null, hooks }) {
+    if (!WRITE_MODES.includes(mode)) {
+        throw new Error(`Unknown product write mode "${mode}", expected one of: ${WRITE_MODES.join(', ')}`);
+    }
+    if (mode === 'write-behind' && !queue) {
+        throw new Error('Write-behind mode needs a job queue');
+    }
+    const sql = promisify(db);
+
+    // --- Transactions ---
+
+    let lastTransaction = Promise.resolve();
+
+    // Runs `work` inside BEGIN IMMEDIATE ... COMMIT, after every transaction started before it
+    function transaction(work) {
+        const result = lastTransaction.then(async () => {
+            await sql.exec('BEGIN IMMEDIATE');
+            try {
+                const value = await work();
+                await sql.exec('COMMIT');
+                return value;
+            } catch (err) {
+                await sql.exec('ROLLBACK').catch(() => {});
+                throw err;
+            }
+        });
+        lastTransaction = result.catch(() => {});
+        return result;
+    }
+
+    const findProduct = (id) => sql.get('SELECT * FROM products WHERE id = ?', [id]);
+
+    // --- SQLite Writes (inside a transaction) ---
+    // Each resolves to { id, product }, where product is the row as committed
+
+    async function insertRow(fields, at) {
+        const { lastID } = await sql.run(
+            `INSERT INTO products (${PRODUCT_FIELDS.join(', ')}, created_at, updated_at) VALUES (${PRODUCT_FIELDS.map(() => '?').join(', ')}, ?, ?)`,
+            [...PRODUCT_FIELDS.map((field) => fields[field]), at, at]
+        );
+        return { id: lastID, product: await findProduct(lastID) };
+    }
+
+    // With `ifOlder`, an update requested before the row's last change is skipped (last write wins)
+    async function updateRow(id, changes, { replace, at, ifOlder = false, ifMatch = null }) {
+        const existing = await findProduct(id);
+        if (!existing) {
+            throw ApiError.notFound('Product not found');
+        }
+        checkVersion(existing, ifMatch);
+        if (ifOlder && existing.updated_at > at) {
+            return { id, product: existing, skipped: true };
+        }
+
+        const updated = mergeProduct(existing, changes, { replace, at });
+        await sql.run(
+            `UPDATE products SET ${PRODUCT_FIELDS.map((field) => `${field} = ?`).join(', ')}, updated_at = ?, version = ? WHERE id = ?`,
+            [...PRODUCT_FIELDS.map((field) => updated[field]), updated.updated_at, updated.version, id]
+        );
+        return { id, product: updated };
+    }
+
+    async function deleteRow(id, { ifMatch = null } = {}) {
+        if (ifMatch) {
+            const existing = await findProduct(id);
+            if (!existing) {
+                throw ApiError.notFound('Product not found');
+            }
+            checkVersion(existing, ifMatch);
+        }
+        const { changes } = await sql.run('DELETE FROM products WHERE id = ?', [id]);
+        if (changes === 0) {
+            throw ApiError.notFound('Product not found');
+        }
+        return { id, product: null };
+    }
+
+    // --- After the Commit ---
+
+    async function announce(type, outcome, { sender, requestId }) {
+        const event = productEvent(type, outcome);
+        if (event) {
+            await hooks.publish({ ...event, sender, requestId });
+        }
+        return outcome;
+    }
+
+    async function enqueue(type, payload) {
+        const job = await queue.enqueue(type, { ...payload, requestedAt: new Date().toISOString() });
+        console.log(`Product ${type} queued as job ${job.id}.`);
+        return { queued: true, job };
+    }
+
+    // --- Public API ---
+    // Each resolves to { queued: false, product } once committed, or { queued: true, job } in write-behind mode
+
+    async function create(fields, { sender, requestId } = {}) {
+        if (mode === 'write-behind') {
+            return enqueue('create', { fields, sender, requestId });
+        }
+
+        const outcome = await transaction(() => insertRow(fields, new Date().toISOString()));
+        console.log(`Product added to SQLite with ID: ${outcome.id}`);
+        if (mode === 'write-through') {
+            await hooks.cacheProduct(outcome.product);
+        }
+        await hooks.invalidate(); // Every page of the list; there is no stale entry for a new ID
+        await announce('create', outcome, { sender, requestId });
+        return { queued: false, product: outcome.product };
+    }
+
+    async function update(id, changes, { replace = false, ifMatch = null, sender, requestId } = {}) {
+        // Missing products and conflicts are reported right away, even when the write itself is queued
+        const existing = await findProduct(id);
+        if (!existing) {
+            throw ApiError.notFound('Product not found');
+        }
+        checkVersion(existing, ifMatch);
+        if (mode === 'write-behind') {
+            return enqueue('update', { id, changes, replace, ifMatch, sender, requestId });
+        }
+
+        const at = new Date().toISOString();
+        let outcome;
+        if (mode === 'write-through') {
+            const preview = mergeProduct(existing, changes, { replace, at });
+            await hooks.cacheProduct(preview);
+            try {
+                outcome = await transaction(() => updateRow(id, changes, { replace, at, ifMatch }));
+            } catch (err) {
+                await hooks.invalidate(id); // Readers must not keep seeing a write that never reached SQLite
+                throw err;
+            }
+            // Another request may have changed the row between the preview and the commit
+            if (JSON.stringify(outcome.product) !== JSON.stringify(preview)) {
+                await hooks.cacheProduct(outcome.product);
+            }
+            await hooks.invalidate();
+        } else {
+            outcome = await transaction(() => updateRow(id, changes, { replace, at, ifMatch }));
+            await hooks.invalidate(id);
+        }
+        console.log(`Product ${id} updated in SQLite.`);
+        await announce('update', outcome, { sender, requestId });
+        return { queued: false, product: outcome.product };
+    }
+
+    async function remove(id, { ifMatch = null, sender, requestId } = {}) {
+        if (mode === 'write-behind') {
+            const existing = await findProduct(id);
+            if (!existing) {
+                throw ApiError.notFound('Product not found');
+            }
+            checkVersion(existing, ifMatch);
+            return enqueue('delete', { id, ifMatch, sender, requestId });
+        }
+
+        // Nothing to write ahead for a delete, so write-through removes the cache entry after the commit too
+        const outcome = await transaction(() => deleteRow(id, { ifMatch }));
+        console.log(`Product ${id} deleted from SQLite.`);
+        await hooks.invalidate(id);
+        await announce('delete', outcome, { sender, requestId });
+        return { queued: false, product: null };
+    }
+
+    /**
+     * Applies one write-behind job. Jobs are recorded in product_write_jobs in the same transaction as
+     * their write, so a job that runs twice only invalidates and publishes again. Client errors such as
+     * a product deleted or changed (with If-Match) in the meantime are permanent: retrying would not help.
+     */
+    async function handleJob(job) {
+        const { type, payload } = job;
+        let outcome;
+        try {
+            outcome = await transaction(async () => {
+                const applied = await sql.get('SELECT product_id FROM product_write_jobs WHERE job_id = ?', [job.id]);
+                if (applied) {
+                    console.log(`Job ${job.id} was already applied to SQLite, finishing it.`);
+                    return { id: applied.product_id, product: await findProduct(applied.product_id) };
+                }
+
+                let result;
+                if (type === 'create') {
+                    result = await insertRow(payload.fields, payload.requestedAt);
+                } else if (type === 'update') {
+                    result = await updateRow(payload.id, payload.changes, {
+                        replace: payload.replace,
+                        at: payload.requestedAt,
+                        ifOlder: true,
+                        ifMatch: payload.ifMatch
+                    });
+                } else if (type === 'delete') {
+                    result = await deleteRow(payload.id, { ifMatch: payload.ifMatch });
+                } else {
+                    throw permanentError(new Error(`Unknown product job type "${type}"`));
+                }
+                await sql.run('INSERT INTO product_write_jobs (job_id, product_id, applied_at) VALUES (?, ?, ?)',
+                    [job.id, result.id, new Date().toISOString()]);
+                return result;
+            });
+        } catch (err) {
+            throw err instanceof ApiError && err.status < 500 ? permanentError(err) : err;
+        }
+
+        if (outcome.skipped) {
+            console.log(`Job ${job.id} skipped, product ${outcome.id} changed after it was queued.`);
+            return outcome;
+        }
+        console.log(`Job ${job.id} (${type}) applied to SQLite for product ${outcome.id}.`);
+        await hooks.invalidate(type === 'create' ? undefined : outcome.id);
+        return announce(type, outcome, payload);
+    }
+
+    return { mode, create, update, remove, handleJob };
+}
+
+module.exports = { createProductWrites, WRITE_MODES, PRODUCT_FIELDS };
@@ -0,0 +1,132 @@
+// lib/rateLimit.js
+
+const crypto = require('crypto');
+const { ApiError } = require('./errors');
+
+/**
+ * Sliding-window rate limiting backed by Redis, shared by every backend instance.
+ *
+ * Each limited client (user, IP or channel) gets a sorted set of request timestamps under
+ * "ratelimit:<name>:<client>". A Lua script drops timestamps older than the window, counts the
+ * rest and records the new request only if the limit is not reached, all atomically.
+ *
+ * Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset headers, and rejected
+ * requests get 429 with Retry-After. If Redis is unavailable the limiter fails open: requests are
+ * allowed and the error is logged, so an outage does not take the whole API down with it.
+ */
+
+// KEYS[1] = window key; ARGV = now (ms), window (ms), limit, unique member
+// Returns { allowed (1/0), requests in window, ms until the oldest request leaves the window }
+const SLIDING_WINDOW_SCRIPT = `
+    local now = tonumber(ARGV[1])
+    local window = tonumber(ARGV[2])
+    local limit = tonumber(ARGV[3])
+    redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+    local count = redis.call('ZCARD', KEYS[1])
+    local allowed = 0
+    if count < limit then
+        redis.call('ZADD', KEYS[1], now, ARGV[4])
+        redis.call('PEXPIRE', KEYS[1], window)
+        count = count + 1
+        allowed = 1
+    end
+    local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+    local resetIn = window
+    if oldest[2] then
+        resetIn = tonumber(oldest[2]) + window - now
+    end
+    return { allowed, count, resetIn }`;
+
+// Requests per window for each limited action. Override any of them with the RATE_LIMITS env var (JSON).
+const DEFAULT_LIMITS = {
+    login: { limit: 10, windowMs: 60 * 1000 }, // per IP
+    productWrite: { limit: 30, windowMs: 60 * 1000 }, // per user
+    publish: { limit: 20, windowMs: 60 * 1000 }, // per user
+    publishChannel: { limit: 60, windowMs: 60 * 1000 }, // per channel, across all users
+    socketEvent: { limit: 30, windowMs: 10 * 1000 } // per socket client, subscribe/unsubscribe/replay
+};
+
+// Identifies who is making the request: the logged-in user if any, otherwise the client IP
+const clientKey = (user, ip) => (user ? `user:${user.username}` : `ip:${ip}`);
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Redis client used to run the sliding-window script.
+ * @param {object} [options.limits] - Per-action { limit, windowMs } overriding DEFAULT_LIMITS.
+ */
+function createRateLimiter({ client, limits = {} }) {
+    const config = { ...DEFAULT_LIMITS, ...limits };
+
+    /**
+     * Counts one request for `key` against the named limit.
+     * Resolves to { allowed, limit, remaining, resetMs, retryAfterMs }.
+     */
+    async function consume(name, key) {
+        const { limit, windowMs } = config[name];
+        const member = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+
+        try {
+            const [allowed, count, resetIn] = await client.eval(SLIDING_WINDOW_SCRIPT, {
+                keys: [`ratelimit:${name}:${key}`],
+                arguments: [String(Date.now()), String(windowMs), String(limit), member]
+            });
+            return {
+                allowed: allowed === 1,
+                limit,
+                remaining: Math.max(0, limit - count),
+                resetMs: resetIn,
+                retryAfterMs: allowed === 1 ? 0 : resetIn
+            };
+        } catch (err) {
+            console.error(`Rate limiter "${name}" failed, allowing request:`, err.message);
+            return { allowed: true, limit, remaining: limit, resetMs: windowMs, retryAfterMs: 0 };
+        }
+    }
+
+    // Sets RateLimit-* headers, keeping the most restrictive result when several limiters apply
+    function setHeaders(res, result) {
+        const current = res.get('RateLimit-Remaining');
+        if (current !== undefined && Number(current) < result.remaining) return;
+
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+    }
+
+    /**
+     * Express middleware limiting the named action.
+     * `keyBy(req)` picks the bucket; it defaults to the user or IP and may return null to skip limiting.
+     */
+    function middleware(name, keyBy = (req) => clientKey(req.user, req.ip)) {
+        if (!config[name]) {
+            throw new Error(`Unknown rate limit "${name}"`);
+        }
+
+        return async (req, res, next) => {
+            const key = keyBy(req);
+            if (!key) return next();
+
+            const result = await consume(name, key);
+            setHeaders(res, result);
+            if (!result.allowed) {
+                // The error handler sets Retry-After from details.retryAfter
+                return next(ApiError.tooManyRequests(Math.ceil(result.retryAfterMs / 1000)));
+            }
+            next();
+        };
+    }
+
+    /**
+     * Checks a Socket.IO event against the socketEvent limit for the socket's user or address.
+     * Resolves to null when allowed, or a RATE_LIMITED ApiError carrying the retry delay when limited.
+     */
+    async function checkSocket(socket) {
+        const result = await consume('socketEvent', clientKey(socket.data.user, socket.handshake.address));
+        if (result.allowed) return null;
+        return ApiError.tooManyRequests(Math.ceil(result.retryAfterMs / 1000));
+    }
+
+    return { consume, middleware, checkSocket, limits: config };
+}
+
+module.exports = { createRateLimiter, DEFAULT_LIMITS, SLIDING_WINDOW_SCRIPT };
@@ -0,0 +1,117 @@
+// lib/redisDriver.js
+
+const { EventEmitter } = require('events');
+const redis = require('redis');
+const { createMemoryRedis } = require('./memoryRedis');
+
+/**
+ * Creates the Redis connections the backend needs and keeps track of whether Redis is reachable.
+ *
+ * Two drivers are available:
+ * - "redis": node-redis against a Redis URL (Redis Cloud or a local redis-server).
+ * - "memory": the embedded stand-in from lib/memoryRedis.js, so the backend runs without any Redis
+ *   server. Data lives in the process and is not shared between instances, unless several drivers in
+ *   one process are given the same `memoryServer` (the tests use this to run two instances).
+ *
+ * With the "redis" driver, commands fail immediately while the connection is down instead of
+ * queueing until it comes back (disableOfflineQueue), and the clients keep reconnecting in the
+ * background. Subscriber connections are the exception: node-redis only restores subscriptions
+ * after a reconnect when the offline queue is enabled.
+ *
+ * The driver emits "down" when Redis becomes unreachable and "up" once every client is ready again,
+ * so callers can switch to their degraded behaviour and back.
+ */
+
+const RECONNECT_MAX_DELAY_MS = 5000;
+
+/**
+ * @param {object} options
+ * @param {string} [options.driver] - "redis" or "memory". Defaults to "redis" when a URL is given, "memory" otherwise.
+ * @param {string} [options.url] - Redis connection URL for the "redis" driver.
+ * @param {object} [options.memoryServer] - For the "memory" driver: a client of an existing in-memory Redis to
+ *   connect to instead of starting a new one. Its data and Pub/Sub are then shared like one Redis server's.
+ */
+function createRedisDriver({ driver, url, memoryServer = null }) {
+    const kind = driver || (url ? 'redis' : 'memory');
+    const events = new EventEmitter();
+
+    let client;
+    if (kind === 'redis') {
+        if (!url) {
+            throw new Error('The "redis" driver needs a Redis URL (REDIS_CLOUD_URL)');
+        }
+        client = redis.createClient({
+            url,
+            disableOfflineQueue: true,
+            socket: { reconnectStrategy: (retries) => Math.min(retries * 200, RECONNECT_MAX_DELAY_MS) }
+        });
+    } else if (kind === 'memory') {
+        client = memoryServer ? memoryServer.duplicate() : createMemoryRedis();
+    } else {
+        throw new Error(`Unknown Redis driver "${kind}", expected "redis" or "memory"`);
+    }
+
+    const queued = { disableOfflineQueue: false };
+
+    // A single client cannot be used for both subscribing and standard commands simultaneously
+    const subscriber = client.duplicate(queued);
+    const publisher = client.duplicate();
+
+    // The Socket.IO adapter only makes sense against a Redis other instances share. Its clients keep the offline
+    // queue so adapter traffic sent during a short outage is delivered after reconnecting.
+    const adapterClients = kind === 'redis' || memoryServer
+        ? { publisher: client.duplicate(queued), subscriber: client.duplicate(queued) }
+        : null;
+
+    const monitored = [client, subscriber, publisher];
+    const connections = [...monitored, ...(adapterClients ? [adapterClients.publisher, adapterClients.subscriber] : [])];
+    let state = 'connecting'; // "connecting", "up", "down" or "closed"
+
+    const markDown = (err) => {
+        if (state === 'down' || state === 'closed') return;
+        state = 'down';
+        events.emit('down', err);
+    };
+
+    monitored.forEach((connection) => {
+        connection.on('ready', () => {
+            if (state !== 'up' && monitored.every((c) => c.isReady)) {
+                state = 'up';
+                events.emit('up');
+            }
+        });
+        connection.on('error', markDown);
+        connection.on('reconnecting', () => markDown(new Error('Reconnecting to Redis')));
+    });
+
+    /**
+     * Opens every connection. With the "redis" driver this resolves once all of them are ready,
+     * retrying in the background for as long as it takes.
+     */
+    async function connect() {
+        await Promise.all(connections.map((connection) => connection.connect()));
+    }
+
+    // Closes every open connection, e.g. on shutdown or at the end of a test. Connections that are
+    // still (re)connecting are dropped, since QUIT would wait in their offline queue for Redis to come back.
+    async function quit() {
+        state = 'closed';
+        await Promise.all(connections
+            .filter((connection) => connection.isOpen)
+            .map((connection) => (connection.isReady ? connection.quit() : connection.disconnect())));
+    }
+
+    return {
+        kind,
+        client,
+        subscriber,
+        publisher,
+        adapterClients,
+        connect,
+        quit,
+        isAvailable: () => state === 'up',
+        on: (event, listener) => events.on(event, listener)
+    };
+}
+
+module.exports = { createRedisDriver };
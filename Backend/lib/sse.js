@@ -0,0 +1,127 @@
+// lib/sse.js
+
+const { compareStreamIds, isStreamId } = require('./history');
+
+/**
+ * Server-Sent Events for consumers that cannot use Socket.IO (curl, scripts, internal tools).
+ *
+ * A stream covers one or more channels. Each event carries
+ *
+ *     id: news=1700000000000-0,alerts=1700000000123-0
+ *     data: {"id":"1700000000000-0","channel":"news","type":"TEXT_MESSAGE","version":1,...}
+ *
+ * where the data is the message envelope (lib/envelopes.js) and the event ID is the position
+ * reached in every channel of the stream. Browsers send the last
+ * one back as the Last-Event-ID header when they reconnect (other clients can pass ?lastEventId=),
+ * and the stream then starts by replaying what each channel missed from its Redis Stream history.
+ * Messages come from the same reference-counted Redis subscriptions as the Socket.IO rooms.
+ */
+
+const DEFAULT_KEEP_ALIVE_MS = 15 * 1000; // Comment lines that stop proxies from closing idle streams
+const RETRY_MS = 3000; // Reconnection delay suggested to EventSource clients
+
+// "news=1-0,alerts=2-0" -> { news: '1-0', alerts: '2-0' }, keeping only the given channels and valid IDs
+function parseCursor(value, channels) {
+    const cursor = {};
+    for (const part of String(value || '').split(',')) {
+        const [channel, id] = part.trim().split('=');
+        if (channels.includes(channel) && isStreamId(id)) {
+            cursor[channel] = id;
+        }
+    }
+    return cursor;
+}
+
+const formatCursor = (cursor) => Object.entries(cursor).map(([channel, id]) => `${channel}=${id}`).join(',');
+
+/**
+ * @param {object} options
+ * @param {object} options.subscriptionManager - Shared Redis subscriptions from lib/subscriptions.js.
+ * @param {object} options.messageHistory - Redis Streams history from lib/history.js, for resuming.
+ * @param {number} [options.keepAliveMs] - Interval of the keep-alive comments.
+ */
+function createEventStreams({ subscriptionManager, messageHistory, keepAliveMs = DEFAULT_KEEP_ALIVE_MS }) {
+    // Open streams, so they can be ended when the server shuts down
+    const streams = new Set();
+
+    /**
+     * Streams the messages of `channels` to the response until the client disconnects.
+     * Resumes after `lastEventId` when given. Rejects before anything is written if Redis cannot subscribe.
+     */
+    async function open(req, res, { channels, lastEventId }) {
+        const cursor = parseCursor(lastEventId, channels);
+        let replaying = true;
+        const buffered = []; // Live messages that arrive while history is being replayed
+
+        const send = (envelope, { replayed = false } = {}) => {
+            if (envelope.id) {
+                const seen = cursor[envelope.channel];
+                if (seen && compareStreamIds(envelope.id, seen) <= 0) return; // Already sent by the replay
+                cursor[envelope.channel] = envelope.id;
+            }
+            const data = replayed ? { ...envelope, replayed } : envelope;
+            res.write(`id: ${formatCursor(cursor)}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        const onMessage = (envelope) => (replaying ? buffered.push(envelope) : send(envelope));
+
+        // Subscribe before replaying, so nothing published in between is lost
+        const stops = [];
+        try {
+            for (const channel of channels) {
+                stops.push(await subscriptionManager.listen({ kind: 'channel', name: channel }, onMessage));
+            }
+        } catch (err) {
+            await Promise.all(stops.map((stop) => stop()));
+            throw err;
+        }
+
+        const stream = { res, keepAlive: null, close: null };
+        stream.close = () => {
+            if (!streams.delete(stream)) return;
+            clearInterval(stream.keepAlive);
+            Promise.all(stops.map((stop) => stop()))
+                .catch((err) => console.error('Failed to release an event stream subscription:', err.message));
+        };
+        streams.add(stream);
+        req.on('close', stream.close);
+        if (!res.socket || res.socket.destroyed) {
+            stream.close(); // The client left while we were subscribing
+            return;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable response buffering in nginx
+        });
+        res.write(`retry: ${RETRY_MS}\n\n`);
+        stream.keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveMs);
+
+        try {
+            for (const channel of Object.keys(cursor)) {
+                for await (const envelope of messageHistory.replay(channel, cursor[channel])) {
+                    send(envelope, { replayed: true });
+                }
+            }
+        } catch (err) {
+            console.error('Failed to replay history on an event stream:', err.message);
+        }
+        replaying = false;
+        buffered.splice(0).forEach((envelope) => send(envelope));
+    }
+
+    /**
+     * Ends every open stream, e.g. on shutdown.
+     */
+    function closeAll() {
+        for (const stream of [...streams]) {
+            stream.close();
+            stream.res.end();
+        }
+    }
+
+    return { open, closeAll, count: () => streams.size };
+}
+
+module.exports = { createEventStreams, parseCursor, formatCursor };
@@ -0,0 +1,183 @@
+// lib/subscriptions.js
+
+const { parsePayload } = require('./history');
+const { ApiError } = require('./errors');
+
+/**
+ * Bridges Redis Pub/Sub to Socket.IO rooms, Server-Sent Events streams and webhooks on demand.
+ *
+ * Each Socket.IO client can subscribe to any channel (SUBSCRIBE) or pattern (PSUBSCRIBE).
+ * The Redis subscription is shared and reference-counted: it is created when the first
+ * socket or other consumer (see `listen`) asks for it and dropped when the last one leaves.
+ * Messages are only forwarded to the sockets in the matching room, never broadcast to everyone,
+ * as `channel_message` events with the decoded envelope (see lib/envelopes.js) and `{ pattern }` for
+ * pattern subscriptions. The envelope ID is its stream ID, so clients can ask for a replay after a reconnect.
+ *
+ * Subscriptions and reference counts are per process. When several instances share rooms through
+ * the Redis adapter, each one relays only to its own sockets (io.local) so nothing is delivered twice.
+ *
+ * @param {object} options
+ * @param {object} options.subscriber - Dedicated Redis client in subscriber mode.
+ * @param {import('socket.io').Server} options.io - Socket.IO server used to emit to rooms.
+ * @param {Function} [options.authorize] - `(socket, { kind, name })` returning false to refuse a subscription.
+ */
+function createSubscriptionManager({ subscriber, io, authorize = () => true }) {
+    // room name -> { kind, name, count, listener, consumers }
+    const subscriptions = new Map();
+
+    // Room names are namespaced by kind so a channel and a pattern with the same text never collide
+    const roomFor = (kind, name) => `${kind}:${name}`;
+
+    // Accepts { channel } or { pattern } and returns the normalized target, or null if invalid
+    function parseTarget(target) {
+        if (!target || typeof target !== 'object') return null;
+        if (typeof target.channel === 'string' && target.channel.trim()) {
+            return { kind: 'channel', name: target.channel.trim() };
+        }
+        if (typeof target.pattern === 'string' && target.pattern.trim()) {
+            return { kind: 'pattern', name: target.pattern.trim() };
+        }
+        return null;
+    }
+
+    async function acquire(kind, name) {
+        const room = roomFor(kind, name);
+        const existing = subscriptions.get(room);
+        if (existing) {
+            existing.count += 1;
+            return;
+        }
+
+        // Register the entry before awaiting so concurrent subscribers share it
+        const entry = { kind, name, count: 1, listener: null, consumers: new Set() };
+        subscriptions.set(room, entry);
+
+        entry.listener = (payload, channel) => {
+            const envelope = parsePayload(payload, channel);
+            io.local.to(room).emit('channel_message', envelope, kind === 'pattern' ? { pattern: name } : {});
+            entry.consumers.forEach((consumer) => consumer(envelope, payload));
+        };
+        try {
+            if (kind === 'pattern') {
+                await subscriber.pSubscribe(name, entry.listener);
+            } else {
+                await subscriber.subscribe(name, entry.listener);
+            }
+        } catch (err) {
+            subscriptions.delete(room);
+            throw err;
+        }
+        console.log(`Redis ${kind} subscription "${name}" created.`);
+    }
+
+    async function release(kind, name) {
+        const room = roomFor(kind, name);
+        const entry = subscriptions.get(room);
+        if (!entry) return;
+
+        entry.count -= 1;
+        if (entry.count > 0) return;
+
+        subscriptions.delete(room);
+        // Pass the listener so other subscriptions on the same channel (e.g. product_updates) are kept
+        if (kind === 'pattern') {
+            await subscriber.pUnsubscribe(name, entry.listener);
+        } else {
+            await subscriber.unsubscribe(name, entry.listener);
+        }
+        console.log(`Redis ${kind} subscription "${name}" removed.`);
+    }
+
+    /**
+     * Joins the socket to the room for the requested channel or pattern.
+     * Subscribing twice to the same target is a no-op.
+     */
+    async function subscribe(socket, target) {
+        const parsed = parseTarget(target);
+        if (!parsed) {
+            throw new Error('A non-empty "channel" or "pattern" is required');
+        }
+        if (!authorize(socket, parsed)) {
+            throw ApiError.forbidden(`Not allowed to subscribe to ${parsed.kind} "${parsed.name}"`);
+        }
+
+        const room = roomFor(parsed.kind, parsed.name);
+        const joined = socket.data.subscriptions || (socket.data.subscriptions = new Set());
+        if (joined.has(room)) return parsed;
+
+        joined.add(room);
+        socket.join(room);
+        try {
+            await acquire(parsed.kind, parsed.name);
+        } catch (err) {
+            joined.delete(room);
+            socket.leave(room);
+            throw err;
+        }
+        return parsed;
+    }
+
+    /**
+     * Removes the socket from the room and releases its share of the Redis subscription.
+     */
+    async function unsubscribe(socket, target) {
+        const parsed = parseTarget(target);
+        if (!parsed) {
+            throw new Error('A non-empty "channel" or "pattern" is required');
+        }
+
+        const room = roomFor(parsed.kind, parsed.name);
+        const joined = socket.data.subscriptions;
+        if (!joined || !joined.has(room)) return parsed;
+
+        joined.delete(room);
+        socket.leave(room);
+        await release(parsed.kind, parsed.name);
+        return parsed;
+    }
+
+    /**
+     * Releases everything a socket was subscribed to. Called when the socket disconnects.
+     */
+    async function releaseAll(socket) {
+        const joined = socket.data.subscriptions;
+        if (!joined) return;
+
+        socket.data.subscriptions = new Set();
+        for (const room of joined) {
+            const entry = subscriptions.get(room);
+            if (entry) {
+                await release(entry.kind, entry.name);
+            }
+        }
+    }
+
+    /**
+     * Calls `consumer(envelope, raw)` for every message on a channel or pattern, with the payload as
+     * published, sharing the Redis subscription with the sockets. Used by Server-Sent Events and webhooks.
+     * Resolves to a function that stops listening.
+     */
+    async function listen(target, consumer) {
+        const { kind, name } = target;
+        await acquire(kind, name);
+        const entry = subscriptions.get(roomFor(kind, name));
+        entry.consumers.add(consumer);
+
+        let listening = true;
+        return async function stop() {
+            if (!listening) return;
+            listening = false;
+            entry.consumers.delete(consumer);
+            await release(kind, name);
+        };
+    }
+
+    // Snapshot of the active Redis subscriptions and how many sockets share each one
+    function list() {
+        return Array.from(subscriptions.values()).map(({ kind, name, count }) => ({ kind, name, count }));
+    }
+
+    return { subscribe, unsubscribe, releaseAll, listen, list };
+}
+
+module.exports = { createSubscriptionManager };
@@ -0,0 +1,333 @@
+// lib/validation.js
+
+const { z } = require('zod');
+const { ApiError } = require('./errors');
+const { isInternalKey } = require('./cache');
+const { isStreamId, DEFAULT_REPLAY_LIMIT } = require('./history');
+const { EVENT_TYPES } = require('./envelopes');
+
+/**
+ * Request schemas (zod) for every route and Socket.IO event, plus the middleware that applies them.
+ *
+ * `validate({ params, query, body, headers })` parses each part of the request with its schema. On success
+ * the parsed values (trimmed, coerced to numbers, defaults filled in) replace req.params, req.query
+ * and req.body, and are added to req.headers (which keeps the headers without a schema); on failure the request is rejected with a VALIDATION_ERROR listing every invalid
+ * field as { field, location, message }, so forms can show the problem next to the right input.
+ */
+
+// Channel names: letters, digits and "_ . : -", starting with a letter or digit, at most 64 characters
+const CHANNEL_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]{0,63}$/;
+// Patterns may also use the Redis glob characters * ? [ ]
+const CHANNEL_GLOB_PATTERN = /^[A-Za-z0-9_.:*?[\]-]{1,64}$/;
+
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const PRODUCT_SORTS = ['id', '-id', 'name', '-name', 'price', '-price'];
+
+const channelName = z.string({ required_error: 'Channel is required', invalid_type_error: 'Channel must be a string' })
+    .trim()
+    .regex(CHANNEL_NAME_PATTERN, 'Channel may only contain letters, digits, "_", ".", ":" and "-" (up to 64 characters)');
+
+const channelPattern = z.string({ required_error: 'Pattern is required', invalid_type_error: 'Pattern must be a string' })
+    .trim()
+    .regex(CHANNEL_GLOB_PATTERN, 'Pattern may only contain letters, digits, "_", ".", ":", "-" and * ? [ ] (up to 64 characters)');
+
+const streamId = z.string().refine(isStreamId, 'Must be a stream ID such as 1700000000000-0');
+
+// Product ETags are their version, e.g. "v3" (see GET /product/:id)
+const PRODUCT_ETAG_PATTERN = /^"v(\d+)"$/;
+
+// If-Match: "*" or a list of product ETags -> null (any version) or the versions accepted, e.g. [3]
+const ifMatch = z.string()
+    .transform((value, ctx) => {
+        const tags = value.split(',').map((tag) => tag.trim()).filter(Boolean);
+        if (tags.includes('*')) return null;
+        const versions = tags.map((tag) => PRODUCT_ETAG_PATTERN.exec(tag));
+        if (versions.length === 0 || versions.includes(null)) {
+            ctx.addIssue({ code: 'custom', message: 'If-Match must be * or product ETags such as "v3"' });
+            return z.NEVER;
+        }
+        return versions.map((match) => Number(match[1]));
+    })
+    .optional();
+
+// Headers of every write: X-Request-Id is an ID the client picks for the request, echoed in the events it causes
+const writeHeaders = z.object({
+    'x-request-id': z.string()
+        .regex(/^[A-Za-z0-9_.:-]{1,64}$/, 'X-Request-Id may only contain letters, digits, "_", ".", ":" and "-" (up to 64 characters)')
+        .optional()
+});
+const productWriteHeaders = writeHeaders.extend({ 'if-match': ifMatch });
+
+// "news,alerts" -> ['news', 'alerts'], for streams covering several channels
+const channelList = z.string({ required_error: 'channels is required', invalid_type_error: 'channels must be a single value' })
+    .transform((value) => [...new Set(value.split(',').map((channel) => channel.trim()).filter(Boolean))])
+    .pipe(z.array(channelName).min(1, 'channels must list at least one channel').max(20, 'channels may list at most 20 channels'));
+
+// Background job queues an admin can inspect (see GET /jobs)
+const JOB_QUEUES = ['product-writes', 'webhook-deliveries'];
+const jobQueue = z.enum(JOB_QUEUES, { errorMap: () => ({ message: `queue must be one of: ${JOB_QUEUES.join(', ')}` }) }).default('product-writes');
+
+// Event types clients may publish themselves; the others are sent by the backend only
+const PUBLISHABLE_TYPES = Object.keys(EVENT_TYPES).filter((type) => EVENT_TYPES[type].publishable);
+
+// { channel, message } is short for { channel, type: 'TEXT_MESSAGE', payload: { text: message } }.
+// Other types send their payload, which is checked against the type's schema in lib/envelopes.js.
+const publishBody = z.object({
+    channel: channelName,
+    type: z.enum(PUBLISHABLE_TYPES, {
+        errorMap: () => ({ message: `type must be one of: ${PUBLISHABLE_TYPES.join(', ')}` })
+    }).default('TEXT_MESSAGE'),
+    message: z.string({ invalid_type_error: 'Message must be a string' })
+        .min(1, 'Message is required')
+        .max(2000, 'Message must be at most 2000 characters')
+        .optional(),
+    payload: z.record(z.unknown(), { invalid_type_error: 'payload must be an object' }).optional()
+}).transform(({ channel, type, message, payload }, ctx) => {
+    if (message !== undefined && payload !== undefined) {
+        ctx.addIssue({ code: 'custom', path: ['payload'], message: 'Send either message or payload, not both' });
+        return z.NEVER;
+    }
+    if (message === undefined && payload === undefined) {
+        const field = type === 'TEXT_MESSAGE' ? 'message' : 'payload';
+        ctx.addIssue({ code: 'custom', path: [field], message: field === 'message' ? 'Message is required' : 'payload is required' });
+        return z.NEVER;
+    }
+    if (message !== undefined && type !== 'TEXT_MESSAGE') {
+        ctx.addIssue({ code: 'custom', path: ['message'], message: `message is only for TEXT_MESSAGE, send a payload for ${type}` });
+        return z.NEVER;
+    }
+
+    const parsed = EVENT_TYPES[type].payload.safeParse(payload === undefined ? { text: message } : payload);
+    if (!parsed.success) {
+        parsed.error.issues.forEach((issue) => ctx.addIssue({ ...issue, path: ['payload', ...issue.path] }));
+        return z.NEVER;
+    }
+    return { channel, type, payload: parsed.data };
+});
+
+// Integers from the query string or URL, where everything arrives as text
+const integerParam = (label, { min, max }) => z.preprocess(
+    (value) => (value === '' ? NaN : value),
+    z.coerce.number({ invalid_type_error: `${label} must be a number` })
+        .int(`${label} must be an integer`)
+        .min(min, `${label} must be at least ${min}`)
+        .max(max, `${label} must be at most ${max}`)
+);
+
+const productName = z.string({ required_error: 'Name is required', invalid_type_error: 'Name must be a string' })
+    .trim()
+    .min(1, 'Name is required')
+    .max(100, 'Name must be at most 100 characters');
+
+const productDescription = z.string({ invalid_type_error: 'Description must be a string' })
+    .trim()
+    .max(1000, 'Description must be at most 1000 characters')
+    .nullable()
+    .optional();
+
+const productPrice = z.number({ required_error: 'Price is required', invalid_type_error: 'Price must be a number' })
+    .min(0, 'Price cannot be negative')
+    .max(1000000, 'Price must be at most 1000000')
+    .multipleOf(0.01, 'Price can have at most 2 decimal places');
+
+const productStock = z.number({ required_error: 'Stock is required', invalid_type_error: 'Stock must be a number' })
+    .int('Stock must be a whole number')
+    .min(0, 'Stock cannot be negative')
+    .max(1000000, 'Stock must be at most 1000000');
+
+// An empty category is stored as null ("uncategorized")
+const productCategory = z.string({ invalid_type_error: 'Category must be a string' })
+    .trim()
+    .max(50, 'Category must be at most 50 characters')
+    .transform((value) => value || null)
+    .nullable()
+    .optional();
+
+// Full product body for POST and PUT; price and stock default to 0
+const productBody = z.object({
+    name: productName,
+    description: productDescription,
+    price: productPrice.default(0),
+    stock: productStock.default(0),
+    category: productCategory
+});
+
+const schemas = {
+    login: {
+        body: z.object({
+            username: z.string({ required_error: 'Username is required' }).trim().min(1, 'Username is required').max(64, 'Username is too long'),
+            password: z.string({ required_error: 'Password is required' }).min(1, 'Password is required').max(256, 'Password is too long')
+        })
+    },
+
+    productList: {
+        query: z.object({
+            page: integerParam('page', { min: 1, max: Number.MAX_SAFE_INTEGER }).default(1),
+            limit: integerParam('limit', { min: 1, max: MAX_PAGE_SIZE }).default(DEFAULT_PAGE_SIZE),
+            q: z.string({ invalid_type_error: 'q must be a single value' }).trim().max(100, 'q must be at most 100 characters').default(''),
+            sort: z.enum(PRODUCT_SORTS, { errorMap: () => ({ message: `sort must be one of: ${PRODUCT_SORTS.join(', ')}` }) }).default('id')
+        })
+    },
+
+    productId: {
+        params: z.object({ id: integerParam('Product ID', { min: 1, max: Number.MAX_SAFE_INTEGER }) })
+    },
+
+    deleteProduct: {
+        params: z.object({ id: integerParam('Product ID', { min: 1, max: Number.MAX_SAFE_INTEGER }) }),
+        headers: productWriteHeaders
+    },
+
+    createProduct: {
+        headers: writeHeaders,
+        body: productBody
+    },
+
+    replaceProduct: {
+        params: z.object({ id: integerParam('Product ID', { min: 1, max: Number.MAX_SAFE_INTEGER }) }),
+        headers: productWriteHeaders,
+        body: productBody
+    },
+
+    patchProduct: {
+        params: z.object({ id: integerParam('Product ID', { min: 1, max: Number.MAX_SAFE_INTEGER }) }),
+        headers: productWriteHeaders,
+        body: z.object({
+            name: productName.optional(),
+            description: productDescription,
+            price: productPrice.optional(),
+            stock: productStock.optional(),
+            category: productCategory
+        }).refine((body) => Object.values(body).some((value) => value !== undefined), 'Provide at least one field to change')
+    },
+
+    cacheList: {
+        query: z.object({
+            match: z.string().trim().min(1).max(200, 'match must be at most 200 characters').default('*'),
+            cursor: integerParam('cursor', { min: 0, max: Number.MAX_SAFE_INTEGER }).default(0),
+            count: integerParam('count', { min: 1, max: 1000 }).default(100)
+        })
+    },
+
+    cacheKey: {
+        params: z.object({
+            key: z.string().min(1).max(512, 'Key must be at most 512 characters')
+                .refine((key) => !isInternalKey(key), 'Generation counters and locks cannot be read or deleted')
+        })
+    },
+
+    cacheFlush: {
+        query: z.object({ match: z.string().trim().min(1).max(200, 'match must be at most 200 characters').default('*') })
+    },
+
+    jobList: {
+        query: z.object({
+            queue: jobQueue,
+            limit: integerParam('limit', { min: 1, max: 100 }).default(50)
+        })
+    },
+
+    deadJob: {
+        params: z.object({ id: z.string().uuid('Job ID must be a UUID') }),
+        query: z.object({ queue: jobQueue })
+    },
+
+    events: {
+        query: z.object({
+            channels: channelList,
+            lastEventId: z.string().max(2000, 'lastEventId must be at most 2000 characters').optional()
+        })
+    },
+
+    createWebhook: {
+        body: z.object({
+            channel: channelName,
+            url: z.string({ required_error: 'URL is required', invalid_type_error: 'URL must be a string' })
+                .url('URL must be an absolute http(s) URL')
+                .refine((url) => /^https?:\/\//i.test(url), 'URL must be an absolute http(s) URL'),
+            secret: z.string({ invalid_type_error: 'Secret must be a string' })
+                .min(16, 'Secret must be at least 16 characters')
+                .max(256, 'Secret must be at most 256 characters')
+                .optional()
+        })
+    },
+
+    webhookId: {
+        params: z.object({ id: z.string().uuid('Webhook ID must be a UUID') })
+    },
+
+    publish: {
+        headers: writeHeaders,
+        body: publishBody
+    },
+
+    channelHistory: {
+        params: z.object({ channel: channelName }),
+        query: z.object({
+            limit: integerParam('limit', { min: 1, max: DEFAULT_REPLAY_LIMIT }).default(DEFAULT_REPLAY_LIMIT),
+            before: streamId.optional()
+        })
+    },
+
+    // Socket.IO payloads
+    subscriptionTarget: z.union([
+        z.object({ channel: channelName }).strict(),
+        z.object({ pattern: channelPattern }).strict()
+    ], { errorMap: () => ({ message: 'Send either { channel } or { pattern }' }) }),
+
+    replay: z.object({
+        channel: channelName,
+        lastId: streamId.nullable().optional()
+    })
+};
+
+// Flattens zod issues into [{ field, location, message }]
+const toDetails = (issues, location) => issues.map((issue) => ({
+    field: issue.path.join('.') || null,
+    location,
+    message: issue.message
+}));
+
+/**
+ * Parses `data` with a schema, throwing a VALIDATION_ERROR ApiError when it does not match.
+ * Used directly for Socket.IO payloads.
+ */
+function parse(schema, data, location = 'payload') {
+    const result = schema.safeParse(data);
+    if (!result.success) {
+        throw ApiError.validation(toDetails(result.error.issues, location));
+    }
+    return result.data;
+}
+
+/**
+ * Express middleware validating req.params, req.query and req.body with the given schemas.
+ */
+function validate(parts) {
+    return (req, res, next) => {
+        const details = [];
+        const parsed = {};
+        for (const location of ['params', 'query', 'body', 'headers']) {
+            if (!parts[location]) continue;
+            const result = parts[location].safeParse(req[location] === undefined ? {} : req[location]);
+            if (result.success) {
+                parsed[location] = result.data;
+            } else {
+                details.push(...toDetails(result.error.issues, location));
+            }
+        }
+
+        if (details.length > 0) {
+            return next(ApiError.validation(details));
+        }
+        const { headers, ...rest } = parsed;
+        Object.assign(req, rest);
+        if (headers) {
+            Object.assign(req.headers, headers);
+        }
+        next();
+    };
+}
+
+module.exports = { schemas, validate, parse, CHANNEL_NAME_PATTERN };
@@ -0,0 +1,209 @@
+// lib/webhooks.js
+
+const crypto = require('crypto');
+const { permanentError } = require('./jobQueue'); // Dead-letters a job without further attempts
+
+/**
+ * Webhooks: HTTP endpoints registered per channel that receive every message as a signed POST.
+ *
+ * The registry is the Redis hash "webhooks" (ID -> JSON), shared by every instance. When it changes,
+ * a message on the internal "_internal:webhooks" channel tells every instance to reload it. Each
+ * instance listens to the channels that have webhooks through the shared subscriptions in
+ * lib/subscriptions.js, and turns every message into one delivery job per webhook on a job queue
+ * (lib/jobQueue.js), which provides the retries, backoff and dead-letter list. All instances see
+ * every message, so a SET NX marker per webhook and message makes sure only one of them queues it.
+ * The marker is keyed by the envelope ID (its stream ID). Messages published straight to Redis have no
+ * ID, so theirs is keyed by a hash of the raw payload and only lasts a few seconds: long enough for
+ * every instance to see the message, short enough that a later identical message is still delivered.
+ *
+ * Deliveries are signed like this, so receivers can check they come from us and are recent:
+ *
+ *     X-Webhook-Timestamp: 1700000000
+ *     X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret>
+ */
+
+const REGISTRY_KEY = 'webhooks';
+const CHANGES_CHANNEL = '_internal:webhooks'; // Not a valid channel name for clients, so it cannot be published to
+const DEDUPE_TTL_SECONDS = 24 * 60 * 60;
+const CONTENT_DEDUPE_TTL_SECONDS = 10;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+/**
+ * Signs a delivery body. Exposed so receivers (and the tests) can verify signatures the same way.
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Retrying will not help with most client errors, but timeouts and rate limits are worth another attempt
+const isPermanentStatus = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+// The registry without secrets, which are only shown once when a webhook is created
+const withoutSecret = ({ secret, ...webhook }) => webhook;
+
+/**
+ * @param {object} options
+ * @param {object} options.client - Redis client for the registry and the delivery markers.
+ * @param {object} options.publisher - Redis client used to announce registry changes.
+ * @param {object} options.subscriber - Redis client in subscriber mode, to hear about registry changes.
+ * @param {object} options.subscriptionManager - Shared Redis subscriptions from lib/subscriptions.js.
+ * @param {object} options.queue - Job queue holding the deliveries.
+ * @param {number} [options.timeoutMs] - How long a receiver may take to answer.
+ */
+function createWebhooks({ client, publisher, subscriber, subscriptionManager, queue, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    // channel -> { webhooks: [...], stop } for the channels this instance listens to
+    const listening = new Map();
+    let syncing = Promise.resolve();
+
+    async function load() {
+        const entries = Object.values(await client.hGetAll(REGISTRY_KEY)).map((raw) => JSON.parse(raw));
+        return entries.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Lists the registered webhooks, without their secrets.
+     */
+    async function list() {
+        return (await load()).map(withoutSecret);
+    }
+
+    /**
+     * Registers a URL for a channel. Without a secret, a random one is generated.
+     * Resolves to the webhook including its secret, which is not returned again.
+     */
+    async function register({ channel, url, secret, createdBy }) {
+        const webhook = {
+            id: crypto.randomUUID(),
+            channel,
+            url,
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+        await client.hSet(REGISTRY_KEY, webhook.id, JSON.stringify(webhook));
+        await publisher.publish(CHANGES_CHANNEL, webhook.id);
+        return webhook;
+    }
+
+    /**
+     * Removes a webhook. Resolves to false if there was none with that ID.
+     * Deliveries already queued for it are dropped when their turn comes.
+     */
+    async function remove(id) {
+        const removed = (await client.hDel(REGISTRY_KEY, id)) === 1;
+        if (removed) {
+            await publisher.publish(CHANGES_CHANNEL, id);
+        }
+        return removed;
+    }
+
+    // Queues one delivery per webhook of the message's channel, unless another instance already did
+    async function dispatch(envelope, raw) {
+        const entry = listening.get(envelope.channel);
+        if (!entry) return;
+        const marker = envelope.id
+            ? { key: envelope.id, ttl: DEDUPE_TTL_SECONDS }
+            : { key: `sha1:${crypto.createHash('sha1').update(raw).digest('hex')}`, ttl: CONTENT_DEDUPE_TTL_SECONDS };
+        for (const webhook of entry.webhooks) {
+            try {
+                const first = await client.set(`webhook:queued:${webhook.id}:${marker.key}`, '1', { NX: true, EX: marker.ttl });
+                if (!first) continue;
+                await queue.enqueue('deliver', { webhookId: webhook.id, envelope });
+            } catch (err) {
+                console.error(`Could not queue a delivery of "${envelope.channel}" to webhook ${webhook.id}:`, err.message);
+            }
+        }
+    }
+
+    // Listens to every channel that has a webhook, and stops listening to the others
+    async function applyRegistry() {
+        const byChannel = new Map();
+        for (const webhook of await load()) {
+            if (!byChannel.has(webhook.channel)) byChannel.set(webhook.channel, []);
+            byChannel.get(webhook.channel).push(webhook);
+        }
+
+        for (const [channel, entry] of listening) {
+            if (!byChannel.has(channel)) {
+                listening.delete(channel);
+                await entry.stop();
+            }
+        }
+        for (const [channel, webhooks] of byChannel) {
+            const entry = listening.get(channel);
+            if (entry) {
+                entry.webhooks = webhooks;
+            } else {
+                const added = { webhooks, stop: null };
+                added.stop = await subscriptionManager.listen({ kind: 'channel', name: channel }, dispatch);
+                listening.set(channel, added);
+            }
+        }
+    }
+
+    /**
+     * Reloads the registry. Runs on startup, after every change announcement and when Redis comes back.
+     */
+    function sync() {
+        syncing = syncing.then(applyRegistry).catch((err) => {
+            console.error('Failed to load the webhook registry:', err.message);
+        });
+        return syncing;
+    }
+
+    /**
+     * Sends one queued delivery. Network errors, timeouts and 408, 429 and 5xx responses are retried
+     * by the queue; other 4xx responses are permanent and go straight to the dead-letter list.
+     */
+    async function deliver(job) {
+        const { webhookId, envelope } = job.payload;
+        const raw = await client.hGet(REGISTRY_KEY, webhookId);
+        if (!raw) {
+            console.log(`Webhook ${webhookId} no longer exists, dropping delivery ${job.id}.`);
+            return;
+        }
+        const webhook = JSON.parse(raw);
+
+        const body = JSON.stringify({ deliveryId: job.id, webhookId, attempt: job.attempts + 1, envelope });
+        const timestamp = Math.floor(Date.now() / 1000);
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'redis-system-backend-webhooks',
+                'X-Webhook-Id': webhookId,
+                'X-Webhook-Delivery': job.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+        if (!response.ok) {
+            const err = new Error(`Webhook ${webhookId} answered ${response.status}`);
+            throw isPermanentStatus(response.status) ? permanentError(err) : err;
+        }
+        console.log(`Delivered ${envelope.type} ${envelope.id || ''} on "${envelope.channel}" to webhook ${webhookId} (${webhook.url}).`);
+    }
+
+    /**
+     * Follows registry changes made by any instance. Call once; `sync()` does the first load.
+     */
+    function start() {
+        return subscriber.subscribe(CHANGES_CHANNEL, () => sync());
+    }
+
+    /**
+     * Stops listening to webhook channels, e.g. on shutdown.
+     */
+    async function stop() {
+        await syncing;
+        const entries = [...listening.values()];
+        listening.clear();
+        await Promise.all(entries.map((entry) => entry.stop()));
+    }
+
+    return { list, register, remove, sync, deliver, start, stop };
+}
+
+module.exports = { createWebhooks, signPayload, CHANGES_CHANNEL };
@@ -0,0 +1,14 @@
+// migrations/001_create_products.js
+
+// The original products table. IF NOT EXISTS keeps databases created before migrations existed intact.
+exports.up = async (db) => {
+    await db.run(`CREATE TABLE IF NOT EXISTS products (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT
+    )`);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE products');
+};
@@ -0,0 +1,44 @@
+// migrations/002_product_details.js
+
+// Adds price, stock, category and timestamps. SQLite cannot add CHECK constraints or expression
+// defaults with ALTER TABLE, so the table is rebuilt and the existing rows copied over.
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))"; // ISO 8601 in UTC, like Date#toISOString()
+
+// Swaps in the rebuilt table, keeping the AUTOINCREMENT counter so IDs of deleted products are never reused
+async function replaceProductsTable(db, rebuilt) {
+    const sequence = await db.get("SELECT seq FROM sqlite_sequence WHERE name = 'products'");
+    await db.run('DROP TABLE products');
+    await db.run(`ALTER TABLE ${rebuilt} RENAME TO products`);
+    if (sequence) {
+        const { changes } = await db.run("UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = 'products'", [sequence.seq]);
+        if (changes === 0) {
+            await db.run("INSERT INTO sqlite_sequence (name, seq) VALUES ('products', ?)", [sequence.seq]);
+        }
+    }
+}
+
+exports.up = async (db) => {
+    await db.run(`CREATE TABLE products_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT,
+        price REAL NOT NULL DEFAULT 0 CHECK (price >= 0),
+        stock INTEGER NOT NULL DEFAULT 0 CHECK (stock >= 0),
+        category TEXT,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        updated_at TEXT NOT NULL DEFAULT ${NOW}
+    )`);
+    await db.run('INSERT INTO products_new (id, name, description) SELECT id, name, description FROM products');
+    await replaceProductsTable(db, 'products_new');
+    await db.run('CREATE INDEX products_category ON products (category)');
+};
+
+exports.down = async (db) => {
+    await db.run(`CREATE TABLE products_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        description TEXT
+    )`);
+    await db.run('INSERT INTO products_old (id, name, description) SELECT id, name, description FROM products');
+    await replaceProductsTable(db, 'products_old');
+};
@@ -0,0 +1,16 @@
+// migrations/003_product_write_jobs.js
+
+// Write-behind jobs that have reached SQLite. A job may run twice (a worker can die after the commit but
+// before the job is marked done), so the worker records each job in the same transaction as its write
+// and skips the write when it sees the job again.
+exports.up = async (db) => {
+    await db.run(`CREATE TABLE product_write_jobs (
+        job_id TEXT PRIMARY KEY,
+        product_id INTEGER,
+        applied_at TEXT NOT NULL
+    )`);
+};
+
+exports.down = async (db) => {
+    await db.run('DROP TABLE product_write_jobs');
+};
@@ -0,0 +1,11 @@
+// migrations/004_product_versions.js
+
+// Adds a version counter, bumped by every update, for optimistic concurrency control: clients send the
+// version they edited as If-Match and the write is refused with 409 if the product changed since.
+exports.up = async (db) => {
+    await db.run('ALTER TABLE products ADD COLUMN version INTEGER NOT NULL DEFAULT 1 CHECK (version >= 1)');
+};
+
+exports.down = async (db) => {
+    await db.run('ALTER TABLE products DROP COLUMN version');
+};
@@ -0,0 +1,59 @@
+// scripts/migrate.js
+
+// Applies or reverts database migrations (see lib/migrations.js). Run from the Backend directory:
+//   npm run migrate                      apply every pending migration
+//   npm run migrate -- up --to 1         apply migrations up to version 1
+//   npm run migrate -- down              revert the last applied migration
+//   npm run migrate -- down --steps 2    revert the last two (or --to 0 to revert everything)
+//   npm run migrate -- status            list migrations and whether they are applied
+require('dotenv').config();
+
+const { openDatabase } = require('../lib/db');
+const { loadConfig } = require('../lib/config');
+const { createMigrator } = require('../lib/migrations');
+
+const SQLITE_PATH = loadConfig().sqlite.path; // SQLITE_PATH, or the same setting in CONFIG_FILE
+
+// Parses "[command] [--to N] [--steps N]"
+function parseArgs(argv) {
+    const [command = 'up', ...rest] = argv;
+    const options = {};
+    for (let i = 0; i < rest.length; i += 2) {
+        const flag = rest[i].replace(/^--/, '');
+        const value = Number(rest[i + 1]);
+        if (!['to', 'steps'].includes(flag) || !Number.isInteger(value) || value < 0) {
+            throw new Error(`Invalid option "${rest[i]} ${rest[i + 1] ?? ''}", expected --to <version> or --steps <count>`);
+        }
+        options[flag] = value;
+    }
+    if (!['up', 'down', 'status'].includes(command)) {
+        throw new Error(`Unknown command "${command}", expected up, down or status`);
+    }
+    return { command, options };
+}
+
+async function main() {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    const db = await openDatabase(SQLITE_PATH, { migrate: false });
+    const migrator = createMigrator({ db });
+
+    try {
+        if (command === 'status') {
+            for (const { label, applied } of await migrator.status()) {
+                console.log(`${applied ? '[x]' : '[ ]'} ${label}`);
+            }
+        } else {
+            const versions = await migrator[command](options);
+            console.log(versions.length > 0
+                ? `${command === 'up' ? 'Applied' : 'Reverted'} ${versions.length} migrations on ${SQLITE_PATH}.`
+                : `Nothing to ${command === 'up' ? 'apply' : 'revert'} on ${SQLITE_PATH}.`);
+        }
+    } finally {
+        await new Promise((resolve) => db.close(resolve));
+    }
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
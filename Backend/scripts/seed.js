@@ -0,0 +1,62 @@
+// scripts/seed.js
+
+// Fills the products table with demo data. Run from the Backend directory:
+//   npm run seed              only seeds an empty table
+//   npm run seed -- --reset   deletes every product first
+// Pending migrations are applied before seeding.
+require('dotenv').config();
+
+const { openDatabase } = require('../lib/db');
+const { promisify } = require('../lib/migrations');
+const { loadConfig } = require('../lib/config');
+
+const SQLITE_PATH = loadConfig().sqlite.path; // SQLITE_PATH, or the same setting in CONFIG_FILE
+
+const DEMO_PRODUCTS = [
+    { name: 'Laptop Pro 14', description: 'Lightweight laptop with a 14" display and all-day battery.', price: 1499, stock: 12, category: 'Computers' },
+    { name: 'Laptop Air 13', description: 'Fanless ultraportable for travel.', price: 999, stock: 25, category: 'Computers' },
+    { name: 'Desktop Tower', description: '8-core workstation with 32 GB of RAM.', price: 1899.5, stock: 4, category: 'Computers' },
+    { name: '27" 4K Monitor', description: 'IPS panel with USB-C power delivery.', price: 429.99, stock: 18, category: 'Displays' },
+    { name: '34" Ultrawide Monitor', description: 'Curved 144 Hz display for work and play.', price: 649, stock: 7, category: 'Displays' },
+    { name: 'Mechanical Keyboard', description: 'Hot-swappable switches and PBT keycaps.', price: 129, stock: 40, category: 'Accessories' },
+    { name: 'Wireless Mouse', description: 'Ergonomic mouse with silent clicks.', price: 49.9, stock: 65, category: 'Accessories' },
+    { name: 'USB-C Dock', description: 'Two displays, Ethernet and 100 W charging over one cable.', price: 219, stock: 15, category: 'Accessories' },
+    { name: 'Noise-Cancelling Headphones', description: 'Over-ear headphones with 30-hour battery.', price: 299, stock: 22, category: 'Audio' },
+    { name: 'Bluetooth Speaker', description: 'Waterproof speaker for the desk or the beach.', price: 89, stock: 0, category: 'Audio' },
+    { name: 'Webcam 1080p', description: 'Auto-focus webcam with privacy shutter.', price: 79, stock: 33, category: 'Video' },
+    { name: 'Portable SSD 1 TB', description: 'Pocket-sized USB 3.2 drive, up to 1050 MB/s.', price: 119, stock: 50, category: 'Storage' }
+];
+
+async function main() {
+    const reset = process.argv.includes('--reset');
+    const db = await openDatabase(SQLITE_PATH);
+    const sql = promisify(db);
+
+    try {
+        if (reset) {
+            await sql.run('DELETE FROM products');
+        }
+        const { count } = await sql.get('SELECT COUNT(*) AS count FROM products');
+        if (count > 0) {
+            console.log(`${SQLITE_PATH} already has ${count} products, nothing seeded (use --reset to replace them).`);
+            return;
+        }
+
+        await sql.run('BEGIN');
+        for (const { name, description, price, stock, category } of DEMO_PRODUCTS) {
+            await sql.run('INSERT INTO products (name, description, price, stock, category) VALUES (?, ?, ?, ?, ?)',
+                [name, description, price, stock, category]);
+        }
+        await sql.run('COMMIT');
+        console.log(`Seeded ${DEMO_PRODUCTS.length} demo products into ${SQLITE_PATH}.`);
+        // A running backend may still serve the old list until its cache is flushed or warmed
+        console.log('If the backend is running, flush or warm the cache (DELETE /cache, POST /cache/warm) to see them.');
+    } finally {
+        await new Promise((resolve) => db.close(resolve));
+    }
+}
+
+main().catch((err) => {
+    console.error('Seeding failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,1104 @@
+// test/app.test.js
+
+const request = require('supertest');
+const { io: connectSocket } = require('socket.io-client');
+const { createEnvelope } = require('../lib/envelopes');
+const { createMessageHistory, DEFAULT_REPLAY_LIMIT } = require('../lib/history');
+const { startTestApp } = require('./helpers/testApp');
+
+let testApp;
+
+beforeAll(async () => {
+    // Route handlers log every cache hit and publish; keep the test output readable
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    testApp = await startTestApp();
+});
+
+afterAll(async () => {
+    await testApp.stop();
+    jest.restoreAllMocks();
+});
+
+// Sessions are reused across tests so the suite stays under the per-IP login rate limit
+const tokens = new Map();
+
+async function login(username, password) {
+    if (!tokens.has(username)) {
+        const response = await request(testApp.app)
+            .post('/auth/login')
+            .send({ username, password })
+            .expect(200);
+        tokens.set(username, response.body.token);
+    }
+    return tokens.get(username);
+}
+
+function connectClient(token) {
+    return new Promise((resolve, reject) => {
+        const socket = connectSocket(testApp.url, { transports: ['websocket'], reconnection: false, auth: token ? { token } : {} });
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+describe('GET /products', () => {
+    test('misses the cache on the first request and hits it on the second', async () => {
+        const first = await request(testApp.app).get('/products').expect(200);
+        expect(first.headers['x-cache']).toBe('MISS');
+
+        const second = await request(testApp.app).get('/products').expect(200);
+        expect(second.headers['x-cache']).toBe('HIT');
+        expect(second.body).toEqual(first.body);
+    });
+
+    test('rejects invalid paging parameters', async () => {
+        const response = await request(testApp.app).get('/products?limit=1000&sort=stock').expect(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+        expect(response.body.details).toEqual([
+            { field: 'limit', location: 'query', message: 'limit must be at most 100' },
+            { field: 'sort', location: 'query', message: 'sort must be one of: id, -id, name, -name, price, -price' }
+        ]);
+    });
+});
+
+describe('GET /products queries', () => {
+    // A separate instance with a known catalogue, so totals and orders do not depend on other tests
+    let listApp;
+    const CATALOGUE = [
+        ['Laptop Pro', 'Thin and light', 1499, 'computers'],
+        ['Mouse', 'Wireless, 500 dpi', 25, 'accessories'],
+        ['Monitor 50% off', null, 199, 'displays'],
+        ['USB_C hub', null, 40, 'accessories'],
+        ['USBXC adapter', null, 15, null],
+        ['keyboard', 'Mechanical', 80, 'accessories']
+    ];
+
+    const names = (response) => response.body.products.map((product) => product.name);
+
+    beforeAll(async () => {
+        listApp = await startTestApp();
+        for (const [name, description, price, category] of CATALOGUE) {
+            await new Promise((resolve, reject) => listApp.db.run(
+                'INSERT INTO products (name, description, price, category) VALUES (?, ?, ?, ?)',
+                [name, description, price, category],
+                (err) => (err ? reject(err) : resolve())
+            ));
+        }
+    });
+
+    afterAll(() => listApp.stop());
+
+    test('pages through the list and reports totals', async () => {
+        const first = await request(listApp.app).get('/products?limit=4').expect(200);
+        expect(first.body).toMatchObject({ page: 1, limit: 4, total: 6, totalPages: 2 });
+        expect(names(first)).toEqual(['Laptop Pro', 'Mouse', 'Monitor 50% off', 'USB_C hub']);
+
+        const second = await request(listApp.app).get('/products?limit=4&page=2').expect(200);
+        expect(second.body).toMatchObject({ page: 2, limit: 4, total: 6, totalPages: 2 });
+        expect(names(second)).toEqual(['USBXC adapter', 'keyboard']);
+
+        const beyond = await request(listApp.app).get('/products?limit=4&page=3').expect(200);
+        expect(beyond.body).toMatchObject({ products: [], page: 3, total: 6, totalPages: 2 });
+    });
+
+    test('sorts by name without regard to case, by price and by newest first', async () => {
+        const byName = await request(listApp.app).get('/products?sort=name&limit=4').expect(200);
+        expect(names(byName)).toEqual(['keyboard', 'Laptop Pro', 'Monitor 50% off', 'Mouse']);
+
+        const byPrice = await request(listApp.app).get('/products?sort=-price').expect(200);
+        expect(byPrice.body.products.map((product) => product.price)).toEqual([1499, 199, 80, 40, 25, 15]);
+
+        const newest = await request(listApp.app).get('/products?sort=-id&limit=1').expect(200);
+        expect(names(newest)).toEqual(['keyboard']);
+    });
+
+    test('searches name, description and category', async () => {
+        const byCategory = await request(listApp.app).get('/products?q=accessories').expect(200);
+        expect(byCategory.body).toMatchObject({ total: 3, totalPages: 1 });
+        expect(names(byCategory)).toEqual(['Mouse', 'USB_C hub', 'keyboard']);
+
+        const byDescription = await request(listApp.app).get('/products?q=MECHANICAL').expect(200);
+        expect(names(byDescription)).toEqual(['keyboard']);
+
+        const none = await request(listApp.app).get('/products?q=tablet').expect(200);
+        expect(none.body).toMatchObject({ products: [], total: 0, totalPages: 1 });
+    });
+
+    test('matches % and _ in a search literally', async () => {
+        // Unescaped, "50%" would also match "500 dpi" and "USB_C" would also match "USBXC"
+        const percent = await request(listApp.app).get(`/products?q=${encodeURIComponent('50%')}`).expect(200);
+        expect(names(percent)).toEqual(['Monitor 50% off']);
+
+        const underscore = await request(listApp.app).get('/products?q=USB_C').expect(200);
+        expect(names(underscore)).toEqual(['USB_C hub']);
+    });
+
+    test('a new product invalidates every cached query shape', async () => {
+        const shapes = ['/products?q=accessories', '/products?sort=-price&limit=2', '/products?page=2&limit=5'];
+        for (const shape of shapes) {
+            await request(listApp.app).get(shape).expect(200);
+            expect((await request(listApp.app).get(shape).expect(200)).headers['x-cache']).toBe('HIT');
+        }
+
+        const login = await request(listApp.app).post('/auth/login').send({ username: 'admin', password: 'admin-pass' }).expect(200);
+        await request(listApp.app)
+            .post('/product')
+            .set('Authorization', `Bearer ${login.body.token}`)
+            .send({ name: 'Trackpad', price: 2000, category: 'accessories' })
+            .expect(201);
+
+        const [search, byPrice, lastPage] = await Promise.all(shapes.map((shape) => request(listApp.app).get(shape).expect(200)));
+        [search, byPrice, lastPage].forEach((response) => expect(response.headers['x-cache']).toBe('MISS'));
+        expect(search.body.total).toBe(4);
+        expect(names(search)).toContain('Trackpad');
+        expect(names(byPrice)).toEqual(['Trackpad', 'Laptop Pro']);
+        expect(names(lastPage)).toEqual(['keyboard', 'Trackpad']);
+    });
+});
+
+describe('POST /product', () => {
+    test('invalidates the cached product list', async () => {
+        const token = await login('admin', 'admin-pass');
+        await request(testApp.app).get('/products');
+        const cached = await request(testApp.app).get('/products').expect(200);
+        expect(cached.headers['x-cache']).toBe('HIT');
+
+        await request(testApp.app)
+            .post('/product')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Keyboard', description: 'Mechanical' })
+            .expect(201);
+
+        const refreshed = await request(testApp.app).get('/products').expect(200);
+        expect(refreshed.headers['x-cache']).toBe('MISS');
+        expect(refreshed.body.total).toBe(cached.body.total + 1);
+        expect(refreshed.body.products.map((product) => product.name)).toContain('Keyboard');
+    });
+
+    test('delivers NEW_PRODUCT to connected Socket.IO clients', async () => {
+        const token = await login('admin', 'admin-pass');
+        const socket = await connectClient();
+
+        try {
+            const received = new Promise((resolve) => {
+                socket.on('product_updated', (envelope) => resolve(envelope));
+            });
+
+            const created = await request(testApp.app)
+                .post('/product')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Monitor', price: 199.99, stock: 3, category: 'Displays' })
+                .expect(201);
+
+            const envelope = await received;
+            expect(envelope).toEqual({
+                id: expect.stringMatching(/^\d+-\d+$/),
+                channel: 'product_updates',
+                type: 'NEW_PRODUCT',
+                version: 1,
+                timestamp: expect.any(String),
+                sender: { kind: 'user', name: 'admin', role: 'admin' },
+                requestId: null,
+                payload: created.body.product
+            });
+            expect(envelope.payload).toMatchObject({
+                id: created.body.productId,
+                name: 'Monitor',
+                description: null,
+                price: 199.99,
+                stock: 3,
+                category: 'Displays'
+            });
+            expect(envelope.payload.created_at).toEqual(expect.any(String));
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    test('requires a logged-in user', async () => {
+        const response = await request(testApp.app).post('/product').send({ name: 'Anonymous' }).expect(401);
+        expect(response.body).toEqual({ code: 'UNAUTHORIZED', message: 'Authentication required', details: null });
+    });
+
+    test('reports every invalid field', async () => {
+        const token = await login('admin', 'admin-pass');
+        const response = await request(testApp.app)
+            .post('/product')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: '   ', description: 'x'.repeat(1001) })
+            .expect(400);
+        expect(response.body.details).toEqual([
+            { field: 'name', location: 'body', message: 'Name is required' },
+            { field: 'description', location: 'body', message: 'Description must be at most 1000 characters' }
+        ]);
+    });
+});
+
+describe('PATCH /product/:id', () => {
+    test('changes only the given fields and refreshes updated_at', async () => {
+        const token = await login('admin', 'admin-pass');
+        const { body: { product: created } } = await request(testApp.app)
+            .post('/product')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Headphones', description: 'Over-ear', price: 89, stock: 10 })
+            .expect(201);
+        await request(testApp.app).get(`/product/${created.id}`).expect(200); // Cache it
+
+        const { body } = await request(testApp.app)
+            .patch(`/product/${created.id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .send({ stock: 9 })
+            .expect(200);
+        expect(body.product).toMatchObject({ name: 'Headphones', description: 'Over-ear', price: 89, stock: 9 });
+        expect(body.product.created_at).toBe(created.created_at);
+        expect(body.product.updated_at >= created.updated_at).toBe(true);
+
+        const fetched = await request(testApp.app).get(`/product/${created.id}`).expect(200);
+        expect(fetched.headers['x-cache']).toBe('MISS');
+        expect(fetched.body).toEqual(body.product);
+    });
+
+    test('rejects negative stock and sub-cent prices', async () => {
+        const token = await login('admin', 'admin-pass');
+        const response = await request(testApp.app)
+            .patch('/product/1')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ price: 1.005, stock: -1 })
+            .expect(400);
+        expect(response.body.details.map((detail) => detail.field)).toEqual(['price', 'stock']);
+    });
+
+    test('rejects a non-numeric ID', async () => {
+        const token = await login('admin', 'admin-pass');
+        const response = await request(testApp.app)
+            .patch('/product/abc')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Renamed' })
+            .expect(400);
+        expect(response.body.details).toEqual([
+            { field: 'id', location: 'params', message: 'Product ID must be a number' }
+        ]);
+    });
+
+    test('bumps the version and refuses a write based on an older one', async () => {
+        const token = await login('admin', 'admin-pass');
+        const created = await request(testApp.app)
+            .post('/product')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Kettle', price: 30 })
+            .expect(201);
+        expect(created.headers.etag).toBe('"v1"');
+        const id = created.body.productId;
+
+        const updated = await request(testApp.app)
+            .patch(`/product/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', '"v1"')
+            .send({ price: 35 })
+            .expect(200);
+        expect(updated.body.product.version).toBe(2);
+        expect(updated.headers.etag).toBe('"v2"');
+
+        const stale = await request(testApp.app)
+            .put(`/product/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', '"v1"')
+            .send({ name: 'Kettle', price: 25 })
+            .expect(409);
+        expect(stale.body).toEqual({
+            code: 'CONFLICT',
+            message: 'Product was changed by someone else (now at version 2)',
+            details: { current: updated.body.product }
+        });
+
+        await request(testApp.app)
+            .delete(`/product/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', '"v1"')
+            .expect(409);
+        const fetched = await request(testApp.app).get(`/product/${id}`).expect(200);
+        expect(fetched.body.price).toBe(35);
+        expect(fetched.headers.etag).toBe('"v2"');
+    });
+
+    test('rejects a malformed If-Match header', async () => {
+        const token = await login('admin', 'admin-pass');
+        const response = await request(testApp.app)
+            .patch('/product/1')
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', 'version 1')
+            .send({ stock: 1 })
+            .expect(400);
+        expect(response.body.details).toEqual([
+            { field: 'if-match', location: 'headers', message: 'If-Match must be * or product ETags such as "v3"' }
+        ]);
+    });
+
+    test('echoes the X-Request-Id in the event it causes', async () => {
+        const token = await login('admin', 'admin-pass');
+        const created = await request(testApp.app)
+            .post('/product')
+            .set('Authorization', `Bearer ${token}`)
+            .set('X-Request-Id', 'tab-1:42')
+            .send({ name: 'Toaster' })
+            .expect(201);
+
+        const history = await request(testApp.app).get('/channels/product_updates/history').expect(200);
+        expect(history.body.messages.pop()).toMatchObject({
+            type: 'NEW_PRODUCT',
+            requestId: 'tab-1:42',
+            payload: { id: created.body.productId }
+        });
+    });
+
+    test('returns NOT_FOUND for a missing product', async () => {
+        const token = await login('admin', 'admin-pass');
+        const response = await request(testApp.app)
+            .patch('/product/9999')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Renamed' })
+            .expect(404);
+        expect(response.body).toEqual({ code: 'NOT_FOUND', message: 'Product not found', details: null });
+    });
+});
+
+describe('HTTP caching', () => {
+    test('answers 304 while a page of products is unchanged, and a new ETag once it changes', async () => {
+        const first = await request(testApp.app).get('/products?limit=100').expect(200);
+        expect(first.headers['cache-control']).toBe('no-cache');
+        expect(first.headers.etag).toMatch(/^"[\w-]{22}"$/);
+
+        const unchanged = await request(testApp.app)
+            .get('/products?limit=100')
+            .set('If-None-Match', `W/${first.headers.etag}`)
+            .expect(304);
+        expect(unchanged.text).toBe('');
+        expect(unchanged.headers.etag).toBe(first.headers.etag);
+        expect(unchanged.headers['x-cache']).toBe('HIT');
+
+        const token = await login('admin', 'admin-pass');
+        await request(testApp.app).post('/product').set('Authorization', `Bearer ${token}`).send({ name: 'Blender' }).expect(201);
+        const changed = await request(testApp.app)
+            .get('/products?limit=100')
+            .set('If-None-Match', first.headers.etag)
+            .expect(200);
+        expect(changed.headers.etag).not.toBe(first.headers.etag);
+        expect(changed.body.products.map((product) => product.name)).toContain('Blender');
+    });
+
+    test('lets browsers cache the preflight that If-None-Match causes', async () => {
+        const preflight = await request(testApp.app)
+            .options('/products')
+            .set('Origin', 'http://localhost:3000')
+            .set('Access-Control-Request-Method', 'GET')
+            .set('Access-Control-Request-Headers', 'if-none-match')
+            .expect(204);
+        expect(preflight.headers['access-control-allow-origin']).toBe('*');
+        expect(preflight.headers['access-control-allow-headers']).toBe('if-none-match');
+        expect(preflight.headers['access-control-max-age']).toBe('600');
+    });
+
+    test('uses the version as the ETag of a single product', async () => {
+        const token = await login('admin', 'admin-pass');
+        const { body: { productId } } = await request(testApp.app)
+            .post('/product')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ name: 'Mixer' })
+            .expect(201);
+
+        const fetched = await request(testApp.app).get(`/product/${productId}`).expect(200);
+        expect(fetched.headers.etag).toBe('"v1"');
+        expect(fetched.headers['cache-control']).toBe('no-cache');
+        await request(testApp.app).get(`/product/${productId}`).set('If-None-Match', '"v0", "v1"').expect(304);
+
+        await request(testApp.app).patch(`/product/${productId}`).set('Authorization', `Bearer ${token}`).send({ stock: 1 }).expect(200);
+        const updated = await request(testApp.app).get(`/product/${productId}`).set('If-None-Match', '"v1"').expect(200);
+        expect(updated.headers.etag).toBe('"v2"');
+    });
+});
+
+describe('cache metrics', () => {
+    // A query shape no other test reads, so its counters start at zero
+    const PROBE = '/products?q=metrics-probe';
+    const PROBE_KEY = 'products:limit=20&page=1&q=metrics-probe&sort=id';
+
+    test('GET /cache/stats counts a MISS and then a HIT', async () => {
+        const before = (await request(testApp.app).get('/cache/stats').expect(200)).body;
+        expect(before.keys.find((entry) => entry.key === PROBE_KEY)).toBeUndefined();
+
+        expect((await request(testApp.app).get(PROBE).expect(200)).headers['x-cache']).toBe('MISS');
+        const afterMiss = (await request(testApp.app).get('/cache/stats').expect(200)).body;
+        expect(afterMiss.keys.find((entry) => entry.key === PROBE_KEY)).toMatchObject({
+            hits: 0, misses: 1, stale: 0, requests: 1, hitRatio: 0
+        });
+        expect(afterMiss.totals.misses).toBe(before.totals.misses + 1);
+        expect(afterMiss.totals.hits).toBe(before.totals.hits);
+
+        expect((await request(testApp.app).get(PROBE).expect(200)).headers['x-cache']).toBe('HIT');
+        const afterHit = (await request(testApp.app).get('/cache/stats').expect(200)).body;
+        const probe = afterHit.keys.find((entry) => entry.key === PROBE_KEY);
+        expect(probe).toMatchObject({ hits: 1, misses: 1, stale: 0, requests: 2, hitRatio: 0.5 });
+        expect(probe.avgLatencyMs).toBeGreaterThanOrEqual(0);
+        expect(typeof probe.lastLatencyMs).toBe('number');
+        expect(afterHit.totals).toMatchObject({ hits: before.totals.hits + 1, misses: before.totals.misses + 1 });
+        expect(afterHit.totals.requests).toBe(afterHit.totals.hits + afterHit.totals.misses + afterHit.totals.stale);
+    });
+
+    test('GET /metrics exposes the same counters in Prometheus text format', async () => {
+        const response = await request(testApp.app).get('/metrics').expect(200);
+        expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+        expect(response.headers['content-type']).toContain('version=0.0.4');
+
+        const lines = response.text.trim().split('\n');
+        expect(lines).toEqual(expect.arrayContaining([
+            '# TYPE cache_requests_total counter',
+            '# TYPE cache_read_latency_seconds_total counter',
+            '# TYPE cache_read_duration_seconds histogram',
+            `cache_requests_total{key="${PROBE_KEY}",result="hit"} 1`,
+            `cache_requests_total{key="${PROBE_KEY}",result="miss"} 1`,
+            `cache_requests_total{key="${PROBE_KEY}",result="stale"} 0`
+        ]));
+        lines.filter((line) => !line.startsWith('#')).forEach((line) => {
+            expect(line).toMatch(/^[a-z_]+(\{[^}]*\})? \d+(\.\d+)?(e-?\d+)?$/);
+        });
+
+        // Histogram buckets are cumulative and the +Inf bucket equals the count
+        const value = (prefix) => lines.filter((line) => line.startsWith(prefix)).map((line) => Number(line.split(' ').pop()));
+        const buckets = value('cache_read_duration_seconds_bucket');
+        expect(buckets).toEqual([...buckets].sort((a, b) => a - b));
+        expect(buckets[buckets.length - 1]).toBe(value('cache_read_duration_seconds_count')[0]);
+        const stats = (await request(testApp.app).get('/cache/stats').expect(200)).body;
+        expect(value('cache_read_duration_seconds_count')[0]).toBe(stats.totals.requests);
+    });
+});
+
+describe('cache administration', () => {
+    const asAdmin = async (req) => req.set('Authorization', `Bearer ${await login('admin', 'admin-pass')}`);
+
+    async function createProduct(name) {
+        const response = await asAdmin(request(testApp.app).post('/product').send({ name }));
+        expect(response.status).toBe(201);
+        return response.body.product;
+    }
+
+    test('requires the admin role', async () => {
+        const token = await login('demo', 'demo-pass');
+        await request(testApp.app).get('/cache').expect(401);
+        await request(testApp.app).get('/cache').set('Authorization', `Bearer ${token}`).expect(403);
+    });
+
+    test('lists, inspects and deletes cached keys', async () => {
+        const product = await createProduct('Cached lamp');
+        const key = `product:${product.id}`;
+        await request(testApp.app).get(`/product/${product.id}`).expect(200);
+
+        const listed = await asAdmin(request(testApp.app).get('/cache?match=product:*'));
+        expect(listed.status).toBe(200);
+        expect(listed.body.keys).toContainEqual(expect.objectContaining({ key, type: 'string' }));
+
+        const inspected = await asAdmin(request(testApp.app).get(`/cache/${key}`));
+        expect(inspected.status).toBe(200);
+        expect(inspected.body).toMatchObject({ key, type: 'string', value: { id: product.id, name: 'Cached lamp' } });
+        expect(inspected.body.ttl).toBeGreaterThan(0);
+
+        const deleted = await asAdmin(request(testApp.app).delete(`/cache/${key}`));
+        expect(deleted.status).toBe(200);
+        expect(deleted.body).toEqual({ message: 'Cache key deleted', key });
+        expect((await asAdmin(request(testApp.app).get(`/cache/${key}`))).status).toBe(404);
+        expect((await asAdmin(request(testApp.app).delete(`/cache/${key}`))).status).toBe(404);
+    });
+
+    test('flushes matching keys and warms the cache again', async () => {
+        const first = await createProduct('Flushed desk');
+        const second = await createProduct('Flushed chair');
+        await request(testApp.app).get(`/product/${first.id}`).expect(200);
+        await request(testApp.app).get(`/product/${second.id}`).expect(200);
+
+        const flushed = await asAdmin(request(testApp.app).delete('/cache?match=product:*'));
+        expect(flushed.status).toBe(200);
+        expect(flushed.body).toMatchObject({ message: 'Cache flushed', match: 'product:*' });
+        expect(flushed.body.deleted).toBeGreaterThanOrEqual(2);
+        expect((await asAdmin(request(testApp.app).get('/cache?match=product:*'))).body.keys).toEqual([]);
+
+        const warmed = await asAdmin(request(testApp.app).post('/cache/warm'));
+        expect(warmed.status).toBe(200);
+        expect(warmed.body.products).toBeGreaterThanOrEqual(2);
+        expect(warmed.body.lists).toEqual([expect.stringMatching(/^products:g\d+:limit=20&page=1&q=&sort=id$/)]);
+
+        expect((await request(testApp.app).get(`/product/${second.id}`).expect(200)).headers['x-cache']).toBe('HIT');
+        expect((await request(testApp.app).get('/products').expect(200)).headers['x-cache']).toBe('HIT');
+    });
+
+    test('keeps generation counters and locks out of reach, so the list stays current', async () => {
+        await createProduct('Generation lamp');
+        const before = await request(testApp.app).get('/products').expect(200);
+
+        const refused = await asAdmin(request(testApp.app).delete('/cache/gen:products'));
+        expect(refused.status).toBe(400);
+        expect(refused.body.details[0]).toMatchObject({ field: 'key', location: 'params' });
+        expect((await asAdmin(request(testApp.app).get('/cache/lock:products'))).status).toBe(400);
+
+        const listed = await asAdmin(request(testApp.app).get('/cache?count=1000'));
+        expect(listed.body.keys.filter(({ key }) => /^(gen|lock):/.test(key))).toEqual([]);
+        const flushed = await asAdmin(request(testApp.app).delete('/cache?match=gen:*'));
+        expect(flushed.body.deleted).toBe(0);
+
+        // A full flush keeps the counter too, and the next write still invalidates every page
+        await asAdmin(request(testApp.app).delete('/cache'));
+        await request(testApp.app).get('/products').expect(200);
+        await createProduct('Generation chair');
+        const after = await request(testApp.app).get('/products').expect(200);
+        expect(after.headers['x-cache']).toBe('MISS');
+        expect(after.body.total).toBe(before.body.total + 1);
+    });
+
+    test('cannot see or delete keys outside the cache namespace', async () => {
+        const token = await login('admin', 'admin-pass');
+        const { client } = testApp.redisDriver;
+        await createProduct('Published stool'); // Leaves an event in stream:product_updates
+        await client.set('queue:product-writes:marker', 'job');
+
+        const listed = await asAdmin(request(testApp.app).get('/cache?count=1000'));
+        const keys = listed.body.keys.map((entry) => entry.key);
+        expect(keys.length).toBeGreaterThan(0);
+        expect(keys.filter((key) => /^(session|ratelimit|queue|webhook|stream):/.test(key))).toEqual([]);
+
+        expect((await asAdmin(request(testApp.app).get(`/cache/session:${token}`))).status).toBe(404);
+        expect((await asAdmin(request(testApp.app).delete(`/cache/session:${token}`))).status).toBe(404);
+
+        await asAdmin(request(testApp.app).delete('/cache')).then((response) => expect(response.status).toBe(200));
+        expect((await asAdmin(request(testApp.app).get('/cache?count=1000'))).body.keys).toEqual([]);
+
+        // The session still works, and nothing outside the namespace was touched
+        await request(testApp.app).get('/auth/me').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(await client.get(`session:${token}`)).not.toBeNull();
+        expect(await client.get('queue:product-writes:marker')).toBe('job');
+        expect(await client.exists('stream:product_updates')).toBe(1);
+        expect((await client.scan(0, { MATCH: 'ratelimit:*', COUNT: 1000 })).keys.length).toBeGreaterThan(0);
+        await client.del('queue:product-writes:marker');
+    });
+});
+
+describe('error responses', () => {
+    test('reports malformed JSON bodies', async () => {
+        const response = await request(testApp.app)
+            .post('/auth/login')
+            .set('Content-Type', 'application/json')
+            .send('{"username":')
+            .expect(400);
+        expect(response.body.code).toBe('INVALID_JSON');
+    });
+
+    test('reports unknown routes', async () => {
+        const response = await request(testApp.app).get('/nope').expect(404);
+        expect(response.body).toEqual({ code: 'NOT_FOUND', message: 'Route GET /nope not found', details: null });
+    });
+});
+
+describe('POST /publish validation', () => {
+    test('rejects anonymous publishers', async () => {
+        const response = await request(testApp.app)
+            .post('/publish')
+            .send({ channel: 'custom_channel', message: 'hello' })
+            .expect(401);
+        expect(response.body.code).toBe('UNAUTHORIZED');
+    });
+
+    test.each([
+        ['channel', { message: 'hello' }, 'Channel is required'],
+        ['message', { channel: 'custom_channel' }, 'Message is required']
+    ])('rejects a missing %s', async (field, body, message) => {
+        const token = await login('demo', 'demo-pass');
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send(body)
+            .expect(400);
+        expect(response.body.code).toBe('VALIDATION_ERROR');
+        expect(response.body.details).toEqual([{ field, location: 'body', message }]);
+    });
+
+    test.each(['has spaces', '-leading-dash', 'a'.repeat(65), 'news/*'])('rejects the channel name %p', async (channel) => {
+        const token = await login('demo', 'demo-pass');
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel, message: 'hello' })
+            .expect(400);
+        expect(response.body.details[0].field).toBe('channel');
+    });
+
+    test('rejects messages over 2000 characters', async () => {
+        const token = await login('demo', 'demo-pass');
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'custom_channel', message: 'x'.repeat(2001) })
+            .expect(400);
+        expect(response.body.details[0].message).toBe('Message must be at most 2000 characters');
+    });
+
+    test('rejects channels the user may not publish to', async () => {
+        const token = await login('demo', 'demo-pass');
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'product_updates', message: 'fake event' })
+            .expect(403);
+        expect(response.body.code).toBe('FORBIDDEN');
+        expect(response.body.message).toMatch(/not allowed/);
+    });
+
+    test('publishes valid messages and returns their stream ID', async () => {
+        const token = await login('demo', 'demo-pass');
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'custom_channel', message: 'hello' })
+            .expect(200);
+        expect(response.body.id).toMatch(/^\d+-\d+$/);
+        expect(response.body.envelope).toMatchObject({
+            id: response.body.id,
+            channel: 'custom_channel',
+            type: 'TEXT_MESSAGE',
+            version: 1,
+            sender: { kind: 'user', name: 'demo', role: 'user' },
+            payload: { text: 'hello' }
+        });
+
+        const history = await request(testApp.app).get('/channels/custom_channel/history').expect(200);
+        expect(history.body.messages.pop()).toEqual(response.body.envelope);
+    });
+
+    test.each([
+        [{ type: 'NEW_PRODUCT', payload: { id: 1 } }, 'type', 'type must be one of: TEXT_MESSAGE'],
+        [{ type: 'TEXT_MESSAGE', payload: { text: 42 } }, 'payload.text', 'Text must be a string'],
+        [{ message: 'hello', payload: { text: 'hello' } }, 'payload', 'Send either message or payload, not both']
+    ])('rejects the envelope %p', async (body, field, message) => {
+        const token = await login('demo', 'demo-pass');
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'custom_channel', ...body })
+            .expect(400);
+        expect(response.body.details).toEqual([{ field, location: 'body', message }]);
+    });
+});
+
+describe('Socket.IO subscriptions', () => {
+    const emitWithAck = (socket, event, payload) => new Promise((resolve) => socket.emit(event, payload, resolve));
+
+    // Collects every channel_message a socket receives, with the metadata sent alongside it
+    function collectMessages(socket) {
+        const messages = [];
+        socket.on('channel_message', (envelope, meta) => messages.push({ envelope, meta }));
+        return messages;
+    }
+
+    const nextMessage = (socket) => new Promise((resolve) => {
+        socket.once('channel_message', (envelope, meta) => resolve({ envelope, meta }));
+    });
+
+    async function publish(channel, message) {
+        const token = await login('demo', 'demo-pass');
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel, message })
+            .expect(200);
+        return response.body.envelope;
+    }
+
+    test('keeps delivering to the other subscribers when one socket unsubscribes', async () => {
+        const token = await login('demo', 'demo-pass');
+        const [leaving, staying] = await Promise.all([connectClient(token), connectClient(token)]);
+
+        try {
+            expect(await emitWithAck(leaving, 'subscribe', { channel: 'shared.room' })).toEqual({ ok: true, kind: 'channel', name: 'shared.room' });
+            expect(await emitWithAck(staying, 'subscribe', { channel: 'shared.room' })).toMatchObject({ ok: true });
+            const leftBehind = collectMessages(leaving);
+
+            const first = nextMessage(staying);
+            await publish('shared.room', 'both');
+            expect((await first).envelope.payload).toEqual({ text: 'both' });
+
+            expect(await emitWithAck(leaving, 'unsubscribe', { channel: 'shared.room' })).toEqual({ ok: true, kind: 'channel', name: 'shared.room' });
+
+            // The Redis subscription is still held for the remaining socket
+            const second = nextMessage(staying);
+            const envelope = await publish('shared.room', 'one left');
+            expect(await second).toEqual({ envelope, meta: {} });
+
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            expect(leftBehind.map((message) => message.envelope.payload.text)).toEqual(['both']);
+        } finally {
+            leaving.disconnect();
+            staying.disconnect();
+        }
+    });
+
+    test('handles an unsubscribe sent before the subscribe is acknowledged after it', async () => {
+        const socket = await connectClient(await login('demo', 'demo-pass'));
+        const received = collectMessages(socket);
+        // The subscribe's rate limit check answers last, as it may on a busy Redis
+        const { client } = testApp.redisDriver;
+        const evalScript = client.eval;
+        const slowEval = jest.spyOn(client, 'eval').mockImplementationOnce(async (...args) => {
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            return evalScript.call(client, ...args);
+        });
+
+        try {
+            const acks = [];
+            const subscribed = emitWithAck(socket, 'subscribe', { channel: 'quick.leave' }).then((ack) => acks.push(['subscribe', ack.ok]));
+            const unsubscribed = emitWithAck(socket, 'unsubscribe', { channel: 'quick.leave' }).then((ack) => acks.push(['unsubscribe', ack.ok]));
+            await Promise.all([subscribed, unsubscribed]);
+            expect(acks).toEqual([['subscribe', true], ['unsubscribe', true]]);
+
+            await publish('quick.leave', 'too late');
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            expect(received).toEqual([]);
+        } finally {
+            slowEval.mockRestore();
+            socket.disconnect();
+        }
+    });
+
+    test('delivers messages on every channel matching a pattern, with the pattern alongside', async () => {
+        const socket = await connectClient(await login('admin', 'admin-pass'));
+
+        try {
+            expect(await emitWithAck(socket, 'subscribe', { pattern: 'news.*' })).toEqual({ ok: true, kind: 'pattern', name: 'news.*' });
+            const received = collectMessages(socket);
+
+            const delivered = nextMessage(socket);
+            const envelope = await publish('news.sports', 'goal');
+            expect(await delivered).toEqual({ envelope, meta: { pattern: 'news.*' } });
+            expect(envelope.channel).toBe('news.sports');
+
+            await publish('weather.today', 'sunny');
+            const other = nextMessage(socket);
+            await publish('news.local', 'fair');
+            expect((await other).envelope.channel).toBe('news.local');
+            expect(received.map((message) => message.envelope.channel)).toEqual(['news.sports', 'news.local']);
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    test('refuses pattern subscriptions to users who may not read every channel', async () => {
+        const socket = await connectClient(await login('demo', 'demo-pass'));
+
+        try {
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const refused = await emitWithAck(socket, 'subscribe', { pattern: 'news.*' });
+            error.mockRestore();
+            expect(refused).toMatchObject({ ok: false, code: 'FORBIDDEN', message: 'Not allowed to subscribe to pattern "news.*"' });
+        } finally {
+            socket.disconnect();
+        }
+    });
+});
+
+describe('message history', () => {
+    // Appends messages straight to a channel's stream, as POST /publish would, without its rate limit
+    async function seedHistory(channel, count) {
+        const { client, publisher } = testApp.redisDriver;
+        const history = createMessageHistory({ client, publisher });
+        const ids = [];
+        for (let i = 1; i <= count; i += 1) {
+            ids.push(await history.publish(channel, createEnvelope({ channel, type: 'TEXT_MESSAGE', payload: { text: `message ${i}` } })));
+        }
+        return ids;
+    }
+
+    function replay(socket, target) {
+        const received = [];
+        socket.on('channel_message', (envelope, meta) => received.push({ envelope, meta }));
+        return new Promise((resolve) => {
+            socket.emit('replay', target, (ack) => resolve({ ack, received }));
+        });
+    }
+
+    test('returns the most recent messages, oldest first, and pages further back with ?before', async () => {
+        const ids = await seedHistory('history.paging', 5);
+
+        const latest = await request(testApp.app).get('/channels/history.paging/history?limit=3').expect(200);
+        expect(latest.body.channel).toBe('history.paging');
+        expect(latest.body.messages.map((envelope) => envelope.id)).toEqual(ids.slice(2));
+        expect(latest.body.messages[0]).toMatchObject({ type: 'TEXT_MESSAGE', channel: 'history.paging', payload: { text: 'message 3' } });
+
+        const older = await request(testApp.app).get(`/channels/history.paging/history?limit=3&before=${ids[2]}`).expect(200);
+        expect(older.body.messages.map((envelope) => envelope.id)).toEqual(ids.slice(0, 2));
+    });
+
+    test('rejects channels the client may not read and malformed stream IDs', async () => {
+        const forbidden = await request(testApp.app).get('/channels/admin.audit/history').expect(403);
+        expect(forbidden.body.code).toBe('FORBIDDEN');
+
+        const invalid = await request(testApp.app).get('/channels/history.paging/history?before=yesterday').expect(400);
+        expect(invalid.body.code).toBe('VALIDATION_ERROR');
+        expect(invalid.body.details[0]).toMatchObject({ field: 'before', location: 'query' });
+    });
+
+    test('replays every missed message over Socket.IO, even more than one page', async () => {
+        const ids = await seedHistory('history.replay', DEFAULT_REPLAY_LIMIT + 51);
+        const socket = await connectClient();
+        try {
+            const { ack, received } = await replay(socket, { channel: 'history.replay', lastId: ids[0] });
+            expect(ack).toEqual({ ok: true, count: DEFAULT_REPLAY_LIMIT + 50 });
+            expect(received.map(({ envelope }) => envelope.id)).toEqual(ids.slice(1));
+            expect(received.every(({ meta }) => meta.replayed === true)).toBe(true);
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    test('replays the most recent page to a client that has seen nothing yet', async () => {
+        const socket = await connectClient();
+        try {
+            const { ack, received } = await replay(socket, { channel: 'history.replay' });
+            expect(ack).toEqual({ ok: true, count: DEFAULT_REPLAY_LIMIT });
+            expect(received[received.length - 1].envelope.payload).toEqual({ text: `message ${DEFAULT_REPLAY_LIMIT + 51}` });
+        } finally {
+            socket.disconnect();
+        }
+    });
+});
+
+describe('rate limiting', () => {
+    // A separate instance with tiny limits, so the other tests never run into them
+    let limitedApp;
+
+    beforeAll(async () => {
+        limitedApp = await startTestApp({
+            RATE_LIMITS: JSON.stringify({ publish: { limit: 2, windowMs: 60000 }, socketEvent: { limit: 2, windowMs: 60000 } })
+        });
+    });
+
+    afterAll(() => limitedApp.stop());
+
+    async function publishAs(username, password) {
+        const login = await request(limitedApp.app).post('/auth/login').send({ username, password }).expect(200);
+        return () => request(limitedApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${login.body.token}`)
+            .send({ channel: 'limited', message: 'hello' });
+    }
+
+    test('answers 429 with Retry-After and RateLimit headers once a user goes over the limit', async () => {
+        const publish = await publishAs('demo', 'demo-pass');
+
+        const first = await publish().expect(200);
+        expect(first.headers['ratelimit-limit']).toBe('2');
+        expect(first.headers['ratelimit-remaining']).toBe('1');
+        const second = await publish().expect(200);
+        expect(second.headers['ratelimit-remaining']).toBe('0');
+
+        const limited = await publish().expect(429);
+        expect(limited.body).toMatchObject({ code: 'RATE_LIMITED', message: 'Too many requests, please slow down' });
+        const { retryAfter } = limited.body.details;
+        expect(retryAfter).toBeGreaterThan(0);
+        expect(retryAfter).toBeLessThanOrEqual(60);
+        expect(limited.headers['retry-after']).toBe(String(retryAfter));
+        expect(limited.headers['ratelimit-remaining']).toBe('0');
+        expect(Number(limited.headers['ratelimit-reset'])).toBeGreaterThan(0);
+
+        // The limit is counted per user
+        const otherUser = await publishAs('admin', 'admin-pass');
+        await otherUser().expect(200);
+    });
+
+    test('refuses Socket.IO events over the limit in the acknowledgement', async () => {
+        const socket = await new Promise((resolve, reject) => {
+            const client = connectSocket(limitedApp.url, { transports: ['websocket'], reconnection: false });
+            client.once('connect', () => resolve(client));
+            client.once('connect_error', reject);
+        });
+        const subscribe = (channel) => new Promise((resolve) => socket.emit('subscribe', { channel }, resolve));
+
+        try {
+            expect(await subscribe('limited.one')).toMatchObject({ ok: true });
+            expect(await subscribe('limited.two')).toMatchObject({ ok: true });
+
+            const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+            const refused = await subscribe('limited.three');
+            error.mockRestore();
+            expect(refused).toMatchObject({ ok: false, code: 'RATE_LIMITED', message: 'Too many requests, please slow down' });
+            expect(refused.details.retryAfter).toBeGreaterThan(0);
+        } finally {
+            socket.disconnect();
+        }
+    });
+});
+
+describe('presence', () => {
+    const emitWithAck = (socket, event, payload) => new Promise((resolve) => socket.emit(event, payload, resolve));
+
+    // Resolves with the first presence_changed snapshot that satisfies `check`
+    const presenceWhere = (socket, check) => new Promise((resolve) => {
+        socket.on('presence_changed', (snapshot) => {
+            if (check(snapshot)) resolve(snapshot);
+        });
+    });
+
+    test('lists connected sockets with their user and subscriptions', async () => {
+        const token = await login('demo', 'demo-pass');
+        const socket = await connectClient(token);
+
+        try {
+            const changed = presenceWhere(socket, (snapshot) => snapshot.channels.some((channel) => channel.name === 'custom_channel'));
+            expect(await emitWithAck(socket, 'subscribe', { channel: 'custom_channel' })).toMatchObject({ ok: true });
+            const broadcast = await changed;
+
+            const response = await request(testApp.app).get('/presence').expect(200);
+            expect(response.body).toEqual(broadcast);
+            expect(response.body.users).toEqual([{ username: 'demo', role: 'user', sockets: 1 }]);
+            expect(response.body.channels).toEqual([{ kind: 'channel', name: 'custom_channel', subscribers: 1 }]);
+            expect(response.body.clients).toEqual([expect.objectContaining({
+                socketId: socket.id,
+                user: { username: 'demo', role: 'user' },
+                subscriptions: [{ kind: 'channel', name: 'custom_channel' }]
+            })]);
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    test('drops sockets once they disconnect', async () => {
+        const watcher = await connectClient();
+        const socket = await connectClient();
+
+        try {
+            const left = presenceWhere(watcher, (snapshot) => snapshot.total === 1);
+            socket.disconnect();
+            const snapshot = await left;
+            expect(snapshot.clients.map((client) => client.socketId)).toEqual([watcher.id]);
+            expect(snapshot.anonymous).toBe(1);
+        } finally {
+            watcher.disconnect();
+        }
+    });
+});
+
+describe('degraded mode', () => {
+    // A separate instance whose Redis connection the tests take away and bring back
+    let outageApp;
+    let authorization;
+
+    beforeAll(async () => {
+        outageApp = await startTestApp({}, { outages: true });
+        const login = await request(outageApp.app).post('/auth/login').send({ username: 'admin', password: 'admin-pass' }).expect(200);
+        authorization = `Bearer ${login.body.token}`;
+    });
+
+    afterAll(() => outageApp.stop());
+
+    // Runs the test body while Redis is down, and always brings Redis back afterwards
+    async function withoutRedis(body) {
+        const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+        await outageApp.redisDriver.goDown();
+        try {
+            await body();
+        } finally {
+            await outageApp.redisDriver.goUp();
+            error.mockRestore();
+        }
+    }
+
+    test('serves the product list straight from SQLite', async () => {
+        const before = await request(outageApp.app).get('/products').expect(200);
+
+        await withoutRedis(async () => {
+            const bypass = await request(outageApp.app).get('/products').expect(200);
+            expect(bypass.headers['x-cache']).toBe('BYPASS');
+            expect(bypass.body).toEqual(before.body);
+        });
+    });
+
+    test('refuses publishes with 503 and Retry-After', async () => {
+        await withoutRedis(async () => {
+            const refused = await request(outageApp.app)
+                .post('/publish')
+                .set('Authorization', authorization)
+                .send({ channel: 'news', message: 'hello' })
+                .expect(503);
+            expect(refused.body).toMatchObject({ code: 'SERVICE_UNAVAILABLE', details: { retryAfter: 5 } });
+            expect(refused.headers['retry-after']).toBe('5');
+        });
+    });
+
+    test('saves product writes and publishes their queued events once Redis is back', async () => {
+        await request(outageApp.app).get('/products');
+        const cached = await request(outageApp.app).get('/products').expect(200);
+        expect(cached.headers['x-cache']).toBe('HIT');
+        const socket = await new Promise((resolve, reject) => {
+            const client = connectSocket(outageApp.url, { transports: ['websocket'], reconnection: false });
+            client.once('connect', () => resolve(client));
+            client.once('connect_error', reject);
+        });
+        const received = [];
+        socket.on('product_updated', (envelope) => received.push(envelope));
+        const delivered = new Promise((resolve) => socket.once('product_updated', resolve));
+
+        try {
+            let created;
+            await withoutRedis(async () => {
+                created = await request(outageApp.app)
+                    .post('/product')
+                    .set('Authorization', authorization)
+                    .send({ name: 'Offline Lamp' })
+                    .expect(201);
+                const fromSqlite = await request(outageApp.app).get('/products').expect(200);
+                expect(fromSqlite.headers['x-cache']).toBe('BYPASS');
+                expect(fromSqlite.body.total).toBe(cached.body.total + 1);
+
+                // Nothing reaches subscribers until Redis is back
+                await new Promise((resolve) => setTimeout(resolve, 50));
+                expect(received).toEqual([]);
+            });
+
+            const envelope = await delivered;
+            expect(envelope).toMatchObject({ type: 'NEW_PRODUCT', payload: created.body.product });
+            expect(received).toEqual([envelope]);
+            const history = await request(outageApp.app).get('/channels/product_updates/history').expect(200);
+            expect(history.body.messages.pop()).toEqual(envelope);
+
+            // The list cached before the outage missed its invalidation and was dropped on reconnect
+            const refreshed = await request(outageApp.app).get('/products').expect(200);
+            expect(refreshed.headers['x-cache']).toBe('MISS');
+            expect(refreshed.body.total).toBe(cached.body.total + 1);
+        } finally {
+            socket.disconnect();
+        }
+    });
+});
+
+describe('health checks', () => {
+    test('report Redis and SQLite as up', async () => {
+        const health = await request(testApp.app).get('/healthz').expect(200);
+        expect(health.body).toMatchObject({
+            status: 'ok',
+            checks: {
+                redis: { driver: 'memory', status: 'up' },
+                database: { status: 'up' }
+            }
+        });
+        expect(health.body.checks.database.latencyMs).toEqual(expect.any(Number));
+
+        const ready = await request(testApp.app).get('/readyz').expect(200);
+        expect(ready.body.status).toBe('ok');
+    });
+
+    test('stop reporting ready once shutdown starts', async () => {
+        const other = await startTestApp();
+        const stopping = other.stop();
+
+        const ready = await request(other.app).get('/readyz').expect(503);
+        expect(ready.body.status).toBe('shutting_down');
+        // Still alive, so an orchestrator lets the shutdown finish instead of killing the process
+        await request(other.app).get('/healthz').expect(200);
+        await stopping;
+    });
+});
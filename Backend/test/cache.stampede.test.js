@@ -0,0 +1,111 @@
+// test/cache.stampede.test.js
+
+const { createCache } = require('../lib/cache');
+const { createMemoryRedis } = require('../lib/memoryRedis');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Several caches sharing one client behave like separate server processes talking to the same Redis
+async function connectedRedis() {
+    const client = createMemoryRedis();
+    await client.connect();
+    return client;
+}
+
+// Stands in for `SELECT * FROM products`: slow enough that every concurrent request misses together
+function createCountingLoader(delayMs = 30) {
+    const loader = jest.fn(async () => {
+        await sleep(delayMs);
+        return [{ id: 1, name: 'Laptop Pro', description: null }];
+    });
+    return loader;
+}
+
+describe('cache stampede protection', () => {
+    test('concurrent misses in one process share a single database query', async () => {
+        const cache = createCache({ client: await connectedRedis(), lockPollMs: 5 });
+        const loader = createCountingLoader();
+
+        const results = await Promise.all(
+            Array.from({ length: 100 }, () => cache.read('all_products', loader))
+        );
+
+        expect(loader).toHaveBeenCalledTimes(1);
+        results.forEach(({ value }) => expect(value).toEqual([{ id: 1, name: 'Laptop Pro', description: null }]));
+    });
+
+    test('load test: two instances sharing Redis run one query per invalidation', async () => {
+        const redis = await connectedRedis();
+        // Two caches with their own in-flight maps behave like two server processes
+        const instances = [
+            createCache({ client: redis, lockPollMs: 5 }),
+            createCache({ client: redis, lockPollMs: 5 })
+        ];
+        const loader = createCountingLoader();
+
+        for (let invalidation = 1; invalidation <= 5; invalidation++) {
+            await instances[0].del('all_products'); // what POST /product does
+
+            const burst = [];
+            for (let i = 0; i < 50; i++) {
+                instances.forEach((cache) => burst.push(cache.read('all_products', loader)));
+            }
+            await Promise.all(burst);
+
+            expect(loader).toHaveBeenCalledTimes(invalidation);
+        }
+    });
+
+    test('waiters receive the value rebuilt by another instance', async () => {
+        const redis = await connectedRedis();
+        const holder = createCache({ client: redis, lockPollMs: 5 });
+        const waiter = createCache({ client: redis, lockPollMs: 5 });
+        const holderLoader = createCountingLoader(50);
+        const waiterLoader = createCountingLoader();
+
+        const first = holder.read('all_products', holderLoader);
+        await sleep(5); // let the holder take the lock first
+        const second = await waiter.read('all_products', waiterLoader);
+
+        expect((await first).value).toEqual(second.value);
+        expect(holderLoader).toHaveBeenCalledTimes(1);
+        expect(waiterLoader).not.toHaveBeenCalled();
+    });
+
+    test('waiters fall back to the database when the lock holder dies', async () => {
+        const redis = await connectedRedis();
+        const cache = createCache({ client: redis, lockTtlMs: 1000, lockPollMs: 10 });
+        // A crashed instance left its lock behind and never wrote the value
+        await redis.set(cache.key('lock:all_products'), 'dead-holder', { NX: true, PX: 100 });
+
+        const loader = createCountingLoader();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const results = await Promise.all([
+            cache.read('all_products', loader),
+            cache.read('all_products', loader)
+        ]);
+
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(results[0].value).toEqual(results[1].value);
+        expect(await redis.get(cache.key('all_products'))).not.toBeNull();
+        warn.mockRestore();
+    });
+
+    test('stale-while-revalidate refreshes a stale value only once', async () => {
+        const cache = createCache({ client: await connectedRedis(), softTtl: 0.01, lockPollMs: 5 });
+        const loader = createCountingLoader(10);
+        const options = { strategy: 'stale-while-revalidate' };
+
+        await cache.read('all_products', loader, options);
+        await sleep(20); // value is now stale
+
+        const results = await Promise.all(
+            Array.from({ length: 20 }, () => cache.read('all_products', loader, options))
+        );
+        await sleep(30); // let the background refresh finish
+
+        expect(results.every(({ status }) => status === 'STALE')).toBe(true);
+        expect(loader).toHaveBeenCalledTimes(2);
+    });
+});
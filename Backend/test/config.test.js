@@ -0,0 +1,75 @@
+// test/config.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { DEFAULT_TTL } = require('../lib/cache');
+
+test('falls back to the defaults for unset and empty variables', () => {
+    const config = loadConfig({ env: { PORT: '', CORS_ORIGINS: '' } });
+
+    expect(config).toMatchObject({
+        port: 5000,
+        corsOrigins: ['*'],
+        redis: { driver: 'memory', url: undefined },
+        sqlite: { path: './database.db' },
+        cache: { ttl: DEFAULT_TTL, productsStrategy: 'cache-aside' },
+        channels: { productUpdates: 'product_updates' },
+        productWrites: { mode: 'direct' }
+    });
+});
+
+test('reads a config file, with environment variables taking precedence', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-')), 'config.json');
+    fs.writeFileSync(file, JSON.stringify({
+        PORT: 8080,
+        SQLITE_PATH: '/data/database.db',
+        CORS_ORIGINS: ['https://shop.example.com', 'https://admin.example.com'],
+        RATE_LIMITS: { login: { limit: 3, windowMs: 60000 } }
+    }));
+
+    try {
+        const config = loadConfig({
+            env: { CONFIG_FILE: file, PORT: '9090', REDIS_CLOUD_URL: 'redis://localhost:6379', PRESENCE_TTL_SECONDS: '30' }
+        });
+
+        expect(config.port).toBe(9090);
+        expect(config.sqlite.path).toBe('/data/database.db');
+        expect(config.corsOrigins).toEqual(['https://shop.example.com', 'https://admin.example.com']);
+        expect(config.rateLimits).toEqual({ login: { limit: 3, windowMs: 60000 } });
+        expect(config.redis).toEqual({ driver: 'redis', url: 'redis://localhost:6379' });
+        expect(config.presence.ttlMs).toBe(30000);
+    } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
+
+test('reports every invalid setting at once', () => {
+    let message;
+    try {
+        loadConfig({
+            env: {
+                PORT: 'eighty',
+                CACHE_TTL_SECONDS: '0',
+                PRODUCT_WRITE_MODE: 'sometimes',
+                RATE_LIMITS: '{not json',
+                REDIS_DRIVER: 'redis'
+            }
+        });
+    } catch (err) {
+        message = err.message;
+    }
+    expect(message).toMatch(/^Invalid configuration:\n/);
+    expect(message.split('\n').slice(1).sort()).toEqual([
+        '  - CACHE_TTL_SECONDS: must be at least 1',
+        '  - PORT: must be a number',
+        '  - PRODUCT_WRITE_MODE: must be one of: direct, write-through, write-behind',
+        '  - RATE_LIMITS: must be valid JSON',
+        '  - REDIS_CLOUD_URL: is required when REDIS_DRIVER is "redis"'
+    ]);
+});
+
+test('refuses a config file that cannot be read', () => {
+    expect(() => loadConfig({ env: { CONFIG_FILE: '/does/not/exist.json' } })).toThrow(/^Could not read CONFIG_FILE \/does\/not\/exist\.json/);
+});
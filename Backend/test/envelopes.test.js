@@ -0,0 +1,47 @@
+// test/envelopes.test.js
+
+const { createEnvelope, decodeEnvelope, encodeEnvelope, SYSTEM_SENDER } = require('../lib/envelopes');
+
+const product = {
+    id: 3,
+    name: 'Lamp',
+    description: null,
+    price: 25,
+    stock: 1,
+    category: null,
+    created_at: '2024-01-01T00:00:00.000Z',
+    updated_at: '2024-01-01T00:00:00.000Z',
+    version: 1
+};
+
+test('creates envelopes that survive a round trip through a stream entry', () => {
+    const envelope = createEnvelope({ channel: 'product_updates', type: 'UPDATED_PRODUCT', payload: product });
+    expect(envelope).toMatchObject({ id: null, type: 'UPDATED_PRODUCT', version: 1, sender: SYSTEM_SENDER, payload: product });
+
+    const decoded = decodeEnvelope(encodeEnvelope(envelope), { channel: 'product_updates', id: '1700000000000-0' });
+    expect(decoded).toEqual({ ...envelope, id: '1700000000000-0' });
+});
+
+test('refuses unknown types and payloads that do not match their type', () => {
+    expect(() => createEnvelope({ channel: 'product_updates', type: 'NEW_PRODUCT', payload: { id: 3 } })).toThrow();
+    expect(() => createEnvelope({ channel: 'news', type: 'SHOUT', payload: {} })).toThrow(/Unknown event type/);
+});
+
+test('wraps messages published without an envelope', () => {
+    expect(decodeEnvelope('hello from redis-cli', { channel: 'news' })).toMatchObject({
+        id: null,
+        channel: 'news',
+        type: 'TEXT_MESSAGE',
+        sender: { kind: 'external' },
+        payload: { text: 'hello from redis-cli' }
+    });
+
+    // The { id, message } Pub/Sub payloads and { type, payload } product events used before envelopes
+    const legacy = JSON.stringify({ id: '1700000000000-1', message: JSON.stringify({ type: 'DELETED_PRODUCT', payload: { id: 3 } }) });
+    expect(decodeEnvelope(legacy, { channel: 'product_updates' })).toMatchObject({
+        id: '1700000000000-1',
+        type: 'DELETED_PRODUCT',
+        timestamp: '2023-11-14T22:13:20.000Z',
+        payload: { id: 3 }
+    });
+});
@@ -0,0 +1,76 @@
+// test/helpers/testApp.js
+
+const { EventEmitter } = require('events');
+const { createApp } = require('../../app');
+const { openDatabase } = require('../../lib/db');
+const { createRedisDriver } = require('../../lib/redisDriver');
+const { loadConfig } = require('../../lib/config');
+
+/**
+ * Wraps a connected driver so a test can take Redis away and bring it back. goDown() closes the command
+ * and publish connections, so every command fails as against an unreachable server, and emits "down";
+ * goUp() reopens them and emits "up", like the real driver once it has reconnected.
+ */
+function withOutages(driver) {
+    const events = new EventEmitter();
+    const connections = [driver.client, driver.publisher];
+    let down = false;
+
+    driver.on('down', (err) => events.emit('down', err));
+    driver.on('up', () => events.emit('up'));
+
+    return {
+        ...driver,
+        isAvailable: () => !down && driver.isAvailable(),
+        on: (event, listener) => events.on(event, listener),
+        async goDown() {
+            down = true;
+            await Promise.all(connections.map((connection) => connection.disconnect()));
+            events.emit('down', new Error('Connection lost'));
+        },
+        async goUp() {
+            await Promise.all(connections.map((connection) => connection.connect()));
+            down = false;
+            events.emit('up');
+        }
+    };
+}
+
+/**
+ * Builds the full backend against an in-memory SQLite database and the embedded in-memory Redis,
+ * so route tests run offline. The HTTP server listens on a random port for Socket.IO clients.
+ *
+ * @param {object} [env] - Configuration variables (see lib/config.js) used instead of process.env.
+ * @param {object} [options]
+ * @param {object} [options.memoryServer] - In-memory Redis client to share with other test apps, as several
+ *   instances share one Redis server (see lib/redisDriver.js).
+ * @param {string} [options.sqlitePath] - Database file to share with other test apps.
+ * @param {boolean} [options.outages] - Give the driver goDown() and goUp() to simulate losing Redis (see withOutages).
+ */
+async function startTestApp(env = {}, { memoryServer, sqlitePath = ':memory:', outages = false } = {}) {
+    const db = await openDatabase(sqlitePath);
+    const connected = createRedisDriver({ driver: 'memory', memoryServer });
+    await connected.connect();
+    const redisDriver = outages ? withOutages(connected) : connected;
+
+    const instance = createApp({
+        redisDriver,
+        db,
+        config: loadConfig({ env: { AUTH_USERS: 'admin:admin-pass:admin,demo:demo-pass:user', ...env } })
+    });
+    await new Promise((resolve) => instance.server.listen(0, resolve));
+
+    return {
+        ...instance,
+        db,
+        redisDriver,
+        url: `http://localhost:${instance.server.address().port}`,
+        async stop() {
+            await instance.close();
+            await redisDriver.quit();
+            await new Promise((resolve) => db.close(resolve));
+        }
+    };
+}
+
+module.exports = { startTestApp };
@@ -0,0 +1,110 @@
+// test/jobQueue.test.js
+
+const { createMemoryRedis } = require('../lib/memoryRedis');
+const { createJobQueue, permanentError } = require('../lib/jobQueue');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const quietLog = { error: () => {}, warn: () => {} };
+
+let client;
+
+beforeEach(async () => {
+    client = createMemoryRedis();
+    await client.connect();
+});
+
+afterEach(async () => {
+    await client.quit();
+});
+
+test('hands out jobs in order and forgets completed ones', async () => {
+    const queue = createJobQueue({ client, name: 'test' });
+    const first = await queue.enqueue('create', { name: 'Mouse' });
+    await queue.enqueue('create', { name: 'Pad' });
+
+    const claimed = await queue.claim();
+    expect(claimed).toMatchObject({ id: first.id, type: 'create', payload: { name: 'Mouse' }, attempts: 0 });
+    expect((await queue.overview()).counts).toEqual({ pending: 1, processing: 1, delayed: 0, dead: 0 });
+
+    expect(await queue.complete(claimed)).toBe(true);
+    expect((await queue.overview()).counts).toEqual({ pending: 1, processing: 0, delayed: 0, dead: 0 });
+});
+
+test('retries with backoff, then dead-letters the job once it runs out of attempts', async () => {
+    const queue = createJobQueue({ client, name: 'test', maxAttempts: 2, backoffMs: 20 });
+    await queue.enqueue('update', { id: 1 });
+
+    const result = await queue.fail(await queue.claim(), new Error('SQLITE_BUSY'));
+    expect(result.status).toBe('retrying');
+    expect((await queue.overview()).delayed).toEqual([
+        expect.objectContaining({ attempts: 1, lastError: 'SQLITE_BUSY', retryAt: result.retryAt })
+    ]);
+    expect(await queue.claim()).toBeNull(); // Not due yet
+
+    await sleep(30);
+    const retried = await queue.claim();
+    expect(retried.attempts).toBe(1);
+    expect(await queue.fail(retried, new Error('SQLITE_BUSY'))).toEqual({ status: 'dead' });
+
+    const { counts, dead } = await queue.overview();
+    expect(counts).toEqual({ pending: 0, processing: 0, delayed: 0, dead: 1 });
+    expect(dead[0]).toMatchObject({ type: 'update', attempts: 2, lastError: 'SQLITE_BUSY' });
+});
+
+test('dead-letters permanent errors right away, and lets admins retry or discard them', async () => {
+    const queue = createJobQueue({ client, name: 'test' });
+    const job = await queue.enqueue('delete', { id: 7 });
+    await queue.fail(await queue.claim(), permanentError(new Error('Product not found')));
+    expect((await queue.overview()).counts.dead).toBe(1);
+
+    const requeued = await queue.retryDead(job.id);
+    expect(requeued).toMatchObject({ id: job.id, attempts: 0 });
+    expect(requeued.lastError).toBeUndefined();
+    expect((await queue.overview()).counts).toEqual({ pending: 1, processing: 0, delayed: 0, dead: 0 });
+
+    await queue.fail(await queue.claim(), permanentError(new Error('Product not found')));
+    expect(await queue.discardDead(job.id)).toBe(true);
+    expect(await queue.discardDead(job.id)).toBe(false);
+    expect(await queue.retryDead(job.id)).toBeNull();
+    expect((await queue.overview()).counts.dead).toBe(0);
+});
+
+test('gives a job to another worker when its lease expires', async () => {
+    const queue = createJobQueue({ client, name: 'test', leaseMs: 20 });
+    const job = await queue.enqueue('create', { name: 'Mouse' });
+
+    const abandoned = await queue.claim();
+    await sleep(30);
+    const reclaimed = await queue.claim();
+    expect(reclaimed.id).toBe(job.id);
+
+    // Both workers now hold the same job (handlers are idempotent): the first to finish completes it
+    expect(await queue.complete(abandoned)).toBe(true);
+    expect(await queue.complete(reclaimed)).toBe(false);
+});
+
+test('a worker processes jobs until stopped, and waits while Redis is unavailable', async () => {
+    const queue = createJobQueue({ client, name: 'test', backoffMs: 10 });
+    const handled = [];
+    let available = false;
+    let failOnce = true;
+
+    const stop = queue.work(async (job) => {
+        if (failOnce) {
+            failOnce = false;
+            throw new Error('Temporary failure');
+        }
+        handled.push(job.payload.name);
+    }, { pollMs: 5, isAvailable: () => available, log: quietLog });
+
+    await queue.enqueue('create', { name: 'Mouse' });
+    await queue.enqueue('create', { name: 'Pad' });
+    await sleep(30);
+    expect(handled).toEqual([]);
+
+    available = true;
+    await sleep(100);
+    await stop();
+    expect(handled.sort()).toEqual(['Mouse', 'Pad']);
+    expect((await queue.overview()).counts).toEqual({ pending: 0, processing: 0, delayed: 0, dead: 0 });
+});
@@ -0,0 +1,146 @@
+// test/memoryRedis.test.js
+
+const { createMemoryRedis } = require('../lib/memoryRedis');
+const { createCache } = require('../lib/cache');
+const { createRateLimiter } = require('../lib/rateLimit');
+const { createMessageHistory, parsePayload } = require('../lib/history');
+const { createEnvelope } = require('../lib/envelopes');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function connected() {
+    const client = createMemoryRedis();
+    await client.connect();
+    return client;
+}
+
+describe('in-memory Redis stand-in', () => {
+    test('strings expire and honour NX', async () => {
+        const client = await connected();
+
+        expect(await client.set('lock', 'a', { NX: true, PX: 20 })).toBe('OK');
+        expect(await client.set('lock', 'b', { NX: true, PX: 20 })).toBeNull();
+        expect(await client.ttl('lock')).toBe(1);
+
+        await sleep(30);
+        expect(await client.get('lock')).toBeNull();
+        expect(await client.ttl('lock')).toBe(-2);
+        expect(await client.incr('counter')).toBe(1);
+        expect(await client.incr('counter')).toBe(2);
+    });
+
+    test('sweeps expired keys that are never read again', async () => {
+        const client = createMemoryRedis({ sweepIntervalMs: 10 });
+        await client.connect();
+        await client.set('page:old', '{}', { PX: 5 });
+        await client.set('page:kept', '{}');
+        expect(await client.dbSize()).toBe(2);
+
+        await sleep(40);
+        expect(await client.dbSize()).toBe(1);
+        await client.quit();
+    });
+
+    test('commands fail on a client that is not connected', async () => {
+        await expect(createMemoryRedis().get('key')).rejects.toThrow('The client is closed');
+    });
+
+    test('duplicates share data, and SCAN filters by glob', async () => {
+        const client = await connected();
+        const other = client.duplicate();
+        await other.connect();
+
+        await client.setEx('demo:product:1', 60, '{}');
+        await client.setEx('demo:product:2', 60, '{}');
+        await client.setEx('other:product:3', 60, '{}');
+
+        const keys = [];
+        for await (const key of other.scanIterator({ MATCH: 'demo:product:*', COUNT: 1 })) {
+            keys.push(key);
+        }
+        expect(keys.sort()).toEqual(['demo:product:1', 'demo:product:2']);
+        expect(await other.type('demo:product:1')).toBe('string');
+    });
+
+    test('runs the cache layer, including its lock-release script', async () => {
+        const cache = createCache({ client: await connected(), namespace: 'demo', lockPollMs: 5 });
+        const loader = jest.fn(async () => [{ id: 1 }]);
+
+        expect(await cache.read('all_products', loader)).toEqual({ value: [{ id: 1 }], status: 'MISS' });
+        expect(await cache.read('all_products', loader)).toEqual({ value: [{ id: 1 }], status: 'HIT' });
+        expect(loader).toHaveBeenCalledTimes(1);
+        expect(await cache.get('lock:all_products')).toBeUndefined();
+    });
+
+    test('runs the sliding-window rate limit script', async () => {
+        const limiter = createRateLimiter({
+            client: await connected(),
+            limits: { publish: { limit: 2, windowMs: 50 } }
+        });
+
+        expect((await limiter.consume('publish', 'user:demo')).allowed).toBe(true);
+        expect((await limiter.consume('publish', 'user:demo')).remaining).toBe(0);
+        const limited = await limiter.consume('publish', 'user:demo');
+        expect(limited.allowed).toBe(false);
+        expect(limited.retryAfterMs).toBeGreaterThan(0);
+
+        await sleep(60);
+        expect((await limiter.consume('publish', 'user:demo')).allowed).toBe(true);
+    });
+
+    test('keeps stream history and delivers Pub/Sub messages to channel and pattern subscribers', async () => {
+        const client = await connected();
+        const subscriber = client.duplicate();
+        await subscriber.connect();
+        const history = createMessageHistory({ client, publisher: client, maxLen: 2 });
+
+        const text = (envelope) => envelope.payload.text;
+        const publish = (message) => history.publish('news', createEnvelope({ channel: 'news', type: 'TEXT_MESSAGE', payload: { text: message } }));
+
+        const received = [];
+        await subscriber.subscribe('news', (payload, channel) => received.push([channel, text(parsePayload(payload, channel))]));
+        await subscriber.pSubscribe('news*', (payload, channel) => received.push([`pattern:${channel}`, text(parsePayload(payload, channel))]));
+
+        const first = await publish('one');
+        await publish('two');
+        await publish('three');
+        await sleep(5);
+
+        expect(received).toEqual([
+            ['news', 'one'], ['pattern:news', 'one'],
+            ['news', 'two'], ['pattern:news', 'two'],
+            ['news', 'three'], ['pattern:news', 'three']
+        ]);
+        // MAXLEN trimmed the first entry; since() is exclusive of the ID it is given
+        expect((await history.recent('news')).map(text)).toEqual(['two', 'three']);
+        expect((await history.since('news', first)).map(text)).toEqual(['two', 'three']);
+    });
+
+    test('passes binary messages through to listeners subscribed in buffer mode', async () => {
+        const client = await connected();
+        const subscriber = client.duplicate();
+        await subscriber.connect();
+
+        const received = [];
+        await subscriber.pSubscribe('socket.io#*', (message) => received.push(['buffer', message]), true);
+        await subscriber.subscribe('socket.io#/#', (message) => received.push(['text', message]));
+
+        await client.publish('socket.io#/#', Buffer.from([0x93, 0xa1, 0x61]));
+        await sleep(5);
+
+        // Other listeners get text, as they would from node-redis
+        expect(received).toEqual([['text', expect.any(String)], ['buffer', Buffer.from([0x93, 0xa1, 0x61])]]);
+    });
+});
+
+describe('cache while Redis is unavailable', () => {
+    test('reads bypass Redis and go straight to the loader', async () => {
+        const client = createMemoryRedis(); // never connected: every command would fail
+        const cache = createCache({ client, isAvailable: () => false });
+        const loader = jest.fn(async () => ['from sqlite']);
+
+        expect(await cache.read('all_products', loader)).toEqual({ value: ['from sqlite'], status: 'BYPASS' });
+        expect(await cache.generation('products')).toBe(0);
+        await expect(cache.bumpGeneration('products')).rejects.toThrow();
+    });
+});
@@ -0,0 +1,76 @@
+// test/migrations.test.js
+
+const sqlite3 = require('sqlite3');
+const { createMigrator } = require('../lib/migrations');
+
+let db;
+let migrator;
+
+const all = (sql) => new Promise((resolve, reject) => db.all(sql, (err, rows) => (err ? reject(err) : resolve(rows))));
+const run = (sql) => new Promise((resolve, reject) => db.run(sql, (err) => (err ? reject(err) : resolve())));
+const columns = async () => (await all('PRAGMA table_info(products)')).map((column) => column.name);
+
+beforeEach(async () => {
+    db = await new Promise((resolve, reject) => {
+        const database = new sqlite3.Database(':memory:', (err) => (err ? reject(err) : resolve(database)));
+    });
+    migrator = createMigrator({ db, log: () => {} });
+});
+
+afterEach(async () => {
+    await new Promise((resolve) => db.close(resolve));
+});
+
+test('applies every migration once and records it', async () => {
+    expect(await migrator.up()).toEqual([1, 2, 3, 4]);
+    expect(await migrator.up()).toEqual([]);
+    expect(await columns()).toEqual(['id', 'name', 'description', 'price', 'stock', 'category', 'created_at', 'updated_at', 'version']);
+    expect((await migrator.status()).every((migration) => migration.applied)).toBe(true);
+});
+
+test('reverts and re-applies migrations step by step', async () => {
+    await migrator.up();
+    expect(await migrator.down()).toEqual([4]);
+    expect(await columns()).not.toContain('version');
+    expect(await migrator.down()).toEqual([3]);
+    expect(await all("SELECT name FROM sqlite_master WHERE name = 'product_write_jobs'")).toEqual([]);
+    expect(await migrator.down()).toEqual([2]);
+    expect(await columns()).toEqual(['id', 'name', 'description']);
+
+    expect(await migrator.down({ to: 0 })).toEqual([1]);
+    expect(await all("SELECT name FROM sqlite_master WHERE name = 'products'")).toEqual([]);
+
+    expect(await migrator.up({ to: 1 })).toEqual([1]);
+    expect(await migrator.status()).toEqual([
+        { version: 1, name: 'create_products', label: '001_create_products', applied: true },
+        { version: 2, name: 'product_details', label: '002_product_details', applied: false },
+        { version: 3, name: 'product_write_jobs', label: '003_product_write_jobs', applied: false },
+        { version: 4, name: 'product_versions', label: '004_product_versions', applied: false }
+    ]);
+});
+
+test('upgrades a database created before migrations existed, keeping its rows and IDs', async () => {
+    await run('CREATE TABLE products (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, description TEXT)');
+    await run("INSERT INTO products (name, description) VALUES ('Mouse', 'Black'), ('Pad', NULL)");
+    await run('DELETE FROM products WHERE id = 2');
+
+    await migrator.up();
+
+    const [mouse] = await all('SELECT * FROM products');
+    expect(mouse).toMatchObject({ id: 1, name: 'Mouse', description: 'Black', price: 0, stock: 0, category: null, version: 1 });
+    expect(mouse.created_at).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+
+    // The deleted product's ID is not handed out again
+    await run("INSERT INTO products (name) VALUES ('Keyboard')");
+    expect((await all("SELECT id FROM products WHERE name = 'Keyboard'"))[0].id).toBe(3);
+});
+
+test('rolls back a failing migration', async () => {
+    await migrator.up({ to: 1 });
+    await run("INSERT INTO products (name) VALUES ('Mouse')");
+    await run('CREATE TABLE products_new (id INTEGER)'); // Makes 002 fail halfway through
+
+    await expect(migrator.up()).rejects.toThrow(/002_product_details \(up\) failed/);
+    expect(await columns()).toEqual(['id', 'name', 'description']);
+    expect(await all('SELECT name FROM products')).toEqual([{ name: 'Mouse' }]);
+});
@@ -0,0 +1,230 @@
+// test/multiInstance.test.js
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { io: connectSocket } = require('socket.io-client');
+const { createMemoryRedis } = require('../lib/memoryRedis');
+const { startTestApp } = require('./helpers/testApp');
+
+// Two app instances in this process always run against one shared in-memory Redis, through the Socket.IO
+// Redis adapter. The server.js processes below need a real Redis, e.g. TEST_REDIS_URL=redis://localhost:6379 npm test
+const REDIS_URL = process.env.TEST_REDIS_URL;
+const describeWithRedis = REDIS_URL ? describe : describe.skip;
+
+const BASE_PORT = Number(process.env.TEST_BASE_PORT) || 5401;
+const SETTLE_MS = 500; // How long to keep listening for duplicates after the first delivery
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+jest.setTimeout(30000);
+
+// Starts `node server.js` and resolves once it is listening and connected to Redis
+function startInstance(port, env) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['server.js'], {
+            cwd: path.join(__dirname, '..'),
+            env: { ...process.env, ...env, PORT: String(port) },
+            stdio: ['ignore', 'pipe', 'pipe']
+        });
+        let output = '';
+        const onData = (chunk) => {
+            output += chunk;
+            if (output.includes('Server running') && output.includes('Connected to Redis')) {
+                child.stdout.off('data', onData);
+                resolve(child);
+            }
+        };
+        child.stdout.on('data', onData);
+        child.stderr.on('data', (chunk) => { output += chunk; });
+        child.on('exit', (code) => reject(new Error(`Instance on port ${port} exited with ${code}:\n${output}`)));
+    });
+}
+
+function connectClient(portOrUrl) {
+    const url = typeof portOrUrl === 'number' ? `http://localhost:${portOrUrl}` : portOrUrl;
+    return new Promise((resolve, reject) => {
+        const socket = connectSocket(url, { transports: ['websocket'], reconnection: false });
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+async function request(port, method, route, { body, token } = {}) {
+    const response = await fetch(`http://localhost:${port}${route}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Collects every payload of `event` per client so duplicates show up as extra entries
+function recordEvents(clients, event) {
+    const received = clients.map(() => []);
+    clients.forEach((client, i) => client.on(event, (...args) => received[i].push(args)));
+    return received;
+}
+
+async function waitForDeliveries(received) {
+    const deadline = Date.now() + 5000;
+    while (received.some((events) => events.length === 0) && Date.now() < deadline) {
+        await sleep(20);
+    }
+    await sleep(SETTLE_MS);
+}
+
+describe('two app instances sharing the in-memory Redis', () => {
+    const instances = [];
+    let clients = [];
+    let tmpDir;
+    let token;
+
+    beforeAll(async () => {
+        // Route handlers log every request; keep the test output readable
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-demo-'));
+        const memoryServer = createMemoryRedis();
+        const options = { memoryServer, sqlitePath: path.join(tmpDir, 'database.db') };
+        // Started one after the other so they do not race to create the SQLite schema
+        for (let i = 0; i < 2; i++) {
+            instances.push(await startTestApp({}, options));
+        }
+        clients = await Promise.all(instances.map((instance) => connectClient(instance.url)));
+
+        const login = await fetch(`${instances[0].url}/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username: 'admin', password: 'admin-pass' })
+        });
+        token = (await login.json()).token;
+    });
+
+    afterAll(async () => {
+        clients.forEach((client) => client.disconnect());
+        for (const instance of instances) {
+            await instance.stop();
+        }
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const post = (instance, route, body) => request(Number(new URL(instance.url).port), 'POST', route, { body, token });
+
+    test('a product created on one instance reaches clients of both instances exactly once', async () => {
+        const received = recordEvents(clients, 'product_updated');
+
+        const created = await post(instances[0], '/product', { name: 'Shared widget' });
+        expect(created.status).toBe(201);
+
+        await waitForDeliveries(received);
+        received.forEach((events) => {
+            expect(events).toHaveLength(1);
+            expect(events[0][0]).toMatchObject({ type: 'NEW_PRODUCT', payload: { name: 'Shared widget' } });
+        });
+        expect(received[0][0][0].id).toBe(received[1][0][0].id);
+    });
+
+    test('a channel message published on one instance reaches subscribers on both instances exactly once', async () => {
+        const acks = await Promise.all(clients.map((client) => client.emitWithAck('subscribe', { channel: 'shared.news' })));
+        acks.forEach((ack) => expect(ack.ok).toBe(true));
+
+        const received = recordEvents(clients, 'channel_message');
+        const published = await post(instances[1], '/publish', { channel: 'shared.news', message: 'hello' });
+        expect(published.status).toBe(200);
+
+        await waitForDeliveries(received);
+        received.forEach((events) => {
+            expect(events).toHaveLength(1);
+            expect(events[0][0]).toMatchObject({ channel: 'shared.news', type: 'TEXT_MESSAGE', payload: { text: 'hello' }, id: published.body.id });
+        });
+    });
+
+    test('presence changes on one instance are broadcast to clients of the other through the adapter', async () => {
+        const [received] = recordEvents([clients[1]], 'presence_changed');
+        const newcomer = await connectClient(instances[0].url);
+        try {
+            const deadline = Date.now() + 5000;
+            const seesNewcomer = () => received.some(([snapshot]) => snapshot.clients.some((entry) => entry.socketId === newcomer.id));
+            while (!seesNewcomer() && Date.now() < deadline) {
+                await sleep(20);
+            }
+            expect(seesNewcomer()).toBe(true);
+        } finally {
+            newcomer.disconnect();
+        }
+    });
+});
+
+describeWithRedis('several server.js instances sharing Redis', () => {
+    const ports = [BASE_PORT, BASE_PORT + 1];
+    const runId = crypto.randomBytes(4).toString('hex');
+    const instances = [];
+    let clients = [];
+    let tmpDir;
+    let token;
+
+    beforeAll(async () => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redis-demo-'));
+        const env = {
+            REDIS_CLOUD_URL: REDIS_URL,
+            SQLITE_PATH: path.join(tmpDir, 'database.db'),
+            CACHE_NAMESPACE: `test-${runId}`,
+            AUTH_USERS: 'tester:secret:admin',
+            RATE_LIMITS: JSON.stringify({ productWrite: { limit: 1000, windowMs: 60000 }, publish: { limit: 1000, windowMs: 60000 } })
+        };
+        // Started one after the other so they do not race to create the SQLite schema
+        for (const port of ports) {
+            instances.push(await startInstance(port, env));
+        }
+        clients = await Promise.all(ports.map(connectClient));
+
+        const login = await request(ports[0], 'POST', '/auth/login', { body: { username: 'tester', password: 'secret' } });
+        token = login.body.token;
+    });
+
+    afterAll(() => {
+        clients.forEach((client) => client.disconnect());
+        instances.forEach((child) => {
+            child.removeAllListeners('exit');
+            child.kill();
+        });
+        if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    test('a product created on one instance reaches clients of both instances exactly once', async () => {
+        const received = recordEvents(clients, 'product_updated');
+
+        const created = await request(ports[0], 'POST', '/product', { body: { name: `Widget ${runId}` }, token });
+        expect(created.status).toBe(201);
+
+        await waitForDeliveries(received);
+        received.forEach((events) => {
+            expect(events).toHaveLength(1);
+            expect(events[0][0]).toMatchObject({ type: 'NEW_PRODUCT', payload: { name: `Widget ${runId}` } });
+        });
+        expect(received[0][0][0].id).toBe(received[1][0][0].id);
+    });
+
+    test('a channel message published on one instance reaches subscribers on both instances exactly once', async () => {
+        const channel = `test.${runId}`;
+        const acks = await Promise.all(clients.map((client) => client.emitWithAck('subscribe', { channel })));
+        acks.forEach((ack) => expect(ack.ok).toBe(true));
+
+        const received = recordEvents(clients, 'channel_message');
+        const published = await request(ports[1], 'POST', '/publish', { body: { channel, message: 'hello' }, token });
+        expect(published.status).toBe(200);
+
+        await waitForDeliveries(received);
+        received.forEach((events) => {
+            expect(events).toHaveLength(1);
+            expect(events[0][0]).toMatchObject({ channel, type: 'TEXT_MESSAGE', payload: { text: 'hello' }, id: published.body.id });
+        });
+    });
+});
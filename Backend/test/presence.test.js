@@ -0,0 +1,36 @@
+// test/presence.test.js
+
+const { createMemoryRedis } = require('../lib/memoryRedis');
+const { createPresence } = require('../lib/presence');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const fakeSocket = (id, username) => ({
+    id,
+    data: { user: username ? { username, role: 'user' } : null, subscriptions: new Set(['channel:news', 'pattern:news.*']) }
+});
+
+test('forgets the sockets of an instance that stopped sending heartbeats', async () => {
+    const client = createMemoryRedis();
+    await client.connect();
+    const alive = createPresence({ client, ttlMs: 40, instance: 'alive' });
+    const crashed = createPresence({ client, ttlMs: 40, instance: 'crashed' });
+
+    await alive.connect(fakeSocket('a1', 'ada'));
+    await crashed.connect(fakeSocket('c1', 'bob'));
+    await crashed.connect(fakeSocket('c2'));
+    expect((await alive.list())).toMatchObject({
+        total: 3,
+        anonymous: 1,
+        users: [{ username: 'ada', sockets: 1 }, { username: 'bob', sockets: 1 }],
+        channels: [{ kind: 'channel', name: 'news', subscribers: 3 }, { kind: 'pattern', name: 'news.*', subscribers: 3 }]
+    });
+
+    await sleep(25);
+    await alive.heartbeat();
+    await sleep(25);
+
+    const snapshot = await alive.list();
+    expect(snapshot.clients.map((record) => [record.socketId, record.instance])).toEqual([['a1', 'alive']]);
+    expect(await client.zCard('presence:sockets')).toBe(1);
+    await client.quit();
+});
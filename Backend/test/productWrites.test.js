@@ -0,0 +1,218 @@
+// test/productWrites.test.js
+
+const request = require('supertest');
+const { io: connectSocket } = require('socket.io-client');
+const { startTestApp } = require('./helpers/testApp');
+const { createJobQueue } = require('../lib/jobQueue');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+// Polls `check` until it returns something truthy
+async function waitFor(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await sleep(10);
+    }
+}
+
+function dbGet(testApp, sql, params = []) {
+    return new Promise((resolve, reject) => {
+        testApp.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+}
+
+async function adminToken(testApp) {
+    const response = await request(testApp.app)
+        .post('/auth/login')
+        .send({ username: 'admin', password: 'admin-pass' })
+        .expect(200);
+    return response.body.token;
+}
+
+async function productEvents(testApp) {
+    const response = await request(testApp.app).get('/channels/product_updates/history').expect(200);
+    return response.body.messages;
+}
+
+describe('write-behind mode', () => {
+    let testApp;
+    let token;
+    let queue;
+
+    beforeAll(async () => {
+        testApp = await startTestApp({ PRODUCT_WRITE_MODE: 'write-behind', WRITE_BEHIND_POLL_MS: '5' });
+        token = await adminToken(testApp);
+        queue = createJobQueue({ client: testApp.redisDriver.client, name: 'product-writes' });
+    });
+
+    afterAll(async () => {
+        await testApp.stop();
+    });
+
+    test('queues the write and publishes only once the row is in SQLite', async () => {
+        const socket = await new Promise((resolve, reject) => {
+            const client = connectSocket(testApp.url, { transports: ['websocket'], reconnection: false });
+            client.once('connect', () => resolve(client));
+            client.once('connect_error', reject);
+        });
+
+        try {
+            const received = new Promise((resolve) => {
+                socket.on('product_updated', async ({ type, payload }) => {
+                    // Read SQLite the moment the event arrives
+                    resolve({ type, payload, row: await dbGet(testApp, 'SELECT * FROM products WHERE id = ?', [payload.id]) });
+                });
+            });
+
+            const queued = await request(testApp.app)
+                .post('/product')
+                .set('Authorization', `Bearer ${token}`)
+                .send({ name: 'Queued lamp', price: 25 })
+                .expect(202);
+            expect(queued.body.jobId).toEqual(expect.any(String));
+
+            const { type, payload, row } = await received;
+            expect(type).toBe('NEW_PRODUCT');
+            expect(payload).toMatchObject({ name: 'Queued lamp', price: 25, stock: 0 });
+            expect(row).toEqual(payload);
+        } finally {
+            socket.disconnect();
+        }
+    });
+
+    test('queues updates and deletes, and rejects missing products right away', async () => {
+        await request(testApp.app).post('/product').set('Authorization', `Bearer ${token}`).send({ name: 'Desk' }).expect(202);
+        const { id } = await waitFor(() => dbGet(testApp, "SELECT id FROM products WHERE name = 'Desk'"));
+
+        await request(testApp.app).patch(`/product/${id}`).set('Authorization', `Bearer ${token}`).send({ stock: 4 }).expect(202);
+        await waitFor(async () => (await dbGet(testApp, 'SELECT stock FROM products WHERE id = ?', [id])).stock === 4);
+
+        const deleted = await request(testApp.app).delete(`/product/${id}`).set('Authorization', `Bearer ${token}`).expect(202);
+        expect(deleted.body).toMatchObject({ productId: id, jobId: expect.any(String) });
+        await waitFor(async () => !(await dbGet(testApp, 'SELECT id FROM products WHERE id = ?', [id])));
+
+        const missing = await request(testApp.app).patch(`/product/${id}`).set('Authorization', `Bearer ${token}`).send({ stock: 1 }).expect(404);
+        expect(missing.body.code).toBe('NOT_FOUND');
+    });
+
+    test('checks If-Match when queuing and echoes the X-Request-Id once applied', async () => {
+        await request(testApp.app).post('/product').set('Authorization', `Bearer ${token}`).send({ name: 'Shelf' }).expect(202);
+        const { id } = await waitFor(() => dbGet(testApp, "SELECT id FROM products WHERE name = 'Shelf'"));
+
+        await request(testApp.app)
+            .patch(`/product/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', '"v1"')
+            .set('X-Request-Id', 'shelf-stock')
+            .send({ stock: 2 })
+            .expect(202);
+        const event = await waitFor(async () => (await productEvents(testApp)).find((envelope) => envelope.requestId === 'shelf-stock'));
+        expect(event).toMatchObject({ type: 'UPDATED_PRODUCT', payload: { id, stock: 2, version: 2 } });
+
+        const stale = await request(testApp.app)
+            .patch(`/product/${id}`)
+            .set('Authorization', `Bearer ${token}`)
+            .set('If-Match', '"v1"')
+            .send({ stock: 3 })
+            .expect(409);
+        expect(stale.body.details.current).toMatchObject({ id, stock: 2, version: 2 });
+    });
+
+    test('applies a job that runs twice only once', async () => {
+        const job = await queue.enqueue('create', { fields: { name: 'Replayed chair', price: 0, stock: 0 }, requestedAt: new Date().toISOString() });
+        await waitFor(() => dbGet(testApp, 'SELECT job_id FROM product_write_jobs WHERE job_id = ?', [job.id]));
+
+        // As if a worker died after committing but before completing the job
+        await testApp.redisDriver.client.rPush(queue.keys.pending, JSON.stringify(job));
+        await waitFor(async () => (await queue.overview()).counts.pending === 0 && (await queue.overview()).counts.processing === 0);
+
+        expect(await dbGet(testApp, "SELECT COUNT(*) AS count FROM products WHERE name = 'Replayed chair'")).toEqual({ count: 1 });
+    });
+
+    test('dead-letters jobs for products that no longer exist, and lets admins retry or discard them', async () => {
+        const job = await queue.enqueue('update', { id: 999999, changes: { name: 'Ghost' }, replace: false, requestedAt: new Date().toISOString() });
+
+        const dead = await waitFor(async () => {
+            const response = await request(testApp.app).get('/jobs').set('Authorization', `Bearer ${token}`).expect(200);
+            return response.body.counts.dead === 1 && response.body;
+        });
+        expect(dead.mode).toBe('write-behind');
+        expect(dead.dead).toEqual([expect.objectContaining({ id: job.id, type: 'update', attempts: 1, lastError: 'Product not found' })]);
+
+        const retried = await request(testApp.app).post(`/jobs/dead/${job.id}/retry`).set('Authorization', `Bearer ${token}`).expect(200);
+        expect(retried.body.job).toMatchObject({ id: job.id, attempts: 0 });
+        await waitFor(async () => (await queue.overview()).counts.dead === 1);
+
+        await request(testApp.app).delete(`/jobs/dead/${job.id}`).set('Authorization', `Bearer ${token}`).expect(200);
+        const gone = await request(testApp.app).delete(`/jobs/dead/${job.id}`).set('Authorization', `Bearer ${token}`).expect(404);
+        expect(gone.body.code).toBe('NOT_FOUND');
+        expect(await productEvents(testApp)).not.toContainEqual(expect.objectContaining({ payload: expect.objectContaining({ name: 'Ghost' }) }));
+    });
+
+    test('restricts the queue view to admins', async () => {
+        const login = await request(testApp.app).post('/auth/login').send({ username: 'demo', password: 'demo-pass' }).expect(200);
+        const response = await request(testApp.app).get('/jobs').set('Authorization', `Bearer ${login.body.token}`).expect(403);
+        expect(response.body.code).toBe('FORBIDDEN');
+
+        const invalid = await request(testApp.app).post('/jobs/dead/not-a-uuid/retry').set('Authorization', `Bearer ${token}`).expect(400);
+        expect(invalid.body.details).toEqual([{ field: 'id', location: 'params', message: 'Job ID must be a UUID' }]);
+    });
+});
+
+describe('write-through mode', () => {
+    let testApp;
+    let token;
+
+    beforeAll(async () => {
+        testApp = await startTestApp({ PRODUCT_WRITE_MODE: 'write-through' });
+        token = await adminToken(testApp);
+    });
+
+    afterAll(async () => {
+        await testApp.stop();
+    });
+
+    test('writes new and updated products to the cache', async () => {
+        const created = await request(testApp.app).post('/product').set('Authorization', `Bearer ${token}`).send({ name: 'Kettle' }).expect(201);
+        const { productId } = created.body;
+
+        const cached = await request(testApp.app).get(`/product/${productId}`).expect(200);
+        expect(cached.headers['x-cache']).toBe('HIT');
+        expect(cached.body).toEqual(created.body.product);
+
+        const updated = await request(testApp.app).patch(`/product/${productId}`).set('Authorization', `Bearer ${token}`).send({ price: 30 }).expect(200);
+        const refreshed = await request(testApp.app).get(`/product/${productId}`).expect(200);
+        expect(refreshed.headers['x-cache']).toBe('HIT');
+        expect(refreshed.body).toEqual(updated.body.product);
+        expect(refreshed.body).toEqual(await dbGet(testApp, 'SELECT * FROM products WHERE id = ?', [productId]));
+    });
+
+    test('removes the cached write and publishes nothing when SQLite rejects it', async () => {
+        const created = await request(testApp.app).post('/product').set('Authorization', `Bearer ${token}`).send({ name: 'Toaster' }).expect(201);
+        const { productId } = created.body;
+        await new Promise((resolve, reject) => testApp.db.run(
+            "CREATE TRIGGER reject_broken BEFORE UPDATE ON products WHEN NEW.name = 'Broken' BEGIN SELECT RAISE(ABORT, 'rejected'); END",
+            (err) => (err ? reject(err) : resolve())
+        ));
+
+        await request(testApp.app).patch(`/product/${productId}`).set('Authorization', `Bearer ${token}`).send({ name: 'Broken' }).expect(500);
+
+        const reloaded = await request(testApp.app).get(`/product/${productId}`).expect(200);
+        expect(reloaded.headers['x-cache']).toBe('MISS');
+        expect(reloaded.body.name).toBe('Toaster');
+        expect((await productEvents(testApp)).map(({ type }) => type)).toEqual(['NEW_PRODUCT', 'UPDATED_PRODUCT', 'NEW_PRODUCT']);
+    });
+});
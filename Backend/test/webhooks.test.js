@@ -0,0 +1,331 @@
+// test/webhooks.test.js
+
+const http = require('http');
+const request = require('supertest');
+const { createMemoryRedis } = require('../lib/memoryRedis');
+const { startTestApp } = require('./helpers/testApp');
+const { signPayload } = require('../lib/webhooks');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterAll(() => {
+    jest.restoreAllMocks();
+});
+
+// Polls `check` until it returns something truthy
+async function waitFor(check, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition');
+        await sleep(10);
+    }
+}
+
+async function login(testApp, username, password) {
+    const response = await request(testApp.app).post('/auth/login').send({ username, password }).expect(200);
+    return response.body.token;
+}
+
+/**
+ * A local HTTP server that records every POST it receives and answers with the next status from
+ * `statuses` (200 once they run out).
+ */
+async function startReceiver(statuses = []) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(statuses.length > 0 ? statuses.shift() : 200).end();
+        });
+    });
+    await new Promise((resolve) => server.listen(0, resolve));
+    return {
+        received,
+        url: `http://localhost:${server.address().port}/hook`,
+        close: () => new Promise((resolve) => server.close(resolve))
+    };
+}
+
+/**
+ * Opens GET /events and collects the parsed events until `close()` is called.
+ */
+function openEventStream(testApp, query, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.get(`${testApp.url}/events?${query}`, { headers }, (res) => {
+            const events = [];
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = {};
+                    for (const line of block.split('\n')) {
+                        if (line.startsWith('id: ')) event.id = line.slice(4);
+                        if (line.startsWith('data: ')) event.data = JSON.parse(line.slice(6));
+                    }
+                    if (event.data) events.push(event);
+                }
+            });
+            resolve({ res, events, close: () => req.destroy() });
+        });
+        req.on('error', reject);
+    });
+}
+
+describe('webhooks', () => {
+    let testApp;
+    let token;
+    let receiver;
+
+    beforeAll(async () => {
+        testApp = await startTestApp({ WEBHOOK_POLL_MS: '5', WEBHOOK_BACKOFF_MS: '20', WEBHOOK_MAX_ATTEMPTS: '3' });
+        token = await login(testApp, 'admin', 'admin-pass');
+    });
+
+    afterAll(async () => {
+        await testApp.stop();
+    });
+
+    afterEach(async () => {
+        await receiver.close();
+    });
+
+    async function register(channel, body = {}) {
+        const response = await request(testApp.app)
+            .post('/webhooks')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel, url: receiver.url, ...body })
+            .expect(201);
+        return response.body.webhook;
+    }
+
+    async function publish(channel, message) {
+        const response = await request(testApp.app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel, message })
+            .expect(200);
+        return response.body.id;
+    }
+
+    test('POSTs published messages with a verifiable signature', async () => {
+        receiver = await startReceiver();
+        const webhook = await register('orders', { secret: 'a-secret-of-16-chars' });
+        expect(webhook).toMatchObject({ channel: 'orders', url: receiver.url, secret: 'a-secret-of-16-chars', createdBy: 'admin' });
+
+        const listed = await request(testApp.app).get('/webhooks').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(listed.body.webhooks).toEqual([expect.objectContaining({ id: webhook.id, channel: 'orders' })]);
+        expect(listed.body.webhooks[0].secret).toBeUndefined();
+
+        await sleep(50); // Registry changes reach the subscriptions through Pub/Sub
+        const id = await publish('orders', 'Order #1 shipped');
+        await waitFor(() => receiver.received.length === 1);
+
+        const { headers, body } = receiver.received[0];
+        expect(headers['x-webhook-id']).toBe(webhook.id);
+        expect(headers['x-webhook-signature']).toBe(signPayload('a-secret-of-16-chars', headers['x-webhook-timestamp'], body));
+        expect(JSON.parse(body)).toEqual({
+            webhookId: webhook.id,
+            deliveryId: headers['x-webhook-delivery'],
+            attempt: 1,
+            envelope: expect.objectContaining({
+                id,
+                channel: 'orders',
+                type: 'TEXT_MESSAGE',
+                sender: { kind: 'user', name: 'admin', role: 'admin' },
+                payload: { text: 'Order #1 shipped' }
+            })
+        });
+
+        await request(testApp.app).delete(`/webhooks/${webhook.id}`).set('Authorization', `Bearer ${token}`).expect(200);
+        const gone = await request(testApp.app).delete(`/webhooks/${webhook.id}`).set('Authorization', `Bearer ${token}`).expect(404);
+        expect(gone.body.code).toBe('NOT_FOUND');
+    });
+
+    test('retries failed deliveries with backoff', async () => {
+        receiver = await startReceiver([500, 503]);
+        const webhook = await register('retries');
+        await sleep(50);
+
+        await publish('retries', 'Eventually delivered');
+        await waitFor(() => receiver.received.length === 3);
+
+        const attempts = receiver.received.map(({ body }) => JSON.parse(body));
+        expect(attempts.map(({ attempt }) => attempt)).toEqual([1, 2, 3]);
+        expect(new Set(attempts.map(({ deliveryId }) => deliveryId)).size).toBe(1);
+        // Each attempt is signed again with its own timestamp and body
+        for (const { headers, body } of receiver.received) {
+            expect(headers['x-webhook-signature']).toBe(signPayload(webhook.secret, headers['x-webhook-timestamp'], body));
+        }
+        await request(testApp.app).delete(`/webhooks/${webhook.id}`).set('Authorization', `Bearer ${token}`).expect(200);
+    });
+
+    test('dead-letters deliveries the receiver rejects', async () => {
+        receiver = await startReceiver([410]);
+        const webhook = await register('rejected');
+        await sleep(50);
+
+        await publish('rejected', 'Nobody wants this');
+        const overview = await waitFor(async () => {
+            const response = await request(testApp.app)
+                .get('/jobs?queue=webhook-deliveries')
+                .set('Authorization', `Bearer ${token}`)
+                .expect(200);
+            return response.body.counts.dead === 1 && response.body;
+        });
+
+        expect(overview.queue).toBe('webhook-deliveries');
+        expect(overview.dead).toEqual([expect.objectContaining({
+            type: 'deliver',
+            attempts: 1,
+            lastError: `Webhook ${webhook.id} answered 410`,
+            payload: expect.objectContaining({ webhookId: webhook.id, envelope: expect.objectContaining({ payload: { text: 'Nobody wants this' } }) })
+        })]);
+        expect(receiver.received).toHaveLength(1);
+
+        // The product write queue is a separate queue
+        const products = await request(testApp.app).get('/jobs').set('Authorization', `Bearer ${token}`).expect(200);
+        expect(products.body).toMatchObject({ queue: 'product-writes', counts: { dead: 0 } });
+    });
+
+    test('is managed by admins only and validates registrations', async () => {
+        receiver = await startReceiver();
+        const userToken = await login(testApp, 'demo', 'demo-pass');
+        await request(testApp.app).get('/webhooks').set('Authorization', `Bearer ${userToken}`).expect(403);
+
+        const invalid = await request(testApp.app)
+            .post('/webhooks')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'orders', url: 'ftp://example.com/hook' })
+            .expect(400);
+        expect(invalid.body.code).toBe('VALIDATION_ERROR');
+        expect(invalid.body.details).toEqual([expect.objectContaining({ field: 'url', location: 'body' })]);
+    });
+});
+
+describe('webhooks on several instances', () => {
+    // Two instances sharing one Redis both hear every message, but only one may queue its delivery
+    const instances = [];
+    let token;
+    let receiver;
+
+    beforeAll(async () => {
+        const memoryServer = createMemoryRedis();
+        for (let i = 0; i < 2; i++) {
+            instances.push(await startTestApp({ WEBHOOK_POLL_MS: '5' }, { memoryServer }));
+        }
+        token = await login(instances[0], 'admin', 'admin-pass');
+        receiver = await startReceiver();
+        await request(instances[0].app)
+            .post('/webhooks')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'shared-orders', url: receiver.url })
+            .expect(201);
+        await sleep(50);
+    });
+
+    afterAll(async () => {
+        await receiver.close();
+        for (const instance of instances) {
+            await instance.stop();
+        }
+    });
+
+    const deliveredTexts = () => receiver.received.map(({ body }) => JSON.parse(body).envelope.payload.text);
+
+    test('delivers a published message once', async () => {
+        await request(instances[1].app)
+            .post('/publish')
+            .set('Authorization', `Bearer ${token}`)
+            .send({ channel: 'shared-orders', message: 'Order #2 shipped' })
+            .expect(200);
+
+        await waitFor(() => deliveredTexts().includes('Order #2 shipped'));
+        await sleep(100);
+        expect(deliveredTexts().filter((text) => text === 'Order #2 shipped')).toHaveLength(1);
+    });
+
+    test('delivers a message published straight to Redis, without an ID, once', async () => {
+        await instances[0].redisDriver.publisher.publish('shared-orders', 'Order #3 shipped');
+
+        await waitFor(() => deliveredTexts().includes('Order #3 shipped'));
+        await sleep(100);
+        expect(deliveredTexts().filter((text) => text === 'Order #3 shipped')).toHaveLength(1);
+        const { envelope } = JSON.parse(receiver.received.at(-1).body);
+        expect(envelope).toMatchObject({ id: null, channel: 'shared-orders' });
+    });
+});
+
+describe('server-sent events', () => {
+    let testApp;
+    let token;
+
+    beforeAll(async () => {
+        testApp = await startTestApp();
+        token = await login(testApp, 'admin', 'admin-pass');
+    });
+
+    afterAll(async () => {
+        await testApp.stop();
+    });
+
+    const publish = (channel, message) => request(testApp.app)
+        .post('/publish')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ channel, message })
+        .expect(200)
+        .then((response) => response.body.id);
+
+    test('streams messages and replays what was missed after a reconnect', async () => {
+        const first = await openEventStream(testApp, 'channels=news,sports');
+        expect(first.res.statusCode).toBe(200);
+        expect(first.res.headers['content-type']).toMatch(/^text\/event-stream/);
+
+        const newsId = await publish('news', 'Morning edition');
+        const sportsId = await publish('sports', 'Final score');
+        await waitFor(() => first.events.length === 2);
+        first.close();
+
+        expect(first.events.map(({ data }) => data)).toEqual([
+            expect.objectContaining({ channel: 'news', type: 'TEXT_MESSAGE', payload: { text: 'Morning edition' }, id: newsId }),
+            expect.objectContaining({ channel: 'sports', type: 'TEXT_MESSAGE', payload: { text: 'Final score' }, id: sportsId })
+        ]);
+        expect(first.events[0].data.replayed).toBeUndefined();
+        const lastEventId = first.events[1].id;
+        expect(lastEventId).toBe(`news=${newsId},sports=${sportsId}`);
+
+        // Published while the client was away
+        const missedId = await publish('news', 'Evening edition');
+
+        const second = await openEventStream(testApp, 'channels=news,sports', { 'Last-Event-ID': lastEventId });
+        const liveId = await publish('sports', 'Overtime');
+        await waitFor(() => second.events.length === 2);
+        second.close();
+
+        expect(second.events.map(({ data }) => [data.id, data.payload.text, data.replayed])).toEqual([
+            [missedId, 'Evening edition', true],
+            [liveId, 'Overtime', undefined]
+        ]);
+    });
+
+    test('refuses channels the client may not read', async () => {
+        const response = await request(testApp.app).get('/events?channels=news,admin.audit').expect(403);
+        expect(response.body.code).toBe('FORBIDDEN');
+
+        const missing = await request(testApp.app).get('/events').expect(400);
+        expect(missing.body.details).toEqual([expect.objectContaining({ field: 'channels', location: 'query' })]);
+    });
+});
@@ -0,0 +1,7 @@
+// Runtime settings, read by src/config.js when the page loads. Served as-is (not bundled), so a deployment
+// can replace this file to point the same build at another backend. Leave a setting out to keep the
+// value from the build (REACT_APP_* variables) or the default.
+window.APP_CONFIG = {
+  // apiUrl: 'https://api.example.com',
+  // productUpdatesChannel: 'product_updates',
+};
@@ -1,8 +1,183 @@
-import { render, screen } from '@testing-library/react';
+import { StrictMode } from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import io from 'socket.io-client'; // The fake in src/__mocks__
 import App from './App';
 
-test('renders learn react link', () => {
+const jsonResponse = (body, headers = {}, status = 200) => Promise.resolve({
+  ok: status < 400,
+  status,
+  headers: { get: (name) => headers[name] || null },
+  json: () => Promise.resolve(body),
+});
+
+beforeEach(() => {
+  io.reset();
+  global.fetch = jest.fn((url, options = {}) => {
+    if (url.endsWith('/product') && options.method === 'POST') {
+      return jsonResponse({
+        code: 'VALIDATION_ERROR',
+        message: 'Request validation failed',
+        details: [{ field: 'name', location: 'body', message: 'Name must be at most 100 characters' }],
+      }, {}, 400);
+    }
+    if (url.includes('/products')) {
+      return jsonResponse(
+        { products: [{ id: 1, name: 'Laptop Pro', description: 'Fast', price: 1499, stock: 0, category: 'Computers', version: 1 }], page: 1, limit: 5, total: 1, totalPages: 1 },
+        { 'X-Cache': 'MISS' }
+      );
+    }
+    if (url.includes('/cache/stats')) {
+      return jsonResponse({ totals: { hits: 0, misses: 0, stale: 0, requests: 0, hitRatio: 0, avgLatencyMs: 0 }, keys: [] });
+    }
+    return jsonResponse({});
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('renders the demo heading', async () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Redis Caching & Pub/Sub Demo');
+  // Let the initial requests settle before the test ends
+  await screen.findByText(/Laptop Pro/);
+});
+
+test('lists the products returned by the backend', async () => {
+  render(<App />);
+  expect(await screen.findByText(/Laptop Pro/)).toBeInTheDocument();
+  expect(screen.getByText(/\$1,499\.00 · Out of stock · Computers/)).toBeInTheDocument();
+});
+
+test('shows validation errors next to the invalid field', async () => {
+  render(<App />);
+  await screen.findByText(/Laptop Pro/);
+
+  fireEvent.change(screen.getByLabelText('Product Name:'), { target: { value: 'x'.repeat(101) } });
+  fireEvent.click(screen.getByRole('button', { name: /Add Product/ }));
+
+  expect(await screen.findByText('Name must be at most 100 characters')).toHaveAttribute('id', 'productNameError');
+  expect(screen.getByLabelText('Product Name:')).toHaveAttribute('aria-invalid', 'true');
+});
+
+test('asks what to do when an edit conflicts with someone else\'s', async () => {
+  const current = { id: 1, name: 'Laptop Max', description: 'Fast', price: 1599, stock: 1, category: 'Computers', version: 2 };
+  const listFetch = global.fetch;
+  global.fetch = jest.fn((url, options = {}) => {
+    if (options.method !== 'PUT') {
+      return listFetch(url, options);
+    }
+    return options.headers['If-Match'] === '"v1"'
+      ? jsonResponse({ code: 'CONFLICT', message: 'Product was changed by someone else (now at version 2)', details: { current } }, {}, 409)
+      : jsonResponse({ message: 'Product updated successfully and cache invalidated', product: { ...current, name: 'Laptop Air', version: 3 } });
+  });
+
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Edit' }));
+  fireEvent.change(screen.getByLabelText('Edit product name'), { target: { value: 'Laptop Air' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+
+  expect(await screen.findByText(/Someone else changed this product while you were editing it/)).toHaveTextContent('It is now: Laptop Max');
+  expect(screen.getByLabelText('Edit product name')).toHaveValue('Laptop Air');
+
+  fireEvent.click(screen.getByRole('button', { name: 'Overwrite with my changes' }));
+  expect(await screen.findByText('Laptop Air')).toBeInTheDocument();
+  const puts = global.fetch.mock.calls.filter(([, options]) => options && options.method === 'PUT');
+  expect(puts.map(([, options]) => options.headers['If-Match'])).toEqual(['"v1"', '"v2"']);
+  expect(await screen.findByText(/Product updated/)).toBeInTheDocument();
+});
+
+test('shows connected clients and subscriber counts from presence updates', async () => {
+  render(<App />);
+  await screen.findByText(/Laptop Pro/);
+
+  act(() => io.lastSocket().serverEmit('presence_changed', {
+    total: 2,
+    anonymous: 1,
+    users: [{ username: 'ada', role: 'admin', sockets: 1 }],
+    channels: [{ kind: 'channel', name: 'custom_channel', subscribers: 2 }],
+    clients: [
+      { socketId: 'a', instance: 'host:1', user: { username: 'ada', role: 'admin' }, connectedAt: '2024-01-01T10:00:00.000Z', subscriptions: [{ kind: 'channel', name: 'custom_channel' }] },
+      { socketId: 'b', instance: 'host:2', user: null, connectedAt: '2024-01-01T10:01:00.000Z', subscriptions: [{ kind: 'channel', name: 'custom_channel' }] },
+    ],
+  }));
+
+  expect(screen.getByRole('heading', { name: /Who's Online/ })).toHaveTextContent('2 connected');
+  expect(screen.getByText('ada')).toBeInTheDocument();
+  expect(screen.getByText('anonymous')).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: 'custom_channel 2' })).toBeInTheDocument();
+});
+
+test('lists received messages with their type, sender and time', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  await screen.findByText(/Laptop Pro/);
+
+  const socket = io.lastSocket();
+  act(() => socket.serverEmit('channel_message', {
+    id: '1700000000000-0',
+    channel: 'news.sports',
+    type: 'TEXT_MESSAGE',
+    version: 1,
+    timestamp: '2024-01-01T10:00:00.000Z',
+    sender: { kind: 'user', name: 'ada', role: 'admin' },
+    payload: { text: 'Kick-off at 3pm' },
+  }, { pattern: 'news.*' }));
+  act(() => socket.serverEmit('product_updated', {
+    id: '1700000000001-0',
+    channel: 'product_updates',
+    type: 'UPDATED_PRODUCT',
+    version: 1,
+    timestamp: '2024-01-01T10:05:00.000Z',
+    sender: { kind: 'system', name: 'backend' },
+    payload: { id: 1, name: 'Laptop Air', description: 'Fast', price: 999, stock: 2, category: 'Computers' },
+  }));
+
+  expect(screen.getByText('Kick-off at 3pm')).toBeInTheDocument();
+  expect(screen.getByText('news.sports via news.*')).toBeInTheDocument();
+  expect(screen.getByText('from ada (admin)')).toBeInTheDocument();
+  // The label also appears in the type filter, as an option
+  expect(screen.getByText('Product updated', { selector: 'span' })).toBeInTheDocument();
+  expect(screen.getByText('Laptop Air (#1, $999.00, 2 in stock)')).toBeInTheDocument();
+  expect(screen.getByText('from server')).toBeInTheDocument();
+  expect(screen.getByText(new Date('2024-01-01T10:05:00.000Z').toLocaleTimeString())).toHaveAttribute('datetime', '2024-01-01T10:05:00.000Z');
+  // The update is also applied to the product list in place
+  expect(screen.getByText('Laptop Air')).toBeInTheDocument();
+  expect(screen.queryByText('Laptop Pro')).not.toBeInTheDocument();
+});
+
+test('connects once and subscribes to the default channel', async () => {
+  render(<App />);
+  await screen.findByText(/Laptop Pro/);
+
+  const socket = io.lastSocket();
+  expect(socket.connected).toBe(true);
+  expect(socket.emitsOf('subscribe')).toEqual([[{ channel: 'custom_channel' }]]);
+  expect(socket.emitsOf('replay')).toEqual(expect.arrayContaining([
+    [{ channel: 'product_updates', lastId: undefined }],
+    [{ channel: 'custom_channel', lastId: undefined }],
+  ]));
+});
+
+test('stays connected under StrictMode without duplicating listeners', async () => {
+  render(<StrictMode><App /></StrictMode>);
+  await screen.findByText(/Laptop Pro/);
+
+  // Effects run, are cleaned up and run again: the socket in use must end up connected with one listener each
+  const connected = io.sockets.filter(socket => socket.connected);
+  expect(connected).toHaveLength(1);
+  const [socket] = connected;
+  expect(socket.listenerCount('channel_message')).toBe(1);
+  expect(socket.listenerCount('product_updated')).toBe(1);
+
+  act(() => socket.serverEmit('channel_message', {
+    id: '1700000000000-0',
+    channel: 'custom_channel',
+    type: 'TEXT_MESSAGE',
+    version: 1,
+    timestamp: '2024-01-01T10:00:00.000Z',
+    sender: { kind: 'user', name: 'ada', role: 'admin' },
+    payload: { text: 'Only once' },
+  }));
+  expect(screen.getAllByText('Only once')).toHaveLength(1);
 });
@@ -0,0 +1,76 @@
+// src/__mocks__/socket.io-client.js
+// Used instead of socket.io-client in every test: sockets that never touch the network. connect() and
+// disconnect() fire their events right away, emits are recorded, and acknowledgements are answered from
+// io.replies (by event name, { ok: true } by default). Plain functions, since CRA resets jest.fn mocks.
+
+const createFakeSocket = (id) => {
+  const listeners = {};
+  const fire = (event, ...args) => (listeners[event] || []).slice().forEach(listener => listener(...args));
+
+  const socket = {
+    id: null,
+    connected: false,
+    emitted: [],
+    on(event, listener) {
+      listeners[event] = [...(listeners[event] || []), listener];
+      return socket;
+    },
+    off(event, listener) {
+      listeners[event] = (listeners[event] || []).filter(l => l !== listener);
+      return socket;
+    },
+    emit(event, ...args) {
+      socket.emitted.push([event, ...args]);
+      const ack = args[args.length - 1];
+      if (typeof ack === 'function') {
+        const reply = io.replies[event] ?? { ok: true };
+        ack(typeof reply === 'function' ? reply(...args.slice(0, -1)) : reply);
+      }
+      return socket;
+    },
+    connect() {
+      if (!socket.connected) {
+        socket.connected = true;
+        socket.id = id;
+        fire('connect');
+      }
+      return socket;
+    },
+    disconnect() {
+      if (socket.connected) {
+        socket.connected = false;
+        socket.id = null;
+        fire('disconnect', 'io client disconnect');
+      }
+      return socket;
+    },
+    // Test helpers: deliver an event from the server, count the listeners registered for one
+    serverEmit: fire,
+    listenerCount: (event) => (listeners[event] || []).length,
+    // Payloads of every emit of `event`, without the acknowledgement callback
+    emitsOf: (event) => socket.emitted
+      .filter(([name]) => name === event)
+      .map(([, ...args]) => args.filter(arg => typeof arg !== 'function')),
+  };
+  return socket;
+};
+
+function io(url, options) {
+  const socket = createFakeSocket(`socket-${io.sockets.length + 1}`);
+  socket.url = url;
+  socket.options = options;
+  io.sockets.push(socket);
+  return socket;
+}
+
+io.sockets = [];
+io.replies = {};
+io.lastSocket = () => io.sockets[io.sockets.length - 1];
+// Forget the sockets and replies of the previous test
+io.reset = () => {
+  io.sockets = [];
+  io.replies = {};
+};
+
+export { io };
+export default io;
@@ -0,0 +1,67 @@
+// src/api.js
+import { API_URL } from './config';
+
+// The session token returned by POST /auth/login is kept in localStorage across reloads
+export const AUTH_TOKEN_KEY = 'redisDemoAuthToken';
+export const getAuthToken = () => window.localStorage.getItem(AUTH_TOKEN_KEY);
+
+// Authorization header for REST calls (empty when logged out)
+export const authHeaders = () => {
+  const token = getAuthToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Builds an Error from a failed response. The backend answers with { code, message, details };
+// code and details are kept on the Error so forms can show validation problems next to their inputs.
+export const responseError = async (response) => {
+  try {
+    const data = await response.json();
+    if (data && data.message) {
+      const retryAfter = data.details && data.details.retryAfter;
+      const retry = retryAfter ? `, retry in ${retryAfter}s` : '';
+      const error = new Error(`${data.message} (status ${response.status}${retry})`);
+      error.status = response.status;
+      error.code = data.code;
+      error.details = data.details;
+      return error;
+    }
+  } catch (e) {
+    // Body was not JSON; fall through to the generic message
+  }
+  return new Error(`HTTP error! status: ${response.status}`);
+};
+
+// Turns VALIDATION_ERROR details ([{ field, message }]) into { field: message }, first problem per field
+export const fieldErrorsFrom = (error) => {
+  if (!error || error.code !== 'VALIDATION_ERROR' || !Array.isArray(error.details)) return {};
+  return error.details.reduce((errors, { field, message }) => (
+    field && !errors[field] ? { ...errors, [field]: message } : errors
+  ), {});
+};
+
+// Calls the backend and resolves to the response, or rejects with responseError() for non-2xx answers.
+// 304 Not Modified also resolves: it answers a conditional request (If-None-Match) the caller made itself.
+export const apiFetch = async (path, options = {}) => {
+  const response = await fetch(`${API_URL}${path}`, options);
+  if (!response.ok && response.status !== 304) {
+    throw await responseError(response);
+  }
+  return response;
+};
+
+// Options for a request with a JSON body, sent with the session token when there is one
+export const jsonRequest = (method, body, headers = {}) => ({
+  method,
+  headers: {
+    'Content-Type': 'application/json',
+    ...authHeaders(),
+    ...headers,
+  },
+  body: JSON.stringify(body),
+});
+
+// IDs for the X-Request-Id header, unique to this tab. The backend echoes them as `requestId` in the
+// events a write causes, so the tab can tell its own writes apart from everyone else's.
+const TAB_ID = Math.random().toString(36).slice(2, 10);
+let requestCounter = 0;
+export const createRequestId = () => `${TAB_ID}-${++requestCounter}`;
@@ -0,0 +1,138 @@
+// src/components/AddProductForm.js
+import { useState } from 'react';
+import { fieldErrorsFrom } from '../api';
+import { useStatusMessage } from '../context/AppContext';
+import { EMPTY_PRODUCT_FIELDS } from '../products';
+import FieldError from './FieldError';
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// onAdd is useProducts().addProduct, which lists the product before the backend has answered
+function AddProductForm({ onAdd }) {
+  const { setStatusMessage } = useStatusMessage();
+  const [fields, setFields] = useState(EMPTY_PRODUCT_FIELDS);
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const setField = (field) => (e) => setFields(prev => ({ ...prev, [field]: e.target.value }));
+
+  const handleAddProduct = async (e) => {
+    e.preventDefault();
+    if (!fields.name) {
+      setStatusMessage('Product name cannot be empty.');
+      return;
+    }
+
+    setStatusMessage('Adding product...');
+    setFieldErrors({});
+    // The form is cleared right away, like the product is listed right away, and filled in again on failure
+    const submitted = fields;
+    setFields(EMPTY_PRODUCT_FIELDS);
+    console.log('Frontend: Sending add product request to backend.');
+    try {
+      const data = await onAdd(submitted);
+      // Queued means the backend runs in write-behind mode: the product stays pending until the worker has saved it
+      setStatusMessage(data.queued
+        ? `${data.message} (job ${data.jobId}).`
+        : `Product added: ${data.message}. Cache should be invalidated.`);
+      console.log('Frontend: Product add response:', data);
+    } catch (error) {
+      console.error('Frontend: Error adding product:', error);
+      setFields(submitted);
+      setFieldErrors(fieldErrorsFrom(error));
+      setStatusMessage(`Error adding product: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4">Add New Product</h2>
+      <form onSubmit={handleAddProduct} className="space-y-4">
+        <div>
+          <label htmlFor="productName" className="block text-sm font-medium text-gray-700">Product Name:</label>
+          <input
+            type="text"
+            id="productName"
+            value={fields.name}
+            onChange={setField('name')}
+            className={inputClassName}
+            placeholder="e.g., Laptop Pro"
+            aria-invalid={Boolean(fieldErrors.name)}
+            aria-describedby="productNameError"
+            required
+          />
+          <FieldError id="productNameError" message={fieldErrors.name} />
+        </div>
+        <div>
+          <label htmlFor="productDescription" className="block text-sm font-medium text-gray-700">Description:</label>
+          <textarea
+            id="productDescription"
+            value={fields.description}
+            onChange={setField('description')}
+            rows="3"
+            className={inputClassName}
+            placeholder="A powerful new laptop with advanced features."
+            aria-invalid={Boolean(fieldErrors.description)}
+            aria-describedby="productDescriptionError"
+          ></textarea>
+          <FieldError id="productDescriptionError" message={fieldErrors.description} />
+        </div>
+        <div className="grid grid-cols-3 gap-2">
+          <div>
+            <label htmlFor="productPrice" className="block text-sm font-medium text-gray-700">Price:</label>
+            <input
+              type="number"
+              id="productPrice"
+              min="0"
+              step="0.01"
+              value={fields.price}
+              onChange={setField('price')}
+              className={inputClassName}
+              placeholder="0.00"
+              aria-invalid={Boolean(fieldErrors.price)}
+              aria-describedby="productPriceError"
+            />
+            <FieldError id="productPriceError" message={fieldErrors.price} />
+          </div>
+          <div>
+            <label htmlFor="productStock" className="block text-sm font-medium text-gray-700">Stock:</label>
+            <input
+              type="number"
+              id="productStock"
+              min="0"
+              step="1"
+              value={fields.stock}
+              onChange={setField('stock')}
+              className={inputClassName}
+              placeholder="0"
+              aria-invalid={Boolean(fieldErrors.stock)}
+              aria-describedby="productStockError"
+            />
+            <FieldError id="productStockError" message={fieldErrors.stock} />
+          </div>
+          <div>
+            <label htmlFor="productCategory" className="block text-sm font-medium text-gray-700">Category:</label>
+            <input
+              type="text"
+              id="productCategory"
+              value={fields.category}
+              onChange={setField('category')}
+              className={inputClassName}
+              placeholder="e.g., Computers"
+              aria-invalid={Boolean(fieldErrors.category)}
+              aria-describedby="productCategoryError"
+            />
+            <FieldError id="productCategoryError" message={fieldErrors.category} />
+          </div>
+        </div>
+        <button
+          type="submit"
+          className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md shadow-lg transition duration-300 ease-in-out transform hover:scale-105"
+        >
+          Add Product & Invalidate Cache
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default AddProductForm;
@@ -0,0 +1,182 @@
+// src/components/CacheAdmin.js
+import { useState } from 'react';
+import { apiFetch, authHeaders } from '../api';
+import { useStatusMessage } from '../context/AppContext';
+
+// Lists, inspects, deletes, flushes and warms cache keys (admins only)
+function CacheAdmin() {
+  const { setStatusMessage } = useStatusMessage();
+  const [cacheKeys, setCacheKeys] = useState([]);
+  const [cacheKeyFilter, setCacheKeyFilter] = useState('*');
+  const [inspectedCacheEntry, setInspectedCacheEntry] = useState(null);
+  // SCAN cursor to continue the listing from, or null once every matching key has been listed
+  const [cacheCursor, setCacheCursor] = useState(null);
+
+  // List keys in the cache namespace with their TTL and size, one SCAN page at a time. A cursor of 0
+  // starts a new listing; SCAN may return a key twice, so later pages are merged by key.
+  const listCacheKeys = async (cursor) => {
+    const match = cacheKeyFilter || '*';
+    console.log(`Frontend: Listing cache keys matching ${match} from cursor ${cursor}`);
+    try {
+      const params = new URLSearchParams({ match, cursor, count: 1000 });
+      const response = await apiFetch(`/cache?${params}`, { headers: authHeaders() });
+      const data = await response.json();
+      const listed = new Map([...(cursor === 0 ? [] : cacheKeys), ...data.keys].map(entry => [entry.key, entry]));
+      const more = Number(data.cursor) !== 0;
+      setCacheKeys([...listed.values()].sort((a, b) => a.key.localeCompare(b.key)));
+      setCacheCursor(more ? data.cursor : null);
+      setStatusMessage(more
+        ? `Listed ${listed.size} cache keys matching "${match}" so far; more remain (cursor ${data.cursor}).`
+        : `Found ${listed.size} cache keys matching "${match}".`);
+    } catch (error) {
+      console.error('Frontend: Error listing cache keys:', error);
+      setStatusMessage(`Error listing cache keys: ${error.message}`);
+    }
+  };
+
+  const fetchCacheKeys = (e) => {
+    if (e) e.preventDefault();
+    return listCacheKeys(0);
+  };
+
+  // Show a single key's value
+  const handleInspectCacheKey = async (key) => {
+    console.log('Frontend: Inspecting cache key', key);
+    try {
+      const response = await apiFetch(`/cache/${encodeURIComponent(key)}`, { headers: authHeaders() });
+      setInspectedCacheEntry(await response.json());
+    } catch (error) {
+      console.error('Frontend: Error inspecting cache key:', error);
+      setStatusMessage(`Error reading cache key "${key}": ${error.message}`);
+    }
+  };
+
+  // Invalidate a single key
+  const handleDeleteCacheKey = async (key) => {
+    console.log('Frontend: Deleting cache key', key);
+    try {
+      await apiFetch(`/cache/${encodeURIComponent(key)}`, { method: 'DELETE', headers: authHeaders() });
+      setCacheKeys(prevKeys => prevKeys.filter(entry => entry.key !== key));
+      setInspectedCacheEntry(entry => (entry && entry.key === key ? null : entry));
+      setStatusMessage(`Cache key "${key}" deleted.`);
+    } catch (error) {
+      console.error('Frontend: Error deleting cache key:', error);
+      setStatusMessage(`Error deleting cache key "${key}": ${error.message}`);
+    }
+  };
+
+  // Flush every key matching the filter
+  const handleFlushCache = async () => {
+    const match = cacheKeyFilter || '*';
+    if (!window.confirm(`Delete every cache key matching "${match}"?`)) {
+      return;
+    }
+    console.log('Frontend: Flushing cache keys matching', match);
+    try {
+      const response = await apiFetch(`/cache?${new URLSearchParams({ match })}`, { method: 'DELETE', headers: authHeaders() });
+      const data = await response.json();
+      setCacheKeys([]);
+      setCacheCursor(null);
+      setInspectedCacheEntry(null);
+      setStatusMessage(`Cache flushed: ${data.deleted} keys deleted.`);
+    } catch (error) {
+      console.error('Frontend: Error flushing cache:', error);
+      setStatusMessage(`Error flushing cache: ${error.message}`);
+    }
+  };
+
+  // Preload products from SQLite
+  const handleWarmCache = async () => {
+    console.log('Frontend: Warming cache');
+    try {
+      const response = await apiFetch('/cache/warm', { method: 'POST', headers: authHeaders() });
+      const data = await response.json();
+      setStatusMessage(`${data.message}: ${data.products} products and ${data.lists.length} list page cached.`);
+      fetchCacheKeys();
+    } catch (error) {
+      console.error('Frontend: Error warming cache:', error);
+      setStatusMessage(`Error warming cache: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-inner mt-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4">Cache Admin</h2>
+      <form onSubmit={fetchCacheKeys} className="flex flex-wrap gap-2 mb-4">
+        <input
+          type="text"
+          aria-label="Cache key pattern"
+          value={cacheKeyFilter}
+          onChange={(e) => setCacheKeyFilter(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm font-mono sm:text-sm"
+          placeholder="e.g., product:*"
+        />
+        <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-bold py-2 px-3 rounded-md">
+          List Keys
+        </button>
+        <button type="button" onClick={handleWarmCache} className="bg-green-600 hover:bg-green-700 text-white text-sm font-bold py-2 px-3 rounded-md">
+          Warm Cache
+        </button>
+        <button type="button" onClick={handleFlushCache} className="bg-red-600 hover:bg-red-700 text-white text-sm font-bold py-2 px-3 rounded-md">
+          Flush Matching
+        </button>
+      </form>
+      {cacheKeys.length === 0 ? (
+        <p className="text-gray-600 text-sm">No keys listed. Use "List Keys" to scan the cache.</p>
+      ) : (
+        <table className="w-full text-sm bg-white rounded-md shadow-sm border border-gray-200 mb-4">
+          <thead>
+            <tr className="text-left text-gray-600 border-b border-gray-200">
+              <th className="p-2">Key</th>
+              <th className="p-2">TTL</th>
+              <th className="p-2">Size</th>
+              <th className="p-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {cacheKeys.map((entry) => (
+              <tr key={entry.key} className="border-b border-gray-100">
+                <td className="p-2 font-mono text-xs break-all">{entry.key}</td>
+                <td className="p-2">{entry.ttl < 0 ? 'none' : `${entry.ttl}s`}</td>
+                <td className="p-2">{entry.bytes === null ? '-' : `${entry.bytes} B`}</td>
+                <td className="p-2 whitespace-nowrap text-right">
+                  <button onClick={() => handleInspectCacheKey(entry.key)} className="text-indigo-600 hover:text-indigo-800 font-medium mr-3">
+                    View
+                  </button>
+                  <button onClick={() => handleDeleteCacheKey(entry.key)} className="text-red-600 hover:text-red-800 font-medium">
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {cacheCursor !== null && (
+        <button
+          onClick={() => listCacheKeys(cacheCursor)}
+          className="w-full mb-4 px-3 py-2 rounded-md border border-gray-300 bg-white text-sm text-gray-700 hover:bg-gray-100"
+        >
+          Load More Keys
+        </button>
+      )}
+      {inspectedCacheEntry && (
+        <div className="bg-white p-4 rounded-md shadow-sm border border-gray-200">
+          <div className="flex justify-between items-center mb-2">
+            <p className="font-mono text-xs break-all text-indigo-700">
+              {inspectedCacheEntry.key} ({inspectedCacheEntry.type}, TTL {inspectedCacheEntry.ttl}s)
+            </p>
+            <button onClick={() => setInspectedCacheEntry(null)} className="text-gray-500 hover:text-gray-700 text-sm">
+              Close
+            </button>
+          </div>
+          <pre className="text-xs bg-gray-50 p-2 rounded max-h-60 overflow-auto">
+            {JSON.stringify(inspectedCacheEntry.value, null, 2)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CacheAdmin;
@@ -0,0 +1,43 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import io from 'socket.io-client'; // The fake in src/__mocks__
+import { AppProvider } from '../context/AppContext';
+import CacheAdmin from './CacheAdmin';
+import StatusBanner from './StatusBanner';
+
+const jsonResponse = (body) => Promise.resolve({
+  ok: true,
+  status: 200,
+  headers: { get: () => null },
+  json: () => Promise.resolve(body),
+});
+
+const cacheEntry = (key) => ({ key, type: 'string', ttl: 60, bytes: 10 });
+
+beforeEach(() => {
+  io.reset();
+  // Two SCAN pages: the first one hands back a cursor to continue from
+  global.fetch = jest.fn((url) => {
+    const cursor = new URL(url).searchParams.get('cursor');
+    return cursor === '0'
+      ? jsonResponse({ cursor: 42, keys: [cacheEntry('product:2'), cacheEntry('product:1')] })
+      : jsonResponse({ cursor: 0, keys: [cacheEntry('product:1'), cacheEntry('product:3')] });
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('follows the SCAN cursor until every key is listed', async () => {
+  render(<AppProvider><StatusBanner /><CacheAdmin /></AppProvider>);
+
+  fireEvent.click(screen.getByRole('button', { name: 'List Keys' }));
+  expect(await screen.findByText('Listed 2 cache keys matching "*" so far; more remain (cursor 42).')).toBeInTheDocument();
+  expect(screen.getByText('product:1')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Load More Keys' }));
+  expect(await screen.findByText('Found 3 cache keys matching "*".')).toBeInTheDocument();
+  expect(global.fetch.mock.calls[1][0]).toContain('cursor=42');
+  expect(screen.getAllByRole('button', { name: 'View' })).toHaveLength(3);
+  expect(screen.queryByRole('button', { name: 'Load More Keys' })).not.toBeInTheDocument();
+});
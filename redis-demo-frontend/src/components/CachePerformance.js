@@ -0,0 +1,59 @@
+// src/components/CachePerformance.js
+import { useLiveSnapshot } from '../hooks/useLiveSnapshot';
+
+// Hit ratio, hits, misses and latency of the backend instance this browser is connected to
+function CachePerformance() {
+  const cacheStats = useLiveSnapshot('/cache/stats', 'cache_stats');
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-inner mt-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4">Cache Performance (live)</h2>
+      {!cacheStats || cacheStats.totals.requests === 0 ? (
+        <p className="text-gray-600">No cache reads yet. Load some products to see hits and misses.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            <div className="bg-white p-4 rounded-md shadow-sm border border-gray-200 text-center">
+              <p className="text-sm text-gray-500">Hit ratio</p>
+              <p className="text-2xl font-bold text-green-600">{(cacheStats.totals.hitRatio * 100).toFixed(1)}%</p>
+            </div>
+            <div className="bg-white p-4 rounded-md shadow-sm border border-gray-200 text-center">
+              <p className="text-sm text-gray-500">Hits</p>
+              <p className="text-2xl font-bold text-indigo-700">{cacheStats.totals.hits + cacheStats.totals.stale}</p>
+            </div>
+            <div className="bg-white p-4 rounded-md shadow-sm border border-gray-200 text-center">
+              <p className="text-sm text-gray-500">Misses</p>
+              <p className="text-2xl font-bold text-red-600">{cacheStats.totals.misses}</p>
+            </div>
+            <div className="bg-white p-4 rounded-md shadow-sm border border-gray-200 text-center">
+              <p className="text-sm text-gray-500">Avg latency</p>
+              <p className="text-2xl font-bold text-gray-800">{cacheStats.totals.avgLatencyMs.toFixed(1)} ms</p>
+            </div>
+          </div>
+          <table className="w-full text-sm bg-white rounded-md shadow-sm border border-gray-200">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="p-2">Key</th>
+                <th className="p-2">Hit ratio</th>
+                <th className="p-2">Hits / Misses</th>
+                <th className="p-2">Avg latency</th>
+              </tr>
+            </thead>
+            <tbody>
+              {cacheStats.keys.slice(0, 5).map((entry) => (
+                <tr key={entry.key} className="border-b border-gray-100">
+                  <td className="p-2 font-mono text-xs break-all">{entry.key}</td>
+                  <td className="p-2">{(entry.hitRatio * 100).toFixed(1)}%</td>
+                  <td className="p-2">{entry.hits + entry.stale} / {entry.misses}</td>
+                  <td className="p-2">{entry.avgLatencyMs.toFixed(1)} ms</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default CachePerformance;
@@ -0,0 +1,8 @@
+// src/components/FieldError.js
+
+// Validation message shown under a form input
+const FieldError = ({ id, message }) => (
+  message ? <p id={id} className="mt-1 text-xs text-red-600">{message}</p> : null
+);
+
+export default FieldError;
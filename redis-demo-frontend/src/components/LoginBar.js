@@ -0,0 +1,82 @@
+// src/components/LoginBar.js
+import { useState } from 'react';
+import { fieldErrorsFrom } from '../api';
+import { useSession, useStatusMessage } from '../context/AppContext';
+import FieldError from './FieldError';
+
+// Login form, or the logged-in user with a logout button
+function LoginBar() {
+  const { currentUser, login, logout } = useSession();
+  const { setStatusMessage } = useStatusMessage();
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    setStatusMessage('Logging in...');
+    setFieldErrors({});
+    try {
+      const user = await login(username, password);
+      setPassword('');
+      setStatusMessage(`Logged in as ${user.username}.`);
+    } catch (error) {
+      console.error('Frontend: Error logging in:', error);
+      setFieldErrors(fieldErrorsFrom(error));
+      setStatusMessage(`Error logging in: ${error.message}`);
+    }
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    setStatusMessage('Logged out.');
+  };
+
+  return (
+    <div className="flex flex-wrap items-center justify-end gap-2 text-sm">
+      {currentUser ? (
+        <>
+          <span className="text-gray-700">
+            Logged in as <span className="font-bold">{currentUser.username}</span> ({currentUser.role})
+          </span>
+          <button onClick={handleLogout} className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-1 px-3 rounded-md">
+            Log Out
+          </button>
+        </>
+      ) : (
+        <form onSubmit={handleLogin} className="flex flex-wrap items-center gap-2">
+          <span className="text-gray-600">Log in to add products and publish:</span>
+          <input
+            type="text"
+            aria-label="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+            placeholder="Username"
+            aria-invalid={Boolean(fieldErrors.username)}
+            aria-describedby="loginUsernameError"
+            required
+          />
+          <FieldError id="loginUsernameError" message={fieldErrors.username} />
+          <input
+            type="password"
+            aria-label="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded-md"
+            placeholder="Password"
+            aria-invalid={Boolean(fieldErrors.password)}
+            aria-describedby="loginPasswordError"
+            required
+          />
+          <FieldError id="loginPasswordError" message={fieldErrors.password} />
+          <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-1 px-3 rounded-md">
+            Log In
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default LoginBar;
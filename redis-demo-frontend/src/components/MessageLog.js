@@ -0,0 +1,81 @@
+// src/components/MessageLog.js
+import { useState } from 'react';
+import { MAX_RECEIVED_MESSAGES, useMessages } from '../context/AppContext';
+import { describeEvent, eventLabel, senderLabel } from '../events';
+
+const ALL = '';
+
+// Sorted unique values, keeping the current selection even once its messages have left the buffer
+const optionsFor = (values, selected) => [...new Set(selected === ALL ? values : [...values, selected])].sort();
+
+// Received messages, newest last, filterable by channel and event type
+function MessageLog() {
+  const { messages, clearMessages } = useMessages();
+  const [channelFilter, setChannelFilter] = useState(ALL);
+  const [typeFilter, setTypeFilter] = useState(ALL);
+
+  const channels = optionsFor(messages.map(({ envelope }) => envelope.channel), channelFilter);
+  const types = optionsFor(messages.map(({ envelope }) => envelope.type), typeFilter);
+  const shown = messages.filter(({ envelope }) => (
+    (channelFilter === ALL || envelope.channel === channelFilter) && (typeFilter === ALL || envelope.type === typeFilter)
+  ));
+
+  return (
+    <>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+        <h3 className="text-xl font-medium text-gray-700">Received Messages</h3>
+        <button type="button" onClick={clearMessages} className="text-sm text-gray-500 hover:text-gray-700" disabled={messages.length === 0}>
+          Clear
+        </button>
+      </div>
+      <div className="flex gap-2 mb-2">
+        <select
+          aria-label="Filter messages by channel"
+          value={channelFilter}
+          onChange={(e) => setChannelFilter(e.target.value)}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded-md bg-white text-sm"
+        >
+          <option value={ALL}>All channels</option>
+          {channels.map((channel) => <option key={channel} value={channel}>{channel}</option>)}
+        </select>
+        <select
+          aria-label="Filter messages by type"
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="flex-1 px-2 py-1 border border-gray-300 rounded-md bg-white text-sm"
+        >
+          <option value={ALL}>All types</option>
+          {types.map((type) => <option key={type} value={type}>{eventLabel(type)}</option>)}
+        </select>
+      </div>
+      <div className="bg-white p-4 rounded-md shadow-sm border border-gray-200 min-h-[120px] max-h-60 overflow-y-auto">
+        {shown.length === 0 ? (
+          <p className="text-gray-600">{messages.length === 0 ? 'No messages received yet.' : 'No messages match the filters.'}</p>
+        ) : (
+          <ul className="space-y-2">
+            {shown.map(({ key, envelope, pattern, replayed }) => {
+              const { label, summary } = describeEvent(envelope);
+              return (
+                <li key={key} className="text-sm text-gray-800 bg-blue-50 p-2 rounded-md border border-blue-200">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+                    <span className="font-semibold text-blue-800 bg-blue-100 px-2 py-0.5 rounded">{label}</span>
+                    <span>{pattern ? `${envelope.channel} via ${pattern}` : envelope.channel}</span>
+                    <span>from {senderLabel(envelope.sender)}</span>
+                    <time dateTime={envelope.timestamp}>{new Date(envelope.timestamp).toLocaleTimeString()}</time>
+                    {replayed && <span className="italic">history</span>}
+                  </div>
+                  <p className="mt-1 break-words">{summary}</p>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        Showing {shown.length} of {messages.length} (the last {MAX_RECEIVED_MESSAGES} messages are kept)
+      </p>
+    </>
+  );
+}
+
+export default MessageLog;
@@ -0,0 +1,74 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import io from 'socket.io-client'; // The fake in src/__mocks__
+import { AppProvider, MAX_RECEIVED_MESSAGES } from '../context/AppContext';
+import MessageLog from './MessageLog';
+
+const envelope = (n, channel, type = 'TEXT_MESSAGE') => ({
+  id: `${1700000000000 + n}-0`,
+  channel,
+  type,
+  version: 1,
+  timestamp: '2024-01-01T10:00:00.000Z',
+  sender: { kind: 'anonymous', name: 'anonymous' },
+  payload: type === 'TEXT_MESSAGE' ? { text: `message ${n}` } : { id: n, name: `Product ${n}`, price: 1, stock: 1 },
+});
+
+const renderLog = () => render(<AppProvider><MessageLog /></AppProvider>);
+
+beforeEach(() => {
+  io.reset();
+});
+
+test('keeps only the most recent messages', () => {
+  renderLog();
+  const socket = io.lastSocket();
+
+  act(() => {
+    for (let n = 1; n <= MAX_RECEIVED_MESSAGES + 5; n++) {
+      socket.serverEmit('channel_message', envelope(n, 'alerts'));
+    }
+  });
+
+  expect(screen.queryByText('message 5')).not.toBeInTheDocument();
+  expect(screen.getByText('message 6')).toBeInTheDocument();
+  expect(screen.getByText(`message ${MAX_RECEIVED_MESSAGES + 5}`)).toBeInTheDocument();
+  expect(screen.getByText(`Showing ${MAX_RECEIVED_MESSAGES} of ${MAX_RECEIVED_MESSAGES} (the last ${MAX_RECEIVED_MESSAGES} messages are kept)`)).toBeInTheDocument();
+});
+
+test('ignores a message it has already received', () => {
+  renderLog();
+  const socket = io.lastSocket();
+
+  act(() => {
+    socket.serverEmit('channel_message', envelope(1, 'alerts'));
+    socket.serverEmit('channel_message', envelope(1, 'alerts'), { replayed: true });
+  });
+
+  expect(screen.getAllByText('message 1')).toHaveLength(1);
+});
+
+test('filters by channel and type, and clears the log', () => {
+  renderLog();
+  const socket = io.lastSocket();
+
+  act(() => {
+    socket.serverEmit('channel_message', envelope(1, 'alerts'));
+    socket.serverEmit('channel_message', envelope(2, 'news'));
+    socket.serverEmit('product_updated', envelope(3, 'product_updates', 'NEW_PRODUCT'));
+  });
+
+  fireEvent.change(screen.getByLabelText('Filter messages by channel'), { target: { value: 'news' } });
+  expect(screen.getByText('message 2')).toBeInTheDocument();
+  expect(screen.queryByText('message 1')).not.toBeInTheDocument();
+  expect(screen.getByText(/Showing 1 of 3/)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Filter messages by type'), { target: { value: 'NEW_PRODUCT' } });
+  expect(screen.getByText('No messages match the filters.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Filter messages by channel'), { target: { value: '' } });
+  expect(screen.getByText(/Product 3/)).toBeInTheDocument();
+  expect(screen.getByText(/Showing 1 of 3/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+  expect(screen.getByText('No messages received yet.')).toBeInTheDocument();
+});
@@ -0,0 +1,63 @@
+// src/components/Presence.js
+import { useSocketStatus } from '../hooks/useSocketStatus';
+
+// Clients connected to any backend instance, and subscriber counts per channel or pattern
+function Presence({ presence }) {
+  const { id: socketId } = useSocketStatus();
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-inner mt-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4">
+        Who's Online (live){presence?.clients && <span className="text-gray-500 text-lg font-normal"> · {presence.total} connected</span>}
+      </h2>
+      {!presence?.clients || presence.clients.length === 0 ? (
+        <p className="text-gray-600">No clients connected.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <ul className="md:col-span-2 space-y-2">
+            {presence.clients.map((client) => (
+              <li key={client.socketId} className="bg-white p-3 rounded-md shadow-sm border border-gray-200 text-sm">
+                <div className="flex justify-between">
+                  <span>
+                    <span className="font-semibold">{client.user ? client.user.username : 'anonymous'}</span>
+                    {client.user && <span className="text-gray-500"> ({client.user.role})</span>}
+                    {client.socketId === socketId && <span className="text-green-600"> · you</span>}
+                  </span>
+                  <span className="text-gray-500 text-xs">since {new Date(client.connectedAt).toLocaleTimeString()}</span>
+                </div>
+                <p className="text-xs text-gray-500 font-mono break-all">{client.instance}</p>
+                <p className="text-xs text-gray-700 mt-1">
+                  {client.subscriptions.length === 0
+                    ? 'No subscriptions'
+                    : client.subscriptions.map(({ kind, name }) => (kind === 'pattern' ? `${name} (pattern)` : name)).join(', ')}
+                </p>
+              </li>
+            ))}
+          </ul>
+          <table className="w-full text-sm bg-white rounded-md shadow-sm border border-gray-200 self-start">
+            <thead>
+              <tr className="text-left text-gray-600 border-b border-gray-200">
+                <th className="p-2">Channel</th>
+                <th className="p-2">Subscribers</th>
+              </tr>
+            </thead>
+            <tbody>
+              {presence.channels.length === 0 ? (
+                <tr><td className="p-2 text-gray-500" colSpan={2}>No subscriptions</td></tr>
+              ) : presence.channels.map((channel) => (
+                <tr key={`${channel.kind}:${channel.name}`} className="border-b border-gray-100">
+                  <td className="p-2 font-mono text-xs break-all">
+                    {channel.name}{channel.kind === 'pattern' && <span className="text-purple-500"> (pattern)</span>}
+                  </td>
+                  <td className="p-2">{channel.subscribers}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Presence;
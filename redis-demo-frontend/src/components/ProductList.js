@@ -0,0 +1,312 @@
+// src/components/ProductList.js
+import { useState } from 'react';
+import { fieldErrorsFrom } from '../api';
+import { useStatusMessage } from '../context/AppContext';
+import { priceFormatter } from '../events';
+import { productFieldsFrom } from '../products';
+import FieldError from './FieldError';
+
+// Sort orders supported by GET /products (a leading "-" means descending)
+const PRODUCT_SORT_OPTIONS = [
+  { value: 'id', label: 'Oldest first' },
+  { value: '-id', label: 'Newest first' },
+  { value: 'name', label: 'Name (A-Z)' },
+  { value: '-name', label: 'Name (Z-A)' },
+  { value: 'price', label: 'Price (low to high)' },
+  { value: '-price', label: 'Price (high to low)' },
+];
+
+const CACHE_STATUS_LABELS = {
+  HIT: 'served from Redis cache',
+  BYPASS: 'loaded from SQLite, Redis is unavailable',
+};
+
+const editInputClassName = 'block w-full px-2 py-1 border border-gray-300 rounded-md sm:text-sm';
+
+// Inline form replacing a product in the list while it is edited. The draft is kept by ProductList, so the
+// form can close as soon as it is saved and open again with the same input if the update fails.
+function EditProductForm({ draft, onChange, onSave, onCancel }) {
+  const { fields, fieldErrors, conflict } = draft;
+
+  const setField = (field) => (e) => onChange({ ...fields, [field]: e.target.value });
+
+  const handleUpdateProduct = (e) => {
+    e.preventDefault();
+    onSave(fields);
+  };
+
+  return (
+    <form onSubmit={handleUpdateProduct} className="space-y-2">
+      <input
+        type="text"
+        aria-label="Edit product name"
+        value={fields.name}
+        onChange={setField('name')}
+        className={editInputClassName}
+        aria-invalid={Boolean(fieldErrors.name)}
+        aria-describedby="editProductNameError"
+        required
+      />
+      <FieldError id="editProductNameError" message={fieldErrors.name} />
+      <textarea
+        aria-label="Edit product description"
+        value={fields.description}
+        onChange={setField('description')}
+        rows="2"
+        className={editInputClassName}
+        aria-invalid={Boolean(fieldErrors.description)}
+        aria-describedby="editProductDescriptionError"
+      ></textarea>
+      <FieldError id="editProductDescriptionError" message={fieldErrors.description} />
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <input
+            type="number"
+            aria-label="Edit product price"
+            min="0"
+            step="0.01"
+            value={fields.price}
+            onChange={setField('price')}
+            className={editInputClassName}
+            placeholder="Price"
+            aria-invalid={Boolean(fieldErrors.price)}
+            aria-describedby="editProductPriceError"
+          />
+          <FieldError id="editProductPriceError" message={fieldErrors.price} />
+        </div>
+        <div>
+          <input
+            type="number"
+            aria-label="Edit product stock"
+            min="0"
+            step="1"
+            value={fields.stock}
+            onChange={setField('stock')}
+            className={editInputClassName}
+            placeholder="Stock"
+            aria-invalid={Boolean(fieldErrors.stock)}
+            aria-describedby="editProductStockError"
+          />
+          <FieldError id="editProductStockError" message={fieldErrors.stock} />
+        </div>
+        <div>
+          <input
+            type="text"
+            aria-label="Edit product category"
+            value={fields.category}
+            onChange={setField('category')}
+            className={editInputClassName}
+            placeholder="Category"
+            aria-invalid={Boolean(fieldErrors.category)}
+            aria-describedby="editProductCategoryError"
+          />
+          <FieldError id="editProductCategoryError" message={fieldErrors.category} />
+        </div>
+      </div>
+      {conflict ? (
+        <div role="alert" className="p-2 rounded-md bg-yellow-50 border border-yellow-300 text-sm text-yellow-800">
+          <p>
+            Someone else changed this product while you were editing it. It is now:{' '}
+            <span className="font-medium">{conflict.name}</span>
+            {` · ${priceFormatter.format(conflict.price)} · ${conflict.stock} in stock`}
+            {conflict.category && ` · ${conflict.category}`}
+          </p>
+          <div className="flex gap-2 mt-2">
+            <button type="submit" className="bg-yellow-600 hover:bg-yellow-700 text-white text-sm font-bold py-1 px-3 rounded-md">
+              Overwrite with my changes
+            </button>
+            <button type="button" onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-sm font-bold py-1 px-3 rounded-md">
+              Discard my changes
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="flex gap-2">
+          <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-bold py-1 px-3 rounded-md">
+            Save
+          </button>
+          <button type="button" onClick={onCancel} className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-sm font-bold py-1 px-3 rounded-md">
+            Cancel
+          </button>
+        </div>
+      )}
+    </form>
+  );
+}
+
+function ProductDetails({ product, onEdit, onDelete }) {
+  return (
+    <div className="flex justify-between items-start gap-2">
+      <div>
+        <p className="text-lg font-medium text-indigo-700">
+          {product.name}
+          {product.pending && <span className="ml-2 text-xs font-normal text-gray-400">saving…</span>}
+        </p>
+        <p className="text-gray-600 text-sm">{product.description || 'No description'}</p>
+        {product.price !== undefined && (
+          <p className="text-gray-500 text-xs mt-1">
+            {priceFormatter.format(product.price)}
+            {' · '}
+            {product.stock > 0 ? `${product.stock} in stock` : 'Out of stock'}
+            {product.category && ` · ${product.category}`}
+          </p>
+        )}
+      </div>
+      {/* A product is only edited or deleted once the backend has confirmed the last write to it */}
+      <div className="flex gap-2 shrink-0">
+        <button onClick={onEdit} disabled={product.pending} className="text-sm text-indigo-600 hover:text-indigo-800 font-medium disabled:opacity-50">
+          Edit
+        </button>
+        <button onClick={onDelete} disabled={product.pending} className="text-sm text-red-600 hover:text-red-800 font-medium disabled:opacity-50">
+          Delete
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// The current page of products (from the Redis cache or SQLite), with search, sort, paging and inline editing.
+// Takes everything useProducts() returns.
+function ProductList({
+  products, loading, page, setPage, pagination, search, setSearch, sort, setSort, cacheStatus, refresh, updateProduct, deleteProduct,
+}) {
+  const { setStatusMessage } = useStatusMessage();
+  const [searchInput, setSearchInput] = useState('');
+  // The product being edited: { id, fields, fieldErrors, conflict }. A product deleted while being
+  // edited leaves the list, and its form with it.
+  const [editing, setEditing] = useState(null);
+
+  const startEditing = (product) => setEditing({ id: product.id, fields: productFieldsFrom(product), fieldErrors: {}, conflict: null });
+
+  // The list shows the change at once; the form opens again with the same input if it is refused
+  const handleUpdateProduct = async (product, fields) => {
+    if (!fields.name) {
+      setStatusMessage('Product name cannot be empty.');
+      return;
+    }
+
+    setEditing(null);
+    setStatusMessage('Updating product...');
+    console.log(`Frontend: Sending update request for product ${product.id} to backend.`);
+    try {
+      const data = await updateProduct(product, fields);
+      setStatusMessage(data.queued ? `${data.message} (job ${data.jobId}).` : `Product updated: ${data.message}.`);
+      console.log('Frontend: Product update response:', data);
+    } catch (error) {
+      console.error('Frontend: Error updating product:', error);
+      // A CONFLICT means someone else saved first: the list now shows their version, and the user picks one
+      const conflict = (error.code === 'CONFLICT' && error.details && error.details.current) || null;
+      setEditing({ id: product.id, fields, fieldErrors: fieldErrorsFrom(error), conflict });
+      setStatusMessage(conflict
+        ? `"${product.name}" was changed by someone else while you were editing it.`
+        : `Error updating product: ${error.message}`);
+    }
+  };
+
+  const handleSearchProducts = (e) => {
+    e.preventDefault();
+    setSearch(searchInput.trim());
+  };
+
+  const handleDeleteProduct = async (product) => {
+    setStatusMessage('Deleting product...');
+    console.log(`Frontend: Sending delete request for product ${product.id} to backend.`);
+    try {
+      const data = await deleteProduct(product);
+      setStatusMessage(data.queued ? `${data.message} (job ${data.jobId}).` : `Product deleted: ${data.message}.`);
+      console.log('Frontend: Product delete response:', data);
+    } catch (error) {
+      console.error('Frontend: Error deleting product:', error);
+      setStatusMessage(`Error deleting product: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-inner">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4">Products List (from Cache/DB)</h2>
+      <button
+        onClick={refresh}
+        className="w-full bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded-md shadow-lg mb-4 transition duration-300 ease-in-out transform hover:scale-105"
+        disabled={loading}
+      >
+        {loading ? 'Loading...' : 'Refresh Products'}
+      </button>
+      <form onSubmit={handleSearchProducts} className="flex gap-2 mb-3">
+        <input
+          type="search"
+          aria-label="Search products"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder="Search name or description"
+        />
+        <button type="submit" className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-bold py-2 px-3 rounded-md">
+          Search
+        </button>
+      </form>
+      <select
+        aria-label="Sort products"
+        value={sort}
+        onChange={(e) => setSort(e.target.value)}
+        className="w-full mb-4 px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white sm:text-sm"
+      >
+        {PRODUCT_SORT_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {products.length === 0 && !loading ? (
+        <p className="text-gray-600 text-center">
+          {search ? `No products match "${search}".` : 'No products found. Add some!'}
+        </p>
+      ) : (
+        <ul className="space-y-3 max-h-60 overflow-y-auto pr-2">
+          {products.map((product) => (
+            <li key={product.id} className="bg-white p-3 rounded-md shadow-sm border border-gray-200">
+              {editing && editing.id === product.id ? (
+                <EditProductForm
+                  draft={editing}
+                  onChange={(fields) => setEditing(prev => ({ ...prev, fields }))}
+                  // After a conflict the list shows the current version, which "Overwrite" replaces
+                  onSave={(fields) => handleUpdateProduct(product, fields)}
+                  onCancel={() => setEditing(null)}
+                />
+              ) : (
+                <ProductDetails
+                  product={product}
+                  onEdit={() => startEditing(product)}
+                  onDelete={() => handleDeleteProduct(product)}
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {cacheStatus && (
+        <p className="mt-3 text-xs text-gray-500">
+          Last load: {CACHE_STATUS_LABELS[cacheStatus] || 'loaded from SQLite'} (X-Cache: {cacheStatus})
+        </p>
+      )}
+      <div className="flex items-center justify-between mt-4 text-sm text-gray-700">
+        <button
+          onClick={() => setPage(current => current - 1)}
+          disabled={page <= 1 || loading}
+          className="px-3 py-1 rounded-md border border-gray-300 bg-white disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <span>
+          Page {page} of {pagination.totalPages} ({pagination.total} products)
+        </span>
+        <button
+          onClick={() => setPage(current => current + 1)}
+          disabled={page >= pagination.totalPages || loading}
+          className="px-3 py-1 rounded-md border border-gray-300 bg-white disabled:opacity-50"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ProductList;
@@ -0,0 +1,220 @@
+// src/components/PubSub.js
+import { useState } from 'react';
+import { apiFetch, fieldErrorsFrom, jsonRequest } from '../api';
+import { useStatusMessage } from '../context/AppContext';
+import { useChannel } from '../hooks/useChannel';
+import FieldError from './FieldError';
+import MessageLog from './MessageLog';
+
+const inputClassName = 'mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const sameSubscription = (a, b) => a.kind === b.kind && a.name === b.name;
+
+function PublishForm() {
+  const { setStatusMessage } = useStatusMessage();
+  const [channel, setChannel] = useState('custom_channel');
+  const [message, setMessage] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+
+  const handlePublishMessage = async (e) => {
+    e.preventDefault();
+    if (!channel || !message) {
+      setStatusMessage('Channel and message content cannot be empty.');
+      return;
+    }
+
+    setStatusMessage(`Publishing to channel "${channel}"...`);
+    setFieldErrors({});
+    console.log('Frontend: Sending publish message request to backend. Content:', message);
+    try {
+      const response = await apiFetch('/publish', jsonRequest('POST', { channel, message }));
+      const data = await response.json();
+      setStatusMessage(`Message published: ${data.message}`);
+      console.log('Frontend: Publish message response:', data);
+      setMessage('');
+    } catch (error) {
+      console.error('Frontend: Error publishing message:', error);
+      setFieldErrors(fieldErrorsFrom(error));
+      setStatusMessage(`Error publishing message: ${error.message}`);
+    }
+  };
+
+  return (
+    <form onSubmit={handlePublishMessage} className="space-y-4">
+      <div>
+        <label htmlFor="channelName" className="block text-sm font-medium text-gray-700">Channel:</label>
+        <input
+          type="text"
+          id="channelName"
+          value={channel}
+          onChange={(e) => setChannel(e.target.value)}
+          className={inputClassName}
+          placeholder="e.g., alerts"
+          aria-invalid={Boolean(fieldErrors.channel)}
+          aria-describedby="channelNameError"
+          required
+        />
+        <FieldError id="channelNameError" message={fieldErrors.channel} />
+      </div>
+      <div>
+        <label htmlFor="messageContent" className="block text-sm font-medium text-gray-700">Message:</label>
+        <input
+          type="text"
+          id="messageContent"
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+          className={inputClassName}
+          placeholder="e.g., Server maintenance at 2 AM!"
+          aria-invalid={Boolean(fieldErrors.message)}
+          aria-describedby="messageContentError"
+          required
+        />
+        <FieldError id="messageContentError" message={fieldErrors.message} />
+      </div>
+      <button
+        type="submit"
+        className="w-full bg-purple-600 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded-md shadow-lg transition duration-300 ease-in-out transform hover:scale-105"
+      >
+        Publish Message
+      </button>
+    </form>
+  );
+}
+
+// One subscription: subscribed while it is shown, unsubscribed when removed
+function SubscriptionChip({ subscription, subscribers, onSubscribed, onError, onRemove }) {
+  const state = useChannel(subscription, { onSubscribed, onError });
+
+  return (
+    <li className="flex items-center gap-2 text-sm bg-purple-50 border border-purple-200 rounded-full px-3 py-1">
+      <span>
+        {subscription.name}
+        {subscription.kind === 'pattern' && <span className="text-purple-500"> (pattern)</span>}
+        {state === 'pending'
+          ? <span className="text-gray-400"> · subscribing…</span>
+          : <span className="text-gray-500" title="Connected clients subscribed"> · {subscribers}</span>}
+      </span>
+      <button
+        onClick={onRemove}
+        className="text-red-600 hover:text-red-800 font-bold"
+        aria-label={`Unsubscribe from ${subscription.name}`}
+      >
+        &times;
+      </button>
+    </li>
+  );
+}
+
+function Subscriptions({ presence }) {
+  const { setStatusMessage } = useStatusMessage();
+  // `added` marks subscriptions made from the form, which report when they succeed
+  const [subscriptions, setSubscriptions] = useState([{ kind: 'channel', name: 'custom_channel' }]);
+  const [newName, setNewName] = useState('');
+  const [newIsPattern, setNewIsPattern] = useState(false);
+
+  // Number of connected clients (on any backend instance) subscribed to a channel or pattern
+  const subscriberCount = ({ kind, name }) => (
+    presence?.channels?.find(channel => channel.kind === kind && channel.name === name)?.subscribers ?? 0
+  );
+
+  const removeSubscription = (subscription) => setSubscriptions(prevSubscriptions => (
+    prevSubscriptions.filter(s => !sameSubscription(s, subscription))
+  ));
+
+  const handleSubscribe = (e) => {
+    e.preventDefault();
+    const name = newName.trim();
+    if (!name) {
+      setStatusMessage('Channel or pattern cannot be empty.');
+      return;
+    }
+
+    const subscription = { kind: newIsPattern ? 'pattern' : 'channel', name, added: true };
+    if (subscriptions.some(s => sameSubscription(s, subscription))) {
+      setStatusMessage(`Already subscribed to ${subscription.kind} "${name}".`);
+      return;
+    }
+
+    console.log('Frontend: Subscribing to', subscription);
+    setSubscriptions(prevSubscriptions => [...prevSubscriptions, subscription]);
+    setNewName('');
+  };
+
+  const handleUnsubscribe = (subscription) => {
+    console.log('Frontend: Unsubscribing from', subscription);
+    removeSubscription(subscription);
+    setStatusMessage(`Unsubscribed from ${subscription.kind} "${subscription.name}".`);
+  };
+
+  return (
+    <>
+      <h3 className="text-xl font-medium text-gray-700 mb-3">Subscriptions</h3>
+      <form onSubmit={handleSubscribe} className="flex flex-wrap items-center gap-2 mb-3">
+        <input
+          type="text"
+          aria-label="Channel or pattern"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          placeholder={newIsPattern ? 'e.g., news.*' : 'e.g., alerts'}
+        />
+        <label className="flex items-center gap-1 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={newIsPattern}
+            onChange={(e) => setNewIsPattern(e.target.checked)}
+          />
+          Pattern
+        </label>
+        <button
+          type="submit"
+          className="bg-purple-600 hover:bg-purple-700 text-white text-sm font-bold py-2 px-3 rounded-md shadow-lg"
+        >
+          Subscribe
+        </button>
+      </form>
+      {subscriptions.length === 0 ? (
+        <p className="text-gray-600 text-sm mb-4">Not listening to any channels.</p>
+      ) : (
+        <ul className="flex flex-wrap gap-2 mb-4">
+          {subscriptions.map((subscription) => (
+            <SubscriptionChip
+              key={`${subscription.kind}:${subscription.name}`}
+              subscription={subscription}
+              subscribers={subscriberCount(subscription)}
+              onSubscribed={subscription.added
+                ? () => setStatusMessage(`Subscribed to ${subscription.kind} "${subscription.name}".`)
+                : undefined}
+              onError={(message) => {
+                setStatusMessage(`Error subscribing: ${message}`);
+                removeSubscription(subscription);
+              }}
+              onRemove={() => handleUnsubscribe(subscription)}
+            />
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+// Publishing, subscriptions and the received message log
+function PubSub({ presence }) {
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-inner mt-8">
+      <h2 className="text-2xl font-semibold text-gray-800 mb-4">Redis Pub/Sub Messaging</h2>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+        <div>
+          <h3 className="text-xl font-medium text-gray-700 mb-3">Publish Message</h3>
+          <PublishForm />
+        </div>
+        <div>
+          <Subscriptions presence={presence} />
+          <MessageLog />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PubSub;
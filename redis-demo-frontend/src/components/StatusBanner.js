@@ -0,0 +1,18 @@
+// src/components/StatusBanner.js
+import { useStatusMessage } from '../context/AppContext';
+
+// The latest status message from any panel
+function StatusBanner() {
+  const { statusMessage } = useStatusMessage();
+  if (!statusMessage) {
+    return null;
+  }
+  return (
+    <div className="bg-blue-100 border-l-4 border-blue-500 text-blue-700 p-4 rounded mb-4" role="alert">
+      <p className="font-bold">Status:</p>
+      <p>{statusMessage}</p>
+    </div>
+  );
+}
+
+export default StatusBanner;
@@ -0,0 +1,111 @@
+// src/components/WriteQueue.js
+import { useState } from 'react';
+import { apiFetch, authHeaders } from '../api';
+import { useStatusMessage } from '../context/AppContext';
+
+const JOB_STATES = ['pending', 'processing', 'delayed', 'dead'];
+
+// The product write mode and the write-behind jobs in every state, with retry/discard for dead jobs (admins only)
+function WriteQueue() {
+  const { setStatusMessage } = useStatusMessage();
+  const [writeQueue, setWriteQueue] = useState(null);
+
+  const fetchWriteQueue = async () => {
+    console.log('Frontend: Loading the product write queue');
+    try {
+      const response = await apiFetch('/jobs', { headers: authHeaders() });
+      setWriteQueue(await response.json());
+    } catch (error) {
+      console.error('Frontend: Error loading the write queue:', error);
+      setStatusMessage(`Error loading the write queue: ${error.message}`);
+    }
+  };
+
+  // Requeue or discard a dead-lettered job
+  const handleDeadJob = async (jobId, action) => {
+    console.log(`Frontend: ${action === 'retry' ? 'Retrying' : 'Discarding'} dead job`, jobId);
+    try {
+      const response = action === 'retry'
+        ? await apiFetch(`/jobs/dead/${jobId}/retry`, { method: 'POST', headers: authHeaders() })
+        : await apiFetch(`/jobs/dead/${jobId}`, { method: 'DELETE', headers: authHeaders() });
+      const data = await response.json();
+      setStatusMessage(`${data.message}: ${jobId}.`);
+      fetchWriteQueue();
+    } catch (error) {
+      console.error('Frontend: Error updating dead job:', error);
+      setStatusMessage(`Error updating job ${jobId}: ${error.message}`);
+    }
+  };
+
+  return (
+    <div className="bg-gray-50 p-6 rounded-lg shadow-inner mt-8">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-2xl font-semibold text-gray-800">Write Queue</h2>
+        <button type="button" onClick={fetchWriteQueue} className="bg-indigo-600 hover:bg-indigo-700 text-white text-sm font-bold py-2 px-3 rounded-md">
+          Refresh
+        </button>
+      </div>
+      {!writeQueue ? (
+        <p className="text-gray-600 text-sm">Use "Refresh" to load the write-behind queue (admins only).</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700 mb-3">
+            Write mode: <span className="font-mono font-semibold">{writeQueue.mode}</span>
+          </p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+            {JOB_STATES.map((state) => (
+              <div key={state} className="bg-white p-3 rounded-md shadow-sm border border-gray-200">
+                <p className="text-xs uppercase text-gray-500">{state}</p>
+                <p className={`text-xl font-bold ${state === 'dead' && writeQueue.counts.dead > 0 ? 'text-red-600' : 'text-gray-800'}`}>
+                  {writeQueue.counts[state]}
+                </p>
+              </div>
+            ))}
+          </div>
+          {JOB_STATES.every((state) => writeQueue[state].length === 0) ? (
+            <p className="text-gray-600 text-sm">No jobs waiting.</p>
+          ) : (
+            <table className="w-full text-sm bg-white rounded-md shadow-sm border border-gray-200">
+              <thead>
+                <tr className="text-left text-gray-600 border-b border-gray-200">
+                  <th className="p-2">State</th>
+                  <th className="p-2">Job</th>
+                  <th className="p-2">Attempts</th>
+                  <th className="p-2">Last error</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {JOB_STATES.flatMap((state) => writeQueue[state].map((job) => (
+                  <tr key={`${state}:${job.id}`} className="border-b border-gray-100">
+                    <td className="p-2">{state}{job.retryAt && ` (retry ${new Date(job.retryAt).toLocaleTimeString()})`}</td>
+                    <td className="p-2">
+                      <span className="font-semibold">{job.type}</span>{' '}
+                      <span className="font-mono text-xs text-gray-500 break-all">{job.payload.id ? `product ${job.payload.id}` : job.payload.fields?.name}</span>
+                    </td>
+                    <td className="p-2">{job.attempts}</td>
+                    <td className="p-2 text-red-700">{job.lastError || '-'}</td>
+                    <td className="p-2 whitespace-nowrap text-right">
+                      {state === 'dead' && (
+                        <>
+                          <button onClick={() => handleDeadJob(job.id, 'retry')} className="text-indigo-600 hover:text-indigo-800 font-medium mr-3">
+                            Retry
+                          </button>
+                          <button onClick={() => handleDeadJob(job.id, 'discard')} className="text-red-600 hover:text-red-800 font-medium">
+                            Discard
+                          </button>
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                )))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default WriteQueue;
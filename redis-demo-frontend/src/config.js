@@ -0,0 +1,13 @@
+// src/config.js
+
+// Deployment settings. public/config.js can set window.APP_CONFIG when the app is served, so one build
+// works against any backend; otherwise REACT_APP_* variables are baked in by `npm run build`.
+const runtimeConfig = window.APP_CONFIG || {};
+
+// Backend server URL
+export const API_URL = runtimeConfig.apiUrl || process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+// Channel the backend publishes product events on (PRODUCT_UPDATES_CHANNEL in the backend)
+export const PRODUCT_UPDATES_CHANNEL = runtimeConfig.productUpdatesChannel
+  || process.env.REACT_APP_PRODUCT_UPDATES_CHANNEL
+  || 'product_updates';
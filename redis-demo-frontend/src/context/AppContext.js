@@ -0,0 +1,205 @@
+// src/context/AppContext.js
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from 'react';
+import io from 'socket.io-client'; // Import Socket.IO client library
+import { API_URL } from '../config';
+import { AUTH_TOKEN_KEY, apiFetch, authHeaders, getAuthToken, jsonRequest } from '../api';
+import { compareStreamIds } from '../events';
+
+// Received messages kept for the message log; the oldest are dropped first
+export const MAX_RECEIVED_MESSAGES = 100;
+
+// Split by how often they change, so a new message does not re-render every component using the session
+const SocketContext = createContext(null);
+const SessionContext = createContext(null);
+const StatusContext = createContext(null);
+const MessagesContext = createContext(null);
+
+// The connection is opened by AppProvider once mounted and closed when it unmounts. StrictMode mounts
+// twice in development, which disconnects and reconnects the same socket instead of leaving it closed.
+const createSocket = () => io(API_URL, {
+  autoConnect: false,
+  auth: (cb) => cb({ token: getAuthToken() || undefined }), // Sent with every (re)connect handshake
+  reconnection: true, // Enable reconnection
+  reconnectionAttempts: Infinity, // Unlimited reconnection attempts
+  reconnectionDelay: 1000, // Wait 1 second before retrying
+  timeout: 20000, // Connection timeout
+  transports: ['websocket'], // Skip HTTP long-polling
+});
+
+/**
+ * Owns everything the panels share: the Socket.IO connection, the logged-in user, the status banner
+ * and the log of received messages. Messages from the server are de-duplicated here by stream ID
+ * (live delivery and replay can overlap) before they reach the log and the useChannel/useProducts hooks.
+ */
+export function AppProvider({ children }) {
+  const [socket] = useState(createSocket);
+  const [connection, setConnection] = useState({ connected: false, id: null, error: null });
+  const [statusMessage, setStatusMessage] = useState('');
+  const [currentUser, setCurrentUser] = useState(null);
+  const [messages, setMessages] = useState([]);
+
+  // Last stream ID seen per channel, used to replay exactly the messages missed while disconnected
+  const lastSeenIdsRef = useRef({});
+  const envelopeListenersRef = useRef(new Set());
+  const nextMessageKeyRef = useRef(0);
+
+  // Connect on mount, disconnect on unmount, and report the connection state
+  useEffect(() => {
+    const onConnect = () => {
+      console.log('Frontend Socket.IO: Connected as', socket.id);
+      setConnection({ connected: true, id: socket.id, error: null });
+      setStatusMessage('Connected to real-time updates.');
+    };
+    const onDisconnect = () => {
+      console.log('Frontend Socket.IO: Disconnected!');
+      setConnection({ connected: false, id: null, error: null });
+      setStatusMessage('Disconnected from real-time updates. Reconnecting...');
+    };
+    const onConnectError = (err) => {
+      console.error('Frontend Socket.IO: CONNECTION ERROR:', err.message, err);
+      setConnection({ connected: false, id: null, error: err.message });
+      setStatusMessage(`Socket.IO connection error: ${err.message}. Backend might be down or blocked.`);
+      // A refused handshake is not retried automatically: drop the expired token and connect anonymously
+      if (err.message === 'Invalid or expired session') {
+        window.localStorage.removeItem(AUTH_TOKEN_KEY);
+        setCurrentUser(null);
+        socket.connect();
+      }
+    };
+
+    socket.on('connect', onConnect);
+    socket.on('disconnect', onDisconnect);
+    socket.on('connect_error', onConnectError);
+    socket.connect();
+    return () => {
+      socket.off('connect', onConnect);
+      socket.off('disconnect', onDisconnect);
+      socket.off('connect_error', onConnectError);
+      socket.disconnect();
+    };
+  }, [socket]);
+
+  // Every message envelope, from product events and from channels or patterns this client subscribed to
+  useEffect(() => {
+    // Records a message's stream ID; returns false if it was already seen
+    const markSeen = (channel, id) => {
+      if (!id) return true;
+      const lastSeen = lastSeenIdsRef.current[channel];
+      if (lastSeen && compareStreamIds(id, lastSeen) <= 0) return false;
+      lastSeenIdsRef.current[channel] = id;
+      return true;
+    };
+
+    const receive = (envelope, { pattern, replayed } = {}) => {
+      console.log(`Frontend Socket.IO: Received ${envelope.type} on "${envelope.channel}":`, envelope.payload);
+      if (!markSeen(envelope.channel, envelope.id)) {
+        return;
+      }
+      const key = nextMessageKeyRef.current++;
+      setMessages(prevMessages => [...prevMessages, { key, envelope, pattern, replayed }].slice(-MAX_RECEIVED_MESSAGES));
+      envelopeListenersRef.current.forEach(listener => listener(envelope, { pattern, replayed }));
+    };
+
+    socket.on('product_updated', receive);
+    socket.on('channel_message', receive);
+    return () => {
+      socket.off('product_updated', receive);
+      socket.off('channel_message', receive);
+    };
+  }, [socket]);
+
+  // Asks the server for messages published after the last one we saw (or recent history the first time)
+  const replay = useCallback((channel) => {
+    socket.emit('replay', { channel, lastId: lastSeenIdsRef.current[channel] }, (response) => {
+      if (response && response.ok) {
+        console.log(`Frontend Socket.IO: Replayed ${response.count} messages on "${channel}".`);
+      }
+    });
+  }, [socket]);
+
+  // Calls listener with every new envelope; returns a function that removes it
+  const onEnvelope = useCallback((listener) => {
+    envelopeListenersRef.current.add(listener);
+    return () => envelopeListenersRef.current.delete(listener);
+  }, []);
+
+  // Restore the logged-in user from a saved session token
+  useEffect(() => {
+    if (!getAuthToken()) {
+      return;
+    }
+    const restoreSession = async () => {
+      try {
+        const response = await apiFetch('/auth/me', { headers: authHeaders() });
+        const data = await response.json();
+        setCurrentUser(data.user);
+        console.log('Frontend: Restored session for', data.user.username);
+      } catch (error) {
+        console.error('Frontend: Saved session is no longer valid:', error);
+        window.localStorage.removeItem(AUTH_TOKEN_KEY);
+        socket.disconnect().connect(); // Handshake again without the stale token
+      }
+    };
+    restoreSession();
+  }, [socket]);
+
+  // Logs in and reconnects the socket so its handshake carries the new token. Rejects like apiFetch.
+  const login = useCallback(async (username, password) => {
+    const response = await apiFetch('/auth/login', jsonRequest('POST', { username, password }));
+    const data = await response.json();
+    window.localStorage.setItem(AUTH_TOKEN_KEY, data.token);
+    setCurrentUser(data.user);
+    socket.disconnect().connect();
+    return data.user;
+  }, [socket]);
+
+  const logout = useCallback(async () => {
+    try {
+      await apiFetch('/auth/logout', { method: 'POST', headers: authHeaders() });
+    } catch (error) {
+      console.error('Frontend: Error logging out:', error);
+    }
+    window.localStorage.removeItem(AUTH_TOKEN_KEY);
+    setCurrentUser(null);
+    socket.disconnect().connect();
+  }, [socket]);
+
+  const clearMessages = useCallback(() => setMessages([]), []);
+
+  const socketValue = useMemo(() => ({ socket, connection, replay, onEnvelope }), [socket, connection, replay, onEnvelope]);
+  const sessionValue = useMemo(() => ({ currentUser, login, logout }), [currentUser, login, logout]);
+  const statusValue = useMemo(() => ({ statusMessage, setStatusMessage }), [statusMessage]);
+  const messagesValue = useMemo(() => ({ messages, clearMessages }), [messages, clearMessages]);
+
+  return (
+    <SocketContext.Provider value={socketValue}>
+      <SessionContext.Provider value={sessionValue}>
+        <StatusContext.Provider value={statusValue}>
+          <MessagesContext.Provider value={messagesValue}>
+            {children}
+          </MessagesContext.Provider>
+        </StatusContext.Provider>
+      </SessionContext.Provider>
+    </SocketContext.Provider>
+  );
+}
+
+const useRequiredContext = (context, name) => {
+  const value = useContext(context);
+  if (!value) {
+    throw new Error(`${name} must be used inside <AppProvider>`);
+  }
+  return value;
+};
+
+// { socket, connection, replay, onEnvelope }; components normally use the hooks in src/hooks instead
+export const useSocket = () => useRequiredContext(SocketContext, 'useSocket');
+
+// { currentUser, login, logout }
+export const useSession = () => useRequiredContext(SessionContext, 'useSession');
+
+// { statusMessage, setStatusMessage } for the banner at the top of the page
+export const useStatusMessage = () => useRequiredContext(StatusContext, 'useStatusMessage');
+
+// { messages, clearMessages }: the last MAX_RECEIVED_MESSAGES envelopes as { key, envelope, pattern, replayed }
+export const useMessages = () => useRequiredContext(MessagesContext, 'useMessages');
@@ -0,0 +1,36 @@
+// src/events.js
+
+export const priceFormatter = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+
+// Redis Stream IDs look like "1700000000000-3": compare the timestamp first, then the sequence
+export const compareStreamIds = (a, b) => {
+  const [aTime, aSeq] = a.split('-').map(Number);
+  const [bTime, bSeq] = b.split('-').map(Number);
+  return aTime === bTime ? aSeq - bSeq : aTime - bTime;
+};
+
+// Event types the backend publishes in its message envelopes (see Backend/lib/envelopes.js):
+// a label and a one-line summary of the payload for each. Unknown types show their raw payload.
+export const EVENT_TYPES = {
+  TEXT_MESSAGE: { label: 'Message', summarize: (payload) => payload.text },
+  NEW_PRODUCT: { label: 'New product', summarize: (payload) => `${payload.name} (#${payload.id}, ${priceFormatter.format(payload.price)})` },
+  UPDATED_PRODUCT: { label: 'Product updated', summarize: (payload) => `${payload.name} (#${payload.id}, ${priceFormatter.format(payload.price)}, ${payload.stock} in stock)` },
+  DELETED_PRODUCT: { label: 'Product deleted', summarize: (payload) => `Product #${payload.id}` },
+};
+
+export const eventLabel = (type) => (EVENT_TYPES[type] ? EVENT_TYPES[type].label : type);
+
+export const describeEvent = ({ type, payload }) => {
+  const eventType = EVENT_TYPES[type];
+  return {
+    label: eventLabel(type),
+    summary: eventType ? eventType.summarize(payload) : JSON.stringify(payload),
+  };
+};
+
+// Who sent a message: a user with their role, the backend itself, or a tool publishing around it
+export const senderLabel = (sender) => {
+  if (sender && sender.kind === 'user') return `${sender.name} (${sender.role})`;
+  if (sender && sender.kind === 'system') return 'server';
+  return 'external';
+};
@@ -0,0 +1,77 @@
+// src/hooks/useChannel.js
+import { useEffect, useState } from 'react';
+import { useSocket } from '../context/AppContext';
+import { useEnvelopeListener, useLatest } from './useSocketEvent';
+
+// Whether an envelope was delivered for this subscription: patterns are named in the delivery,
+// channel subscriptions receive the plain deliveries and the replayed history of their channel
+const deliveredTo = ({ kind, name }, envelope, { pattern }) => (
+  kind === 'pattern' ? pattern === name : !pattern && envelope.channel === name
+);
+
+/**
+ * Keeps the socket subscribed to a channel or pattern while the calling component is mounted.
+ * The server forgets a socket's rooms when it disconnects, so the subscription is made again on every
+ * connect, and channels then replay what they missed (patterns have no history of their own).
+ *
+ * @param {{ kind: 'channel'|'pattern', name: string }} subscription
+ * @param {object} [callbacks]
+ * @param {Function} [callbacks.onMessage] - Called with (envelope, { pattern, replayed }) for this subscription's messages.
+ * @param {Function} [callbacks.onSubscribed] - Called once, when the first subscription succeeds.
+ * @param {Function} [callbacks.onError] - Called with the server's message when a subscription is refused.
+ * @returns {'pending'|'subscribed'|'failed'}
+ */
+export function useChannel({ kind, name }, callbacks = {}) {
+  const { socket, replay } = useSocket();
+  const [state, setState] = useState('pending');
+  const callbacksRef = useLatest(callbacks);
+
+  useEffect(() => {
+    const target = kind === 'pattern' ? { pattern: name } : { channel: name };
+    let active = true;
+    let requested = false;
+    let confirmed = false;
+
+    const subscribe = () => {
+      requested = true;
+      socket.emit('subscribe', target, (response) => {
+        if (!active) return;
+        if (!response || !response.ok) {
+          setState('failed');
+          callbacksRef.current.onError?.(response ? response.message : 'no response from server');
+          return;
+        }
+        setState('subscribed');
+        if (!confirmed) {
+          confirmed = true;
+          callbacksRef.current.onSubscribed?.();
+        }
+        if (kind === 'channel') {
+          replay(name);
+        }
+      });
+    };
+
+    socket.on('connect', subscribe);
+    if (socket.connected) {
+      subscribe();
+    }
+    return () => {
+      active = false;
+      socket.off('connect', subscribe);
+      // Sent even while the subscribe is in flight: the server runs a socket's subscribe, unsubscribe
+      // and replay events one at a time in the order they arrive, so this one cannot overtake it
+      if (requested && socket.connected) {
+        socket.emit('unsubscribe', target);
+      }
+    };
+  }, [socket, replay, kind, name, callbacksRef]);
+
+  useEnvelopeListener((envelope, meta) => {
+    if (callbacksRef.current.onMessage && deliveredTo({ kind, name }, envelope, meta)) {
+      callbacksRef.current.onMessage(envelope, meta);
+    }
+  });
+
+  return state;
+}
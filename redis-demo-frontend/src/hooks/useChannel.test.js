@@ -0,0 +1,93 @@
+import { act, render, renderHook } from '@testing-library/react';
+import io from 'socket.io-client'; // The fake in src/__mocks__
+import { AppProvider } from '../context/AppContext';
+import { useChannel } from './useChannel';
+
+const renderChannel = (subscription, callbacks) => renderHook(
+  () => useChannel(subscription, callbacks),
+  { wrapper: AppProvider }
+);
+
+const envelope = (id, channel, text) => ({
+  id,
+  channel,
+  type: 'TEXT_MESSAGE',
+  version: 1,
+  timestamp: '2024-01-01T10:00:00.000Z',
+  sender: { kind: 'anonymous', name: 'anonymous' },
+  payload: { text },
+});
+
+beforeEach(() => {
+  io.reset();
+});
+
+test('subscribes once connected and replays what the channel missed', () => {
+  const onSubscribed = jest.fn();
+  const { result } = renderChannel({ kind: 'channel', name: 'alerts' }, { onSubscribed });
+
+  const socket = io.lastSocket();
+  expect(socket.emitsOf('subscribe')).toEqual([[{ channel: 'alerts' }]]);
+  expect(socket.emitsOf('replay')).toEqual([[{ channel: 'alerts', lastId: undefined }]]);
+  expect(result.current).toBe('subscribed');
+  expect(onSubscribed).toHaveBeenCalledTimes(1);
+});
+
+test('subscribes again after a reconnect, replaying from the last message seen', () => {
+  const onSubscribed = jest.fn();
+  renderChannel({ kind: 'channel', name: 'alerts' }, { onSubscribed });
+  const socket = io.lastSocket();
+
+  act(() => socket.serverEmit('channel_message', envelope('1700000000000-0', 'alerts', 'first')));
+  act(() => {
+    socket.disconnect();
+    socket.connect();
+  });
+
+  expect(socket.emitsOf('subscribe')).toHaveLength(2);
+  expect(socket.emitsOf('replay').pop()).toEqual([{ channel: 'alerts', lastId: '1700000000000-0' }]);
+  expect(onSubscribed).toHaveBeenCalledTimes(1);
+});
+
+test('patterns are subscribed without a replay', () => {
+  renderChannel({ kind: 'pattern', name: 'news.*' });
+
+  const socket = io.lastSocket();
+  expect(socket.emitsOf('subscribe')).toEqual([[{ pattern: 'news.*' }]]);
+  expect(socket.emitsOf('replay')).toEqual([]);
+});
+
+test('reports a refused subscription', () => {
+  io.replies.subscribe = { ok: false, code: 'FORBIDDEN', message: 'Not allowed' };
+  const onError = jest.fn();
+  const { result } = renderChannel({ kind: 'channel', name: 'admin' }, { onError });
+
+  expect(result.current).toBe('failed');
+  expect(onError).toHaveBeenCalledWith('Not allowed');
+});
+
+test('unsubscribes when its component unmounts', () => {
+  function Subscriber() {
+    useChannel({ kind: 'channel', name: 'alerts' });
+    return null;
+  }
+  const { rerender } = render(<AppProvider><Subscriber /></AppProvider>);
+  const socket = io.lastSocket();
+
+  rerender(<AppProvider>{null}</AppProvider>);
+  expect(socket.emitsOf('unsubscribe')).toEqual([[{ channel: 'alerts' }]]);
+});
+
+test('only passes on the messages delivered for its subscription', () => {
+  const onMessage = jest.fn();
+  renderChannel({ kind: 'pattern', name: 'news.*' }, { onMessage });
+  const socket = io.lastSocket();
+
+  act(() => {
+    socket.serverEmit('channel_message', envelope('1700000000000-0', 'news.sports', 'via pattern'), { pattern: 'news.*' });
+    socket.serverEmit('channel_message', envelope('1700000000001-0', 'news.sports', 'direct'));
+  });
+
+  expect(onMessage).toHaveBeenCalledTimes(1);
+  expect(onMessage.mock.calls[0][0].payload.text).toBe('via pattern');
+});
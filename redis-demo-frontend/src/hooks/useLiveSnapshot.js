@@ -0,0 +1,30 @@
+// src/hooks/useLiveSnapshot.js
+import { useEffect, useState } from 'react';
+import { apiFetch } from '../api';
+import { useSocketEvent } from './useSocketEvent';
+
+// Loads `path` once, then keeps it current with the snapshots the server pushes as `event`
+// (GET /cache/stats and "cache_stats", GET /presence and "presence_changed"). Null until loaded.
+export function useLiveSnapshot(path, event) {
+  const [snapshot, setSnapshot] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const response = await apiFetch(path);
+        const data = await response.json();
+        if (!cancelled) setSnapshot(data);
+      } catch (error) {
+        console.error(`Frontend: Error fetching ${path}:`, error);
+      }
+    };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [path]);
+
+  useSocketEvent(event, setSnapshot);
+  return snapshot;
+}
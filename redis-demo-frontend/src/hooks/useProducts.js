@@ -0,0 +1,273 @@
+// src/hooks/useProducts.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { apiFetch, authHeaders, createRequestId, jsonRequest } from '../api';
+import { PRODUCT_UPDATES_CHANNEL } from '../config';
+import { useSocket, useStatusMessage } from '../context/AppContext';
+import { productETag, productPreview, productRequestBody } from '../products';
+import { useEnvelopeListener, useSocketEvent } from './useSocketEvent';
+
+// Number of products shown per page of the list
+export const PRODUCTS_PAGE_SIZE = 5;
+
+// Pages remembered with their ETag for conditional requests; the least recently loaded is forgotten first
+const MAX_REMEMBERED_PAGES = 20;
+
+// Puts `saved` in place of the product with the same ID, unless the list already shows a newer version
+const replaceProduct = (products, saved) => products.map(product => (
+  product.id === saved.id && !(product.version > saved.version) ? saved : product
+));
+
+// Swaps an optimistically added product for the saved one (once: the response and the event both bring it)
+const confirmProduct = (products, tempId, saved) => (
+  products.some(product => product.id === saved.id)
+    ? products.filter(product => product.id !== tempId)
+    : products.map(product => (product.id === tempId ? saved : product))
+);
+
+// Applies another client's product event to the current page in place instead of re-fetching everything.
+// Totals are only adjusted for the unfiltered list, where every product counts.
+const applyProductEvent = ({ type, payload }, { search, sort }, { setProducts, adjustTotal }) => {
+  if (type === 'NEW_PRODUCT') {
+    if (!search) {
+      adjustTotal(1);
+    }
+    // New products have the highest id, so they belong at the end of the default order
+    if (!search && sort === 'id') {
+      setProducts(prevProducts => (
+        prevProducts.some(product => product.id === payload.id) || prevProducts.length >= PRODUCTS_PAGE_SIZE
+          ? prevProducts
+          : [...prevProducts, payload]
+      ));
+    }
+  } else if (type === 'UPDATED_PRODUCT') {
+    setProducts(prevProducts => replaceProduct(prevProducts, payload));
+  } else if (type === 'DELETED_PRODUCT') {
+    if (!search) {
+      adjustTotal(-1);
+    }
+    setProducts(prevProducts => prevProducts.filter(product => product.id !== payload.id));
+  }
+};
+
+/**
+ * The current page of GET /products with its search, sort and paging controls, kept up to date by the
+ * product events on PRODUCT_UPDATES_CHANNEL. After a reconnect the events missed meanwhile are replayed
+ * into the message log and the page is loaded again to catch up.
+ *
+ * Pages are requested with the ETag of the last copy loaded (If-None-Match), so loading a page again
+ * while nothing on it changed is answered with an empty 304 and the remembered copy is shown.
+ *
+ * Writes made here show up right away: a new product is listed under a temporary ID and edits and
+ * deletes are applied before the backend answers, marked `pending` until it does, and undone if the
+ * request fails. Each write sends an X-Request-Id; the event it causes carries the same ID, so it
+ * confirms the write instead of being applied a second time. Edits send the version they were based on
+ * (If-Match) and reject with a CONFLICT error carrying `details.current` if the product changed since.
+ */
+export function useProducts() {
+  const { replay } = useSocket();
+  const { setStatusMessage } = useStatusMessage();
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState({ total: 0, totalPages: 1 });
+  const [search, setSearchState] = useState('');
+  const [sort, setSortState] = useState('id');
+  const [cacheStatus, setCacheStatus] = useState(null);
+
+  // Request IDs of this tab's writes whose event has not arrived yet, with the temporary ID of new products
+  const ownRequestsRef = useRef(new Map());
+  // Last response per page URL: { etag, data }
+  const pagesRef = useRef(new Map());
+
+  // Function to fetch the current page of products from the backend
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    setStatusMessage('Fetching products...');
+    console.log('Frontend: Initiating fetch products call to backend.');
+    try {
+      const params = new URLSearchParams({ page, limit: PRODUCTS_PAGE_SIZE, sort });
+      if (search) {
+        params.set('q', search);
+      }
+      const path = `/products?${params}`;
+      const remembered = pagesRef.current.get(path);
+      const response = await apiFetch(path, remembered ? { headers: { 'If-None-Match': remembered.etag } } : {});
+      const notModified = response.status === 304;
+      const data = notModified ? remembered.data : await response.json();
+
+      // Most recently loaded last, so the first entry is the one to forget
+      pagesRef.current.delete(path);
+      const etag = response.headers.get('ETag');
+      if (etag) {
+        pagesRef.current.set(path, { etag, data });
+        if (pagesRef.current.size > MAX_REMEMBERED_PAGES) {
+          pagesRef.current.delete(pagesRef.current.keys().next().value);
+        }
+      }
+
+      // X-Cache tells us whether this page came from Redis (HIT) or SQLite (MISS, or BYPASS while Redis is down)
+      setCacheStatus(response.headers.get('X-Cache'));
+      setProducts(data.products);
+      setPagination({ total: data.total, totalPages: data.totalPages });
+      setStatusMessage(notModified ? 'Products are up to date (304 Not Modified).' : 'Products loaded successfully.');
+      console.log(`Frontend: Products fetched successfully${notModified ? ' (not modified)' : ''}:`, data);
+    } catch (error) {
+      console.error('Frontend: Error fetching products:', error);
+      setStatusMessage(`Error fetching products: ${error.message}. Make sure backend is running and Redis is connected.`);
+      setProducts([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search, sort, setStatusMessage]);
+
+  // Fetch products on mount and whenever the page, search or sort order changes
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // A new search or sort order starts again from the first page
+  const setSearch = useCallback((value) => {
+    setPage(1);
+    setSearchState(value);
+  }, []);
+  const setSort = useCallback((value) => {
+    setPage(1);
+    setSortState(value);
+  }, []);
+
+  const adjustTotal = useCallback((delta) => setPagination(prev => {
+    const total = Math.max(0, prev.total + delta);
+    return { total, totalPages: Math.max(1, Math.ceil(total / PRODUCTS_PAGE_SIZE)) };
+  }), []);
+
+  // --- Optimistic writes ---
+  // Each resolves to the response body plus `queued` (202 in write-behind mode, where the event confirms the
+  // write later), or rejects like apiFetch after undoing its change to the list.
+
+  const addProduct = useCallback(async (fields) => {
+    const requestId = createRequestId();
+    const tempId = `temp-${requestId}`;
+    ownRequestsRef.current.set(requestId, tempId);
+    setProducts(prevProducts => [...prevProducts, { ...productPreview(fields), id: tempId, pending: true }]);
+    if (!search) adjustTotal(1);
+
+    try {
+      const response = await apiFetch('/product', jsonRequest('POST', productRequestBody(fields), { 'X-Request-Id': requestId }));
+      const data = await response.json();
+      if (response.status !== 202) {
+        setProducts(prevProducts => confirmProduct(prevProducts, tempId, data.product));
+      }
+      return { ...data, queued: response.status === 202 };
+    } catch (error) {
+      ownRequestsRef.current.delete(requestId);
+      setProducts(prevProducts => prevProducts.filter(product => product.id !== tempId));
+      if (!search) adjustTotal(-1);
+      throw error;
+    }
+  }, [search, adjustTotal]);
+
+  const updateProduct = useCallback(async (product, fields) => {
+    const requestId = createRequestId();
+    ownRequestsRef.current.set(requestId, null);
+    setProducts(prevProducts => prevProducts.map(p => (
+      p.id === product.id ? { ...p, ...productPreview(fields), pending: true } : p
+    )));
+
+    try {
+      const response = await apiFetch(`/product/${product.id}`, jsonRequest('PUT', productRequestBody(fields), {
+        // Rows loaded before the backend tracked versions have none to check
+        ...(product.version !== undefined && { 'If-Match': productETag(product) }),
+        'X-Request-Id': requestId,
+      }));
+      const data = await response.json();
+      if (response.status !== 202) {
+        setProducts(prevProducts => replaceProduct(prevProducts, data.product));
+      }
+      return { ...data, queued: response.status === 202 };
+    } catch (error) {
+      ownRequestsRef.current.delete(requestId);
+      // A conflict brings the product as it is now; any other failure restores what was shown before
+      const current = error.code === 'CONFLICT' && error.details && error.details.current;
+      setProducts(prevProducts => replaceProduct(prevProducts, current || product));
+      throw error;
+    }
+  }, []);
+
+  const deleteProduct = useCallback(async (product) => {
+    const requestId = createRequestId();
+    const index = products.findIndex(p => p.id === product.id);
+    ownRequestsRef.current.set(requestId, null);
+    setProducts(prevProducts => prevProducts.filter(p => p.id !== product.id));
+    if (!search) adjustTotal(-1);
+
+    try {
+      const response = await apiFetch(`/product/${product.id}`, {
+        method: 'DELETE',
+        headers: { ...authHeaders(), 'X-Request-Id': requestId },
+      });
+      const data = await response.json();
+      return { ...data, queued: response.status === 202 };
+    } catch (error) {
+      ownRequestsRef.current.delete(requestId);
+      setProducts(prevProducts => (
+        prevProducts.some(p => p.id === product.id)
+          ? prevProducts
+          : [...prevProducts.slice(0, index), product, ...prevProducts.slice(index)]
+      ));
+      if (!search) adjustTotal(1);
+      throw error;
+    }
+  }, [products, search, adjustTotal]);
+
+  // Product events are sent to every socket, so there is nothing to subscribe to: only replay the gap
+  const hasConnectedRef = useRef(false);
+  useSocketEvent('connect', () => {
+    replay(PRODUCT_UPDATES_CHANNEL);
+    // Replayed events are only listed, so reload the page once to catch up
+    if (hasConnectedRef.current) {
+      refresh();
+    }
+    hasConnectedRef.current = true;
+  });
+
+  useEnvelopeListener((envelope, { replayed }) => {
+    // History is only listed; the page already reflects it (or is reloaded after a reconnect)
+    if (envelope.channel !== PRODUCT_UPDATES_CHANNEL || replayed) {
+      return;
+    }
+
+    const ownRequests = ownRequestsRef.current;
+    if (envelope.requestId && ownRequests.has(envelope.requestId)) {
+      // This tab's own write, already in the list: only swap in what the backend saved
+      const tempId = ownRequests.get(envelope.requestId);
+      ownRequests.delete(envelope.requestId);
+      if (envelope.type === 'NEW_PRODUCT') {
+        setProducts(prevProducts => confirmProduct(prevProducts, tempId, envelope.payload));
+      } else if (envelope.type === 'UPDATED_PRODUCT') {
+        setProducts(prevProducts => replaceProduct(prevProducts, envelope.payload));
+      }
+      console.log(`Frontend: ${envelope.type} confirmed request ${envelope.requestId}.`);
+      return;
+    }
+
+    applyProductEvent(envelope, { search, sort }, { setProducts, adjustTotal });
+    console.log(`Frontend: Applied ${envelope.type} to the products list in place.`);
+  });
+
+  return {
+    products,
+    loading,
+    page,
+    setPage,
+    pagination,
+    search,
+    setSearch,
+    sort,
+    setSort,
+    cacheStatus,
+    refresh,
+    addProduct,
+    updateProduct,
+    deleteProduct,
+  };
+}
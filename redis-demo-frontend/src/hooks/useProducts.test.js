@@ -0,0 +1,154 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import io from 'socket.io-client'; // The fake in src/__mocks__
+import { AppProvider } from '../context/AppContext';
+import { useProducts } from './useProducts';
+
+const LAPTOP = { id: 1, name: 'Laptop Pro', description: null, price: 1499, stock: 2, category: null, version: 2 };
+const MOUSE = { id: 2, name: 'Mouse', description: null, price: 25, stock: 0, category: null, version: 1 };
+const MOUSE_FIELDS = { name: 'Mouse', description: '', price: '25', stock: '', category: '' };
+
+const jsonResponse = (body, status = 200) => ({
+  ok: status < 400,
+  status,
+  headers: { get: () => null },
+  json: () => Promise.resolve(body),
+});
+
+const productEvent = (type, payload, requestId = null) => ({
+  id: `${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+  channel: 'product_updates',
+  type,
+  version: 1,
+  timestamp: new Date().toISOString(),
+  sender: { kind: 'user', name: 'ada', role: 'admin' },
+  requestId,
+  payload,
+});
+
+// Writes wait for the test to answer them through respond()
+let respond;
+const writeRequest = (method) => global.fetch.mock.calls.find(([, options]) => options && options.method === method);
+
+beforeEach(() => {
+  io.reset();
+  global.fetch = jest.fn((url, options = {}) => {
+    if (options.method) {
+      return new Promise((resolve) => {
+        respond = (body, status) => resolve(jsonResponse(body, status));
+      });
+    }
+    return Promise.resolve(jsonResponse({ products: [LAPTOP], page: 1, limit: 5, total: 1, totalPages: 1 }));
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const renderProducts = async () => {
+  const view = renderHook(() => useProducts(), { wrapper: AppProvider });
+  await waitFor(() => expect(view.result.current.products).toEqual([LAPTOP]));
+  return view;
+};
+
+test('lists a new product right away and keeps one copy when both the event and the response arrive', async () => {
+  const { result } = await renderProducts();
+
+  let adding;
+  act(() => {
+    adding = result.current.addProduct(MOUSE_FIELDS);
+  });
+  expect(result.current.products[1]).toMatchObject({ name: 'Mouse', price: 25, stock: 0, pending: true });
+  expect(result.current.pagination.total).toBe(2);
+
+  // The event may arrive before the response; its request ID marks it as this tab's own write
+  const [, options] = writeRequest('POST');
+  act(() => io.lastSocket().serverEmit('product_updated', productEvent('NEW_PRODUCT', MOUSE, options.headers['X-Request-Id'])));
+  expect(result.current.products).toEqual([LAPTOP, MOUSE]);
+
+  await act(async () => {
+    respond({ message: 'Product added successfully and cache invalidated', productId: 2, product: MOUSE }, 201);
+    await adding;
+  });
+  expect(result.current.products).toEqual([LAPTOP, MOUSE]);
+  expect(result.current.pagination.total).toBe(2);
+});
+
+test('removes a new product again when the backend refuses it', async () => {
+  const { result } = await renderProducts();
+
+  let adding;
+  act(() => {
+    adding = result.current.addProduct(MOUSE_FIELDS);
+  });
+  await act(async () => {
+    respond({ code: 'VALIDATION_ERROR', message: 'Request validation failed', details: [] }, 400);
+    await expect(adding).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  expect(result.current.products).toEqual([LAPTOP]);
+  expect(result.current.pagination.total).toBe(1);
+});
+
+test('sends the edited version and shows the current one after a conflict', async () => {
+  const { result } = await renderProducts();
+
+  let updating;
+  act(() => {
+    updating = result.current.updateProduct(LAPTOP, { name: 'Laptop Air', description: '', price: '999', stock: '2', category: '' });
+  });
+  expect(result.current.products[0]).toMatchObject({ name: 'Laptop Air', price: 999, pending: true });
+  expect(writeRequest('PUT')[1].headers['If-Match']).toBe('"v2"');
+
+  const current = { ...LAPTOP, name: 'Laptop Max', version: 3 };
+  await act(async () => {
+    respond({ code: 'CONFLICT', message: 'Product was changed by someone else (now at version 3)', details: { current } }, 409);
+    await expect(updating).rejects.toMatchObject({ code: 'CONFLICT', status: 409 });
+  });
+  expect(result.current.products).toEqual([current]);
+});
+
+test('puts a product back when deleting it fails', async () => {
+  const { result } = await renderProducts();
+
+  let deleting;
+  act(() => {
+    deleting = result.current.deleteProduct(LAPTOP);
+  });
+  expect(result.current.products).toEqual([]);
+
+  await act(async () => {
+    respond({ code: 'FORBIDDEN', message: 'You do not have permission to do this' }, 403);
+    await expect(deleting).rejects.toThrow('You do not have permission to do this');
+  });
+  expect(result.current.products).toEqual([LAPTOP]);
+  expect(result.current.pagination.total).toBe(1);
+});
+
+test('ignores updates older than the version shown', async () => {
+  const { result } = await renderProducts();
+  const socket = io.lastSocket();
+
+  act(() => socket.serverEmit('product_updated', productEvent('UPDATED_PRODUCT', { ...LAPTOP, name: 'Old name', version: 1 })));
+  expect(result.current.products).toEqual([LAPTOP]);
+
+  act(() => socket.serverEmit('product_updated', productEvent('UPDATED_PRODUCT', { ...LAPTOP, name: 'New name', version: 3 })));
+  expect(result.current.products[0]).toMatchObject({ name: 'New name', version: 3 });
+});
+
+test('loads a page again with If-None-Match and keeps the remembered copy on 304', async () => {
+  const page = { products: [LAPTOP], page: 1, limit: 5, total: 1, totalPages: 1 };
+  global.fetch = jest.fn((url, options = {}) => Promise.resolve(
+    options.headers && options.headers['If-None-Match'] === '"abc"'
+      ? { ok: false, status: 304, headers: { get: (name) => (name === 'ETag' ? '"abc"' : 'HIT') }, json: () => Promise.reject(new Error('304 has no body')) }
+      : { ...jsonResponse(page), headers: { get: (name) => (name === 'ETag' ? '"abc"' : 'MISS') } },
+  ));
+  const { result } = await renderProducts();
+  expect(global.fetch.mock.calls[0][1].headers).toBeUndefined();
+
+  await act(() => result.current.refresh());
+  expect(global.fetch.mock.calls[1][1].headers['If-None-Match']).toBe('"abc"');
+  expect(result.current.products).toEqual([LAPTOP]);
+  expect(result.current.pagination.total).toBe(1);
+  expect(result.current.cacheStatus).toBe('HIT');
+});
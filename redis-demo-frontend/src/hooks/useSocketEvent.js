@@ -0,0 +1,40 @@
+// src/hooks/useSocketEvent.js
+import { useEffect, useRef } from 'react';
+import { useSocket } from '../context/AppContext';
+
+// Keeps a ref pointing at the latest value, so long-lived listeners can call the current callback
+export const useLatest = (value) => {
+  const ref = useRef(value);
+  useEffect(() => {
+    ref.current = value;
+  });
+  return ref;
+};
+
+/**
+ * Calls handler for every `event` the server sends while the component is mounted. Only this
+ * listener is removed on unmount, so other components listening to the same event keep theirs.
+ */
+export function useSocketEvent(event, handler) {
+  const { socket } = useSocket();
+  const handlerRef = useLatest(handler);
+
+  useEffect(() => {
+    const listener = (...args) => handlerRef.current(...args);
+    socket.on(event, listener);
+    return () => {
+      socket.off(event, listener);
+    };
+  }, [socket, event, handlerRef]);
+}
+
+/**
+ * Calls handler(envelope, { pattern, replayed }) for every message envelope received, once each,
+ * after AppProvider has dropped duplicates.
+ */
+export function useEnvelopeListener(handler) {
+  const { onEnvelope } = useSocket();
+  const handlerRef = useLatest(handler);
+
+  useEffect(() => onEnvelope((...args) => handlerRef.current(...args)), [onEnvelope, handlerRef]);
+}
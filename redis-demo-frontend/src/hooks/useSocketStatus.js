@@ -0,0 +1,5 @@
+// src/hooks/useSocketStatus.js
+import { useSocket } from '../context/AppContext';
+
+// { connected, id, error }: whether the Socket.IO connection is up, its socket ID, and the last connection error
+export const useSocketStatus = () => useSocket().connection;
@@ -0,0 +1,32 @@
+// src/products.js
+
+// Form state of the add and edit product forms: every input as text
+export const EMPTY_PRODUCT_FIELDS = { name: '', description: '', price: '', stock: '', category: '' };
+
+// The edit form's starting values for an existing product
+export const productFieldsFrom = (product) => ({
+  name: product.name,
+  description: product.description || '',
+  price: product.price === undefined ? '' : String(product.price),
+  stock: product.stock === undefined ? '' : String(product.stock),
+  category: product.category || '',
+});
+
+// Request body for POST /product and PUT /product/:id. Empty number inputs are left out
+// so the backend defaults apply, and an empty category clears it.
+export const productRequestBody = ({ name, description, price, stock, category }) => ({
+  name,
+  description,
+  ...(price !== '' && { price: Number(price) }),
+  ...(stock !== '' && { stock: Number(stock) }),
+  category,
+});
+
+// How a product is shown while its write is still on the way: what the backend will store, as far as we know
+export const productPreview = (fields) => {
+  const { name, description, price, stock, category } = productRequestBody(fields);
+  return { name, description: description || null, price: price ?? 0, stock: stock ?? 0, category: category || null };
+};
+
+// The ETag of a product version, sent as If-Match so an edit only applies to the version it was based on
+export const productETag = (product) => `"v${product.version}"`;